@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+
+/**
+ * Database Connection
+ *
+ * Why needed:
+ * - MongoDB may start after this service (compose, rolling restarts, failover)
+ * - A single failed connect must not kill the process
+ *
+ * How it works:
+ * - connectDatabase() retries mongoose.connect with exponential backoff and jitter
+ *   - MONGODB_CONNECT_RETRY_DELAY_MS: first delay (default 1000)
+ *   - MONGODB_CONNECT_RETRY_MAX_DELAY_MS: delay cap (default 30000)
+ *   - MONGODB_CONNECT_MAX_ATTEMPTS: give up after this many attempts (default 0 = never)
+ * - Once connected, the driver reconnects by itself
+ * - closeDatabase() stops a pending retry loop and closes the connection
+ */
+
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const DEFAULT_RETRY_MAX_DELAY_MS = 30000;
+
+let retryTimer = null;
+let wakeRetry = null;
+let cancelled = false;
+
+/**
+ * Read a non-negative integer env var
+ */
+function readInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Delay before the next attempt: exponential, capped, with up to 20% jitter
+ */
+function getRetryDelay(attempt) {
+  const baseMs = readInt('MONGODB_CONNECT_RETRY_DELAY_MS', DEFAULT_RETRY_DELAY_MS);
+  const maxMs = readInt('MONGODB_CONNECT_RETRY_MAX_DELAY_MS', DEFAULT_RETRY_MAX_DELAY_MS);
+  const delay = Math.min(baseMs * 2 ** (attempt - 1), maxMs);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+/**
+ * Wait between attempts; resolves early when closeDatabase() is called
+ */
+function wait(ms) {
+  return new Promise(resolve => {
+    wakeRetry = () => {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      wakeRetry = null;
+      resolve();
+    };
+    retryTimer = setTimeout(wakeRetry, ms);
+  });
+}
+
+/**
+ * Connect to MongoDB, retrying with backoff
+ * Resolves true once connected, false when cancelled by closeDatabase()
+ * Rejects when MONGODB_CONNECT_MAX_ATTEMPTS is reached
+ */
+export const connectDatabase = async () => {
+  const maxAttempts = readInt('MONGODB_CONNECT_MAX_ATTEMPTS', 0);
+  cancelled = false;
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await mongoose.connect(process.env.MONGODB_URL);
+      logger.info('MongoDB connected', { attempt });
+      return true;
+    } catch (error) {
+      if (cancelled) {
+        return false;
+      }
+      if (maxAttempts > 0 && attempt >= maxAttempts) {
+        throw new Error(`MongoDB connection failed after ${attempt} attempts: ${error.message}`);
+      }
+
+      const delayMs = getRetryDelay(attempt);
+      logger.warn('MongoDB connection failed, retrying', { attempt, retryInMs: delayMs, err: error });
+      await wait(delayMs);
+
+      if (cancelled) {
+        return false;
+      }
+    }
+  }
+};
+
+/**
+ * Stop retrying and close the connection
+ */
+export const closeDatabase = async () => {
+  cancelled = true;
+  if (wakeRetry) {
+    wakeRetry();
+  }
+  await mongoose.connection.close();
+};
@@ -0,0 +1,80 @@
+/**
+ * Rate Limit Policies
+ *
+ * Why needed:
+ * - Each kind of route gets its own budget (reads are cheap, writes and exports are not)
+ * - Admins and support staff legitimately make more requests than regular users
+ *
+ * How it works:
+ * - A policy allows `limit` requests per `windowMs` (fixed window) for one caller
+ * - adminLimit (optional) replaces limit for callers with the admin role
+ * - keyBy: 'caller' (user, API key or service account, falling back to IP) or 'ip'
+ * - RATE_LIMIT_POLICIES (JSON) overrides fields per policy, e.g.
+ *   { "profileRead": { "limit": 120 }, "global": { "limit": 2000 } }
+ */
+
+const DEFAULT_POLICIES = {
+  // Every /api request, before authentication
+  global: { windowMs: 60 * 1000, limit: 600, keyBy: 'ip' },
+  // GET /api/users/me (also upserts the user in MongoDB)
+  profileRead: { windowMs: 60 * 1000, limit: 60, adminLimit: 300, keyBy: 'caller' },
+  // Profile, API key and session changes
+  profileWrite: { windowMs: 60 * 1000, limit: 20, adminLimit: 60, keyBy: 'caller' },
+  // Reading other users (admins, service accounts, API keys)
+  userRead: { windowMs: 60 * 1000, limit: 120, adminLimit: 1200, keyBy: 'caller' },
+  // Logout
+  auth: { windowMs: 60 * 1000, limit: 30, keyBy: 'caller' },
+  // Admin operations and audit search
+  admin: { windowMs: 60 * 1000, limit: 60, adminLimit: 120, keyBy: 'caller' },
+  // Audit exports - each one streams the whole log
+  export: { windowMs: 60 * 60 * 1000, limit: 10, adminLimit: 20, keyBy: 'caller' },
+  // Server-to-server callbacks (back-channel logout, webhooks)
+  callback: { windowMs: 60 * 1000, limit: 300, keyBy: 'ip' }
+};
+
+// Parsed lazily so env vars loaded by dotenv are picked up
+let policies = null;
+
+/**
+ * Load policies, applying RATE_LIMIT_POLICIES overrides
+ */
+function loadPolicies() {
+  if (!process.env.RATE_LIMIT_POLICIES) {
+    return DEFAULT_POLICIES;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.RATE_LIMIT_POLICIES);
+  } catch (error) {
+    throw new Error(`Invalid RATE_LIMIT_POLICIES configuration: ${error.message}`);
+  }
+
+  const merged = { ...DEFAULT_POLICIES };
+  Object.entries(overrides).forEach(([name, override]) => {
+    merged[name] = { ...DEFAULT_POLICIES[name], ...override };
+  });
+  return merged;
+}
+
+/**
+ * Get a rate limit policy by name
+ */
+export function getRateLimitPolicy(name) {
+  if (!policies) {
+    policies = loadPolicies();
+  }
+
+  const policy = policies[name];
+  if (!policy || !(policy.windowMs > 0) || !(policy.limit > 0)) {
+    throw new Error(`Rate limit policy "${name}" needs a positive windowMs and limit`);
+  }
+  return { name, ...policy };
+}
+
+/**
+ * Whether rate limiting is enabled (default: on)
+ */
+export function isRateLimitEnabled() {
+  return process.env.RATE_LIMIT_ENABLED !== 'false';
+}
@@ -0,0 +1,116 @@
+/**
+ * Realm Configuration
+ *
+ * Why needed:
+ * - One Keycloak realm per customer (tenant)
+ * - Only tokens from an allowlisted realm are accepted
+ * - Each realm has its own JWKS endpoint, audience and role mapping
+ *
+ * How it works:
+ * - KEYCLOAK_REALMS holds a JSON array of trusted realms, e.g.
+ *   [{ "realm": "acme", "clientId": "acme-app", "roleMapping": { "acme-admin": "admin" } }]
+ * - Per-realm fields: realm (required), url, clientId, audience, allowAzpAudience, jwksUri, roleMapping,
+ *   adminClientId, adminClientSecret (service account for the Admin REST API)
+ * - Tokens must carry the audience (default: clientId) in aud. allowAzpAudience (opt-in) also accepts
+ *   tokens issued to that client (azp) without it - Keycloak only adds aud with an audience mapper
+ * - Missing url/clientId fall back to KEYCLOAK_URL/KEYCLOAK_CLIENT_ID
+ * - Missing admin credentials fall back to KEYCLOAK_ADMIN_CLIENT_ID/KEYCLOAK_ADMIN_CLIENT_SECRET
+ * - Without KEYCLOAK_REALMS, the single realm from KEYCLOAK_URL/KEYCLOAK_REALM is used
+ * - The realm of a token is chosen by its iss claim
+ */
+
+// Parsed lazily so env vars loaded by dotenv are picked up
+let realms = null;
+
+/**
+ * Build a normalized realm config
+ */
+function buildRealmConfig(entry) {
+  const url = (entry.url || process.env.KEYCLOAK_URL || '').replace(/\/+$/, '');
+
+  if (!entry.realm || !url) {
+    throw new Error('Each realm needs a realm name and a Keycloak URL (url or KEYCLOAK_URL)');
+  }
+
+  const issuer = `${url}/realms/${entry.realm}`;
+  const clientId = entry.clientId || process.env.KEYCLOAK_CLIENT_ID;
+
+  return {
+    name: entry.realm,
+    issuer,
+    clientId,
+    audience: entry.audience || clientId,
+    allowAzpAudience: entry.allowAzpAudience === true,
+    jwksUri: entry.jwksUri || `${issuer}/protocol/openid-connect/certs`,
+    tokenUrl: `${issuer}/protocol/openid-connect/token`,
+    adminUrl: `${url}/admin/realms/${entry.realm}`,
+    adminClientId: entry.adminClientId || process.env.KEYCLOAK_ADMIN_CLIENT_ID,
+    adminClientSecret: entry.adminClientSecret || process.env.KEYCLOAK_ADMIN_CLIENT_SECRET,
+    roleMapping: entry.roleMapping || {}
+  };
+}
+
+/**
+ * Load realm configs from the environment
+ */
+function loadRealms() {
+  if (process.env.KEYCLOAK_REALMS) {
+    let entries;
+    try {
+      entries = JSON.parse(process.env.KEYCLOAK_REALMS);
+    } catch (error) {
+      throw new Error(`Invalid KEYCLOAK_REALMS configuration: ${error.message}`);
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('Invalid KEYCLOAK_REALMS configuration: expected a non-empty JSON array');
+    }
+
+    return entries.map(buildRealmConfig);
+  }
+
+  if (!process.env.KEYCLOAK_URL || !process.env.KEYCLOAK_REALM) {
+    throw new Error('Server configuration error: KEYCLOAK_URL and KEYCLOAK_REALM must be set');
+  }
+
+  return [buildRealmConfig({
+    realm: process.env.KEYCLOAK_REALM,
+    jwksUri: process.env.KEYCLOAK_REALM_PUBLIC_KEY_URL,
+    allowAzpAudience: process.env.KEYCLOAK_ALLOW_AZP_AUDIENCE === 'true'
+  })];
+}
+
+/**
+ * Get all trusted realms
+ */
+export function getRealms() {
+  if (!realms) {
+    realms = loadRealms();
+  }
+  return realms;
+}
+
+/**
+ * Get the trusted realm matching a token issuer, or null
+ */
+export function getRealmByIssuer(issuer) {
+  if (!issuer) {
+    return null;
+  }
+  return getRealms().find(realm => realm.issuer === issuer) || null;
+}
+
+/**
+ * Get a trusted realm by name, or null
+ */
+export function getRealmByName(name) {
+  return getRealms().find(realm => realm.name === name) || null;
+}
+
+/**
+ * Map Keycloak role names to application role names for a realm
+ * Unmapped roles are kept as they are
+ */
+export function mapRoles(realm, roles = []) {
+  return [...new Set(roles.map(role => realm.roleMapping[role] || role))];
+}
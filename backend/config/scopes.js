@@ -0,0 +1,15 @@
+/**
+ * OAuth Scopes
+ *
+ * Why needed:
+ * - Service accounts and API keys are authorized by scopes instead of roles
+ * - One list of scope names shared by guards, routes and services
+ *
+ * For service accounts, create matching client scopes in Keycloak
+ * and assign them to the service account's client.
+ */
+export const SCOPES = {
+  USERS_READ: 'users:read',
+  PROFILE_READ: 'profile:read',
+  PROFILE_WRITE: 'profile:write'
+};
@@ -0,0 +1,121 @@
+import * as apiKeyService from '../service/apiKeyService.js';
+import * as userService from '../service/userService.js';
+import * as auditService from '../service/auditService.js';
+import { toInactiveAccountError } from '../service/accountLifecycleService.js';
+import { hasRole, getAdminRole } from '../middleware/authorize.js';
+import { ForbiddenError } from '../utils/errors.js';
+
+/**
+ * API Key Controller
+ *
+ * Why needed:
+ * - Lets users manage their own API keys
+ * - Returns the plaintext key exactly once, at creation
+ *
+ * How it works:
+ * - All routes act on the caller's own keys (req.user)
+ * - Admin-only scopes are granted only when the caller has the admin role
+ * - Disabled or inactive accounts cannot create keys
+ */
+
+/**
+ * Create an API key
+ * POST /api/users/me/api-keys
+ */
+export const createApiKey = async (req, res, next) => {
+  try {
+    // Make sure the owner exists locally - API key requests are resolved against it,
+    // and admin-only scopes need the admin role among the owner's stored roles.
+    // enabled and status are left as stored: creating a key never re-enables an account
+    const owner = await userService.syncUserFromKeycloak({
+      realm: req.user.realm,
+      keycloakId: req.user.keycloakId,
+      email: req.user.email,
+      username: req.user.username,
+      firstName: req.user.firstName,
+      lastName: req.user.lastName,
+      emailVerified: req.user.emailVerified,
+      roles: req.user.roles,
+      clientRoles: req.user.clientRoles,
+      groups: req.user.groups,
+      tokenIssuedAt: req.user.token?.iat ? new Date(req.user.token.iat * 1000) : undefined
+    });
+
+    if (!owner.enabled) {
+      throw new ForbiddenError('Account is disabled', { code: 'ACCOUNT_DISABLED' });
+    }
+    const accountError = toInactiveAccountError(owner);
+    if (accountError) {
+      throw accountError;
+    }
+
+    const { apiKey, key } = await apiKeyService.createApiKey(
+      { realm: req.user.realm, keycloakId: req.user.keycloakId },
+      {
+        name: req.body.name,
+        scopes: req.body.scopes,
+        expiresAt: req.body.expiresAt
+      },
+      { isAdmin: hasRole(req.user, getAdminRole()) }
+    );
+
+    await auditService.auditRequest(req, 'api_key.create', {
+      details: { apiKeyId: apiKey._id.toString(), name: apiKey.name, scopes: apiKey.scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store the key now, it will not be shown again.',
+      data: {
+        ...apiKey.toJSON(),
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the caller's API keys
+ * GET /api/users/me/api-keys
+ */
+export const listApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.listApiKeys(req.user.keycloakId, req.user.realm);
+
+    res.status(200).json({
+      success: true,
+      message: 'API keys retrieved successfully',
+      data: apiKeys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the caller's API keys
+ * DELETE /api/users/me/api-keys/:keyId
+ */
+export const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.revokeApiKey(
+      req.user.keycloakId,
+      req.user.realm,
+      req.params.keyId
+    );
+
+    await auditService.auditRequest(req, 'api_key.revoke', {
+      details: { apiKeyId: req.params.keyId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
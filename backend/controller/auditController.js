@@ -0,0 +1,175 @@
+import * as auditService from '../service/auditService.js';
+
+/**
+ * Audit Controller
+ *
+ * Why needed:
+ * - Lets admins search the audit log of their realm
+ * - Exports the audit log for compliance reviews (NDJSON or CSV)
+ *
+ * How it works:
+ * - Admins only see entries of their own realm (req.user.realm)
+ * - format=json (default) returns a page of entries, newest first
+ * - format=ndjson / format=csv stream every matching entry, oldest first
+ * - Every export is itself audited
+ */
+
+// Columns of the CSV export, as paths into an audit entry
+const CSV_COLUMNS = [
+  'createdAt', 'action', 'realm',
+  'actor.keycloakId', 'actor.username', 'actor.clientId', 'actor.type',
+  'target.keycloakId', 'target.username',
+  'method', 'path', 'statusCode', 'ip', 'userAgent', 'requestId',
+  'changes', 'details'
+];
+
+/**
+ * Read a dotted path from an object
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), object);
+}
+
+/**
+ * Format one CSV cell
+ * - Objects are written as JSON
+ * - Cells starting with = + - @ tab or CR are prefixed with ' so spreadsheets do not run them as formulas
+ */
+function toCsvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : value;
+  if (typeof text === 'object') {
+    text = JSON.stringify(text);
+  }
+  text = String(text);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format one audit entry as a CSV line
+ */
+function toCsvLine(event) {
+  return CSV_COLUMNS.map(column => toCsvCell(getPath(event, column))).join(',') + '\n';
+}
+
+/**
+ * Format one audit entry as an NDJSON line
+ */
+function toNdjsonLine(event) {
+  const { _id, __v, ...rest } = event;
+  return JSON.stringify({ id: _id, ...rest }) + '\n';
+}
+
+/**
+ * Filters from the query string
+ */
+function getFilters(query) {
+  const { action, actor, target, requestId, from, to } = query;
+  return { action, actor, target, requestId, from, to };
+}
+
+/**
+ * Wait until a paused response can take more data
+ * Resolves false instead when the client disconnects (drain would never come)
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    if (res.destroyed) {
+      return resolve(false);
+    }
+
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve(true);
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      resolve(false);
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+/**
+ * Stream every matching entry as NDJSON or CSV
+ * Stops, and closes the cursor, as soon as the client disconnects
+ */
+async function exportAuditEvents(req, res, format) {
+  const filters = getFilters(req.query);
+  const date = new Date().toISOString().slice(0, 10);
+
+  await auditService.auditRequest(req, 'audit.export', {
+    target: {},
+    details: { format, ...filters }
+  });
+
+  res.status(200);
+  res.set('Cache-Control', 'no-store');
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-${req.user.realm}-${date}.csv"`);
+    res.write(CSV_COLUMNS.join(',') + '\n');
+  } else {
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-${req.user.realm}-${date}.ndjson"`);
+  }
+
+  const formatLine = format === 'csv' ? toCsvLine : toNdjsonLine;
+  const cursor = auditService.streamAuditEvents(req.user.realm, filters);
+
+  try {
+    for await (const event of cursor) {
+      // Respect backpressure on large exports
+      if (res.destroyed || (!res.write(formatLine(event)) && !await waitForDrain(res))) {
+        req.log.info('audit export aborted, client disconnected');
+        return;
+      }
+    }
+    res.end();
+  } catch (error) {
+    // Headers are already sent - abort so the client sees an incomplete download
+    req.log.error('audit export failed', { err: error });
+    res.destroy(error);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+}
+
+/**
+ * Search or export the audit log of the caller's realm
+ * GET /api/audit?action=user.update&actor=<keycloakId>&from=2024-01-01&format=csv
+ */
+export const listAuditEvents = async (req, res, next) => {
+  const format = req.query.format || 'json';
+
+  if (format !== 'json') {
+    return exportAuditEvents(req, res, format);
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const result = await auditService.listAuditEvents(req.user.realm, getFilters(req.query), page, limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Audit events retrieved successfully',
+      data: result.events,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
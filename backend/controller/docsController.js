@@ -0,0 +1,38 @@
+import { buildOpenApiDocument } from '../docs/openapi.js';
+import { getRealms } from '../config/realms.js';
+
+/**
+ * Docs Controller
+ *
+ * Why needed:
+ * - Serves the OpenAPI document read by Swagger UI and API client generators
+ *
+ * How it works:
+ * - Built once, on the first request
+ * - The OIDC security scheme points at the first trusted realm
+ */
+
+let document = null;
+
+/**
+ * Issuer of the first trusted realm, if the realm configuration loads
+ */
+function getDefaultIssuer() {
+  try {
+    return getRealms()[0]?.issuer;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * OpenAPI document
+ * GET /api/docs/openapi.json
+ */
+export const getOpenApiDocument = (req, res) => {
+  if (!document) {
+    document = buildOpenApiDocument({ issuer: getDefaultIssuer() });
+  }
+
+  res.status(200).json(document);
+};
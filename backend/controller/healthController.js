@@ -0,0 +1,50 @@
+import * as healthService from '../service/healthService.js';
+
+/**
+ * Health Controller
+ *
+ * Why needed:
+ * - Probe endpoints for the orchestrator (Kubernetes, ECS, load balancers)
+ *
+ * How it works:
+ * - Liveness always answers 200 while the process runs - a failing dependency
+ *   must not get the instance restarted
+ * - Readiness answers 503 when a dependency is down, so traffic is routed elsewhere
+ * - Probe responses are never cached
+ */
+
+/**
+ * Liveness probe
+ * GET /health/live (and GET /health)
+ */
+export const liveness = (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({
+    success: true,
+    ...healthService.getLiveness()
+  });
+};
+
+/**
+ * Readiness probe
+ * GET /health/ready
+ */
+export const readiness = async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    const { ready, ...result } = await healthService.getReadiness();
+
+    res.status(ready ? 200 : 503).json({
+      success: ready,
+      ...result
+    });
+  } catch (error) {
+    res.status(503).json({
+      success: false,
+      status: 'not_ready',
+      message: 'Readiness check failed',
+      error: error.message
+    });
+  }
+};
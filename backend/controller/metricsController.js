@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import { renderMetrics, METRICS_CONTENT_TYPE } from '../utils/metrics.js';
+import { UnauthorizedError } from '../utils/errors.js';
+// Registers the MongoDB-backed user gauges
+import '../service/metricsService.js';
+
+/**
+ * Metrics Controller
+ *
+ * Why needed:
+ * - Serves Prometheus metrics at GET /metrics
+ *
+ * How it works:
+ * - When METRICS_TOKEN is set, scrapers must send Authorization: Bearer <METRICS_TOKEN>
+ * - Without it the endpoint is open - keep it on an internal network
+ */
+
+/**
+ * Compare the scrape token in constant time
+ */
+function isAuthorized(req) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    return true;
+  }
+
+  const provided = (req.get('authorization') || '').replace(/^Bearer /, '');
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Prometheus scrape endpoint
+ * GET /metrics
+ */
+export const getMetrics = async (req, res, next) => {
+  if (!isAuthorized(req)) {
+    return next(new UnauthorizedError('Invalid metrics token', { code: 'INVALID_METRICS_TOKEN' }));
+  }
+
+  try {
+    const body = await renderMetrics();
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.set('Cache-Control', 'no-store');
+    res.status(200).send(body);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,72 @@
+import * as reconciliationService from '../service/reconciliationService.js';
+import * as auditService from '../service/auditService.js';
+import { ConflictError } from '../utils/errors.js';
+
+/**
+ * Reconciliation Controller
+ *
+ * Why needed:
+ * - Lets admins trigger a Keycloak -> MongoDB reconciliation on demand
+ * - Lets admins read the drift reports of past runs
+ *
+ * How it works:
+ * - Admins act on their own realm only (req.user.realm)
+ * - A triggered run executes in the background; its report appears in the run list
+ */
+
+/**
+ * Trigger a reconciliation of the caller's realm
+ * POST /api/admin/reconciliation?dryRun=true
+ */
+export const triggerReconciliation = async (req, res, next) => {
+  const realm = req.user.realm;
+
+  if (reconciliationService.isReconciliationRunning(realm)) {
+    return next(new ConflictError('Reconciliation is already running for this realm', {
+      code: 'RECONCILIATION_RUNNING'
+    }));
+  }
+
+  const dryRun = req.query.dryRun === 'true';
+
+  reconciliationService.reconcileRealm(realm, {
+    trigger: 'admin',
+    triggeredBy: req.user.keycloakId,
+    dryRun
+  }).catch(error => {
+    req.log.error('reconciliation failed', { realm, err: error });
+  });
+
+  await auditService.auditRequest(req, 'admin.reconciliation.trigger', {
+    target: {},
+    details: { dryRun }
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Reconciliation started',
+    data: {
+      realm,
+      dryRun
+    }
+  });
+};
+
+/**
+ * List recent reconciliation runs of the caller's realm
+ * GET /api/admin/reconciliation/runs
+ */
+export const listRuns = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const runs = await reconciliationService.listRuns(req.user.realm, limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reconciliation runs retrieved successfully',
+      data: runs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
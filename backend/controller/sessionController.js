@@ -0,0 +1,62 @@
+import * as sessionService from '../service/sessionService.js';
+import * as auditService from '../service/auditService.js';
+
+/**
+ * Session Controller
+ *
+ * Why needed:
+ * - Lets users see the Keycloak sessions they have used against the API
+ * - Lets users end a session they do not recognize
+ *
+ * How it works:
+ * - All routes act on the caller's own sessions (req.user)
+ * - The session of the current token is flagged as current
+ */
+
+/**
+ * List the caller's sessions
+ * GET /api/users/me/sessions
+ */
+export const listSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.keycloakId, req.user.realm);
+    const currentSid = req.user.token?.sid;
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session.sid === currentSid
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the caller's sessions
+ * DELETE /api/users/me/sessions/:sid
+ */
+export const revokeSession = async (req, res, next) => {
+  try {
+    const session = await sessionService.revokeSession(
+      req.user.keycloakId,
+      req.user.realm,
+      req.params.sid
+    );
+
+    await auditService.auditRequest(req, 'session.revoke', {
+      details: { sid: req.params.sid }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,10 @@
 import * as userService from '../service/userService.js';
+import * as tokenRevocationService from '../service/tokenRevocationService.js';
+import * as auditService from '../service/auditService.js';
+import * as accountLifecycleService from '../service/accountLifecycleService.js';
+import { forgetSession } from '../service/sessionService.js';
+import { verifyLogoutToken } from '../middleware/keycloak.js';
+import { ValidationError, ForbiddenError } from '../utils/errors.js';
 
 /**
  * User Controller
@@ -13,7 +19,8 @@ import * as userService from '../service/userService.js';
  * - Receives requests from routes
  * - Calls service layer for business logic
  * - Returns formatted JSON responses
- * - Handles errors and sends appropriate status codes
+ * - Passes errors to the central error handler (next(error)), which maps typed errors to status codes
+ * - Writes an audit entry for every change and every admin read
  */
 
 /**
@@ -24,18 +31,61 @@ import * as userService from '../service/userService.js';
  * 1. User info extracted from token by keycloak middleware
  * 2. Sync user data from Keycloak to local DB
  * 3. Return user profile
+ * 
+ * Service accounts are never stored as users - they get their token info only
+ * While impersonating or with an API key, the stored user is returned as is (no sync, no lastLogin update)
  */
-export const getCurrentUser = async (req, res) => {
+export const getCurrentUser = async (req, res, next) => {
   try {
+    if (req.user.isServiceAccount) {
+      return res.status(200).json({
+        success: true,
+        message: 'Service account retrieved successfully',
+        data: {
+          principalType: req.user.principalType,
+          keycloakId: req.user.keycloakId,
+          realm: req.user.realm,
+          clientId: req.user.clientId,
+          username: req.user.username,
+          scopes: req.user.scopes,
+          roles: req.user.roles,
+          clientRoles: req.user.clientRoles
+        }
+      });
+    }
+
+    // Impersonation and API keys: req.user does not come from the user's own token
+    // (API keys carry no roles), so syncing it would overwrite the stored roles and lastLogin
+    if (req.user.impersonated || req.user.isApiKey) {
+      const user = await userService.getUserByKeycloakId(req.user.keycloakId, req.user.realm);
+
+      return res.status(200).json({
+        success: true,
+        message: 'User profile retrieved successfully',
+        data: {
+          ...user.toObject(),
+          ...(req.user.impersonated && {
+            impersonation: {
+              actor: req.user.actor
+            }
+          })
+        }
+      });
+    }
+
     // Sync user from Keycloak token to local database
     const user = await userService.syncUserFromKeycloak({
+      realm: req.user.realm,
       keycloakId: req.user.keycloakId,
       email: req.user.email,
       username: req.user.username,
       firstName: req.user.firstName,
       lastName: req.user.lastName,
       emailVerified: req.user.emailVerified,
-      enabled: true
+      roles: req.user.roles,
+      clientRoles: req.user.clientRoles,
+      groups: req.user.groups,
+      tokenIssuedAt: req.user.token?.iat ? new Date(req.user.token.iat * 1000) : undefined
     });
 
     // Convert user to plain object if it's a Mongoose document
@@ -49,6 +99,7 @@ export const getCurrentUser = async (req, res) => {
         // Include decoded token info for frontend
         tokenInfo: {
           keycloakId: req.user.keycloakId,
+          realm: req.user.realm,
           email: req.user.email,
           username: req.user.username,
           roles: req.user.roles,
@@ -57,21 +108,22 @@ export const getCurrentUser = async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to retrieve user profile',
-      error: error.message
-    });
+    next(error);
   }
 };
 
 /**
  * Get user by ID
  * GET /api/users/:id
+ * Only users of the caller's realm are visible
  */
-export const getUserById = async (req, res) => {
+export const getUserById = async (req, res, next) => {
   try {
-    const user = await userService.getUserById(req.params.id);
+    const user = await userService.getUserById(req.params.id, req.user.realm);
+
+    await auditService.auditRequest(req, 'admin.user.view', {
+      target: { keycloakId: user.keycloakId, username: user.username }
+    });
     
     res.status(200).json({
       success: true,
@@ -79,25 +131,93 @@ export const getUserById = async (req, res) => {
       data: user
     });
   } catch (error) {
-    const statusCode = error.message === 'User not found' ? 404 : 500;
-    res.status(statusCode).json({
-      success: false,
-      message: error.message,
-      error: error.message
+    next(error);
+  }
+};
+
+/**
+ * Get role and group change history of a user
+ * GET /api/users/:id/role-history
+ */
+export const getRoleHistory = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await userService.getRoleHistory(req.params.id, req.user.realm, page, limit);
+
+    await auditService.auditRequest(req, 'admin.user.role_history.view', {
+      target: { keycloakId: result.keycloakId }
     });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role history retrieved successfully',
+      data: result.changes,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
   }
 };
 
+/**
+ * URL of another page of the current list: same query, different cursor
+ */
+function getPageLink(req, cursor) {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.delete('page');
+  url.searchParams.set('cursor', cursor);
+  return `${url.pathname}?${url.searchParams}`;
+}
+
 /**
  * Get all users (with pagination)
  * GET /api/users
+ * Only users of the caller's realm are listed
+ * Filter with ?role=, ?clientRole= or ?group= (group path, e.g. /staff), ?search=,
+ * ?enabled=, ?emailVerified=, ?status= and created/lastLogin date ranges
+ * Sort with ?sort=&order=, select properties with ?fields=email,username
+ * Offset pages with ?page= (default), keyset pages with ?pagination=cursor then ?cursor=
  */
-export const getAllUsers = async (req, res) => {
+export const getAllUsers = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    
-    const result = await userService.getAllUsers(page, limit);
+    const {
+      role, clientRole, group, search, enabled, emailVerified, status,
+      createdFrom, createdTo, lastLoginFrom, lastLoginTo,
+      sort, order, fields, cursor, includeTotal
+    } = req.query;
+    const filters = {
+      role, clientRole, group, search, enabled, emailVerified, status,
+      createdFrom, createdTo, lastLoginFrom, lastLoginTo
+    };
+    const useCursor = cursor !== undefined || req.query.pagination === 'cursor';
+    const page = useCursor ? undefined : parseInt(req.query.page) || 1;
+
+    let result;
+    if (useCursor) {
+      result = await userService.getUsersByCursor(req.user.realm, limit, filters, { sort, order, fields, cursor, includeTotal });
+
+      const { nextCursor, prevCursor } = result.pagination;
+      result.pagination.next = nextCursor && getPageLink(req, nextCursor);
+      result.pagination.prev = prevCursor && getPageLink(req, prevCursor);
+
+      const links = [
+        result.pagination.next && `<${result.pagination.next}>; rel="next"`,
+        result.pagination.prev && `<${result.pagination.prev}>; rel="prev"`
+      ].filter(Boolean);
+      if (links.length > 0) {
+        res.set('Link', links.join(', '));
+      }
+    } else {
+      result = await userService.getAllUsers(req.user.realm, page, limit, filters, { sort, order, fields, includeTotal });
+    }
+
+    await auditService.auditRequest(req, 'admin.user.list', {
+      target: {},
+      details: { page, limit, ...filters, sort, order, cursor: useCursor, returned: result.users.length }
+    });
     
     res.status(200).json({
       success: true,
@@ -106,11 +226,7 @@ export const getAllUsers = async (req, res) => {
       pagination: result.pagination
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to retrieve users',
-      error: error.message
-    });
+    next(error);
   }
 };
 
@@ -118,12 +234,19 @@ export const getAllUsers = async (req, res) => {
  * Update user profile
  * PUT /api/users/me
  */
-export const updateCurrentUser = async (req, res) => {
+export const updateCurrentUser = async (req, res, next) => {
   try {
+    const before = await userService.getUserByKeycloakId(req.user.keycloakId, req.user.realm);
+
     const updatedUser = await userService.updateUserProfile(
       req.user.keycloakId,
+      req.user.realm,
       req.body
     );
+
+    await auditService.auditRequest(req, 'user.update', {
+      changes: auditService.diffFields(before, updatedUser, userService.UPDATABLE_PROFILE_FIELDS)
+    });
     
     res.status(200).json({
       success: true,
@@ -131,34 +254,243 @@ export const updateCurrentUser = async (req, res) => {
       data: updatedUser
     });
   } catch (error) {
-    const statusCode = error.message === 'User not found' ? 404 : 500;
-    res.status(statusCode).json({
-      success: false,
-      message: error.message,
-      error: error.message
-    });
+    // 409/400 when Keycloak rejected the change, 502 when it is unreachable
+    next(error);
   }
 };
 
 /**
- * Delete user (soft delete)
+ * Lifecycle fields returned after a status change
+ */
+function toAccountStatus(user) {
+  return {
+    status: user.status,
+    deactivatedAt: user.deactivatedAt,
+    deletionRequestedAt: user.deletionRequestedAt,
+    purgeAfter: user.purgeAfter
+  };
+}
+
+/**
+ * Delete user (scheduled, reversible until the grace period ends)
  * DELETE /api/users/me
+ * Every token of the user is revoked; signing in again only allows reactivation
  */
-export const deleteCurrentUser = async (req, res) => {
+export const deleteCurrentUser = async (req, res, next) => {
   try {
-    await userService.deleteUser(req.user.keycloakId);
+    const user = await accountLifecycleService.requestAccountDeletion(req.user.keycloakId, req.user.realm);
+    await tokenRevocationService.revokeSubject(req.user.keycloakId, req.user.realm, 'user_deleted');
+
+    await auditService.auditRequest(req, 'user.delete', {
+      changes: { status: { from: 'active', to: user.status } },
+      details: { purgeAfter: user.purgeAfter }
+    });
     
     res.status(200).json({
       success: true,
-      message: 'User deleted successfully'
+      message: 'Account scheduled for deletion',
+      data: toAccountStatus(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate the current user's account
+ * POST /api/users/me/deactivate
+ * Every token of the user is revoked; signing in again only allows reactivation
+ */
+export const deactivateCurrentUser = async (req, res, next) => {
+  try {
+    const user = await accountLifecycleService.deactivateAccount(req.user.keycloakId, req.user.realm);
+    await tokenRevocationService.revokeSubject(req.user.keycloakId, req.user.realm, 'user_deactivated');
+
+    await auditService.auditRequest(req, 'user.deactivate', {
+      changes: { status: { from: 'active', to: user.status } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deactivated',
+      data: toAccountStatus(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reactivate the current user's account (deactivated, or pending deletion within the grace period)
+ * POST /api/users/me/reactivate
+ * Reachable with an inactive account (allowInactiveAccount)
+ */
+export const reactivateCurrentUser = async (req, res, next) => {
+  try {
+    const before = await userService.getUserByKeycloakId(req.user.keycloakId, req.user.realm);
+    const user = await accountLifecycleService.reactivateAccount(req.user.keycloakId, req.user.realm);
+
+    await auditService.auditRequest(req, 'user.reactivate', {
+      changes: { status: { from: before.status, to: user.status } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account reactivated',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refuse admin actions that would lock the caller out of their own account
+ */
+function forbidSelfAction(req, user, action) {
+  if (user.keycloakId === req.user.keycloakId) {
+    throw new ForbiddenError(`Admins cannot ${action} their own account`, { code: 'SELF_ACTION_FORBIDDEN' });
+  }
+}
+
+/**
+ * Audit target of an admin action on a user
+ */
+function toAuditTarget(user) {
+  return { keycloakId: user.keycloakId, username: user.username };
+}
+
+/**
+ * Edit a user's profile (admin)
+ * PATCH /api/users/:id
+ * Keycloak-owned fields are written through, like PUT /api/users/me
+ */
+export const updateUserById = async (req, res, next) => {
+  try {
+    const before = await userService.getUserById(req.params.id, req.user.realm);
+    const updatedUser = await userService.updateUserProfile(before.keycloakId, req.user.realm, req.body);
+
+    await auditService.auditRequest(req, 'admin.user.update', {
+      target: toAuditTarget(updatedUser),
+      changes: auditService.diffFields(before, updatedUser, userService.UPDATABLE_PROFILE_FIELDS)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: updatedUser
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disable a user (admin)
+ * POST /api/users/:id/disable
+ * Disables the Keycloak account and revokes every token issued so far
+ */
+export const disableUser = async (req, res, next) => {
+  try {
+    const target = await userService.getUserById(req.params.id, req.user.realm);
+    forbidSelfAction(req, target, 'disable');
+
+    const user = await userService.setUserEnabled(target.keycloakId, req.user.realm, false);
+    await tokenRevocationService.revokeSubject(user.keycloakId, req.user.realm, 'user_disabled');
+
+    await auditService.auditRequest(req, 'admin.user.disable', {
+      target: toAuditTarget(user),
+      changes: { enabled: { from: target.enabled, to: false } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User disabled successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-enable a user (admin)
+ * POST /api/users/:id/enable
+ */
+export const enableUser = async (req, res, next) => {
+  try {
+    const target = await userService.getUserById(req.params.id, req.user.realm);
+    const user = await userService.setUserEnabled(target.keycloakId, req.user.realm, true);
+
+    await auditService.auditRequest(req, 'admin.user.enable', {
+      target: toAuditTarget(user),
+      changes: { enabled: { from: target.enabled, to: true } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User enabled successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reactivate a user's account (admin), within the grace period of a deletion
+ * POST /api/users/:id/reactivate
+ */
+export const reactivateUser = async (req, res, next) => {
+  try {
+    const target = await userService.getUserById(req.params.id, req.user.realm);
+    const user = await accountLifecycleService.reactivateAccount(target.keycloakId, req.user.realm);
+
+    await auditService.auditRequest(req, 'admin.user.reactivate', {
+      target: toAuditTarget(user),
+      changes: { status: { from: target.status, to: user.status } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account reactivated',
+      data: user
     });
   } catch (error) {
-    const statusCode = error.message === 'User not found' ? 404 : 500;
-    res.status(statusCode).json({
-      success: false,
-      message: error.message,
-      error: error.message
+    next(error);
+  }
+};
+
+/**
+ * Delete a user (admin)
+ * DELETE /api/users/:id?hard=true
+ * Default: scheduled deletion with a grace period, like DELETE /me
+ * hard=true: purge now - a tombstone is kept, role history, sessions and API keys are removed
+ * Either way the user's tokens are revoked
+ */
+export const deleteUserById = async (req, res, next) => {
+  try {
+    const hard = req.query.hard === true;
+    const target = await userService.getUserById(req.params.id, req.user.realm);
+    forbidSelfAction(req, target, 'delete');
+
+    const user = hard
+      ? await accountLifecycleService.purgeAccountNow(target.keycloakId, req.user.realm)
+      : await accountLifecycleService.requestAccountDeletion(target.keycloakId, req.user.realm);
+    await tokenRevocationService.revokeSubject(target.keycloakId, req.user.realm, 'user_deleted');
+
+    await auditService.auditRequest(req, 'admin.user.delete', {
+      target: toAuditTarget(target),
+      details: { hard, ...(!hard && { purgeAfter: user.purgeAfter }) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: hard ? 'User permanently deleted' : 'User scheduled for deletion',
+      ...(!hard && { data: toAccountStatus(user) })
     });
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -166,25 +498,91 @@ export const deleteCurrentUser = async (req, res) => {
  * Logout endpoint
  * POST /api/users/logout
  * 
- * Note: JWT tokens are stateless, so we can't invalidate them server-side.
- * This endpoint acknowledges the logout and logs the event.
- * The actual token clearing happens on the frontend and Keycloak side.
+ * Revokes the current token (jti) and its Keycloak session (sid) server-side.
+ * Any further request with a token from this session is rejected with TOKEN_REVOKED.
+ * The Keycloak session itself is ended by the frontend redirect to Keycloak logout.
  */
-export const logout = async (req, res) => {
+export const logout = async (req, res, next) => {
   try {
+    const revoked = await tokenRevocationService.revokeToken(req.user.token, req.user.realm, 'logout');
+    if (req.user.token?.sid) {
+      forgetSession(req.user.realm, req.user.token.sid);
+    }
+
+    await auditService.auditRequest(req, 'user.logout', {
+      details: { sid: req.user.token?.sid, revoked }
+    });
+
     res.status(200).json({
       success: true,
-      message: 'Logout successful. Token should be cleared on frontend.',
+      message: 'Logout successful. Token has been revoked.',
       data: {
+        revoked: revoked > 0,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Logout failed',
-      error: error.message
+    next(error);
+  }
+};
+
+/**
+ * Back-channel logout receiver
+ * POST /api/users/backchannel-logout
+ * 
+ * Called by Keycloak (not the browser) when a session ends on the Keycloak side,
+ * e.g. an admin signs the user out. Body is form-encoded: logout_token=<jwt>
+ * 
+ * Flow:
+ * 1. Verify the logout token against Keycloak's JWKS
+ * 2. Revoke the session (sid) and/or all tokens of the user (sub)
+ * 3. Reply 200 so Keycloak knows the logout was applied
+ */
+export const backchannelLogout = async (req, res, next) => {
+  // Logout responses must never be cached
+  res.set('Cache-Control', 'no-store');
+
+  const logoutToken = req.body?.logout_token;
+
+  if (!logoutToken) {
+    return next(new ValidationError('logout_token is required', { code: 'INVALID_LOGOUT_TOKEN' }));
+  }
+
+  let claims;
+  let realm;
+  try {
+    ({ claims, realm } = await verifyLogoutToken(logoutToken));
+  } catch (error) {
+    return next(new ValidationError('Invalid logout token', { code: 'INVALID_LOGOUT_TOKEN' }));
+  }
+
+  try {
+    if (claims.sid) {
+      await tokenRevocationService.revokeSession(claims.sid, realm);
+      forgetSession(realm, claims.sid);
+    }
+    if (claims.sub) {
+      await tokenRevocationService.revokeSubject(claims.sub, realm);
+    }
+
+    await auditService.recordAuditEvent({
+      realm,
+      action: 'user.backchannel_logout',
+      actor: { type: 'keycloak' },
+      target: { keycloakId: claims.sub },
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      requestId: auditService.getRequestId(req),
+      details: { sid: claims.sid }
     });
+
+    res.status(200).json({
+      success: true,
+      message: 'Back-channel logout processed'
+    });
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -192,7 +590,7 @@ export const logout = async (req, res) => {
  * Health check for user service
  * GET /api/users/health
  */
-export const healthCheck = async (req, res) => {
+export const healthCheck = async (req, res, next) => {
   try {
     const dbConnected = await userService.checkDatabaseConnection();
     
@@ -205,11 +603,7 @@ export const healthCheck = async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Health check failed',
-      error: error.message
-    });
+    next(error);
   }
 };
 
@@ -0,0 +1,44 @@
+import * as keycloakEventService from '../service/keycloakEventService.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Webhook Controller
+ *
+ * Why needed:
+ * - Receives Keycloak user and admin events pushed by an event listener
+ * - Keeps the User collection in sync without waiting for the user to log in
+ *
+ * How it works:
+ * - Signature is checked by verifyWebhookSignature before this runs
+ * - Body is one event or an array of events
+ * - Replayed events are acknowledged but not applied again
+ */
+
+/**
+ * Receive Keycloak events
+ * POST /api/webhooks/keycloak
+ */
+export const receiveKeycloakEvent = async (req, res, next) => {
+  const events = Array.isArray(req.body) ? req.body : [req.body];
+
+  if (events.length === 0 || events.some(event => !event || typeof event !== 'object')) {
+    return next(new ValidationError('Request body must be a Keycloak event or an array of events', {
+      code: 'INVALID_EVENT'
+    }));
+  }
+
+  try {
+    const results = [];
+    for (const event of events) {
+      results.push(await keycloakEventService.processKeycloakEvent(event));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook events processed',
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,1092 @@
+import { SCOPES } from '../config/scopes.js';
+import { AUDIT_EXPORT_FORMATS } from '../validator/auditValidator.js';
+import { ACCOUNT_STATUSES } from '../models/user.js';
+import { USER_SORT_FIELDS, USER_SORT_ORDERS, USER_SELECTABLE_FIELDS, USER_PAGINATION_MODES } from '../validator/userValidator.js';
+
+/**
+ * OpenAPI Document
+ *
+ * Why needed:
+ * - One machine-readable description of every endpoint, its security and its responses
+ * - Served at /api/docs (Swagger UI) and /api/docs/openapi.json
+ * - The frontend API client (frontend/src/api/client.js) is generated from it
+ *
+ * How it works:
+ * - Written by hand next to the routes - update it together with routes, validators and controllers
+ * - envelope() and paginated() describe the { success, message, data, pagination } response shape
+ * - problem() describes error responses (RFC 7807 application/problem+json, see utils/errors.js)
+ * - Operations marked x-internal (webhooks, Keycloak callbacks, metrics) are left out of the client
+ * - npm run openapi:check fails when a route is missing here or the generated client is stale
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+/**
+ * Success response body: { success, message, data }
+ */
+function envelope(data) {
+  return {
+    allOf: [
+      ref('SuccessEnvelope'),
+      ...(data ? [{ type: 'object', required: ['data'], properties: { data } }] : [])
+    ]
+  };
+}
+
+/**
+ * Paginated success response body: { success, message, data: [...], pagination }
+ */
+function paginated(item, pagination = ref('Pagination')) {
+  return {
+    allOf: [
+      ref('SuccessEnvelope'),
+      {
+        type: 'object',
+        required: ['data', 'pagination'],
+        properties: {
+          data: { type: 'array', items: item },
+          pagination
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * JSON response with a description
+ */
+function json(description, schema, extra = {}) {
+  return {
+    description,
+    content: { 'application/json': { schema } },
+    ...extra
+  };
+}
+
+/**
+ * Error response (application/problem+json) with a description
+ */
+function problem(description, schema = ref('Problem'), extra = {}) {
+  return {
+    description,
+    content: { 'application/problem+json': { schema } },
+    ...extra
+  };
+}
+
+const pageParams = (defaultLimit, maxLimit) => [
+  { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+  { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit } }
+];
+
+// Errors every authenticated route can return
+const authErrors = {
+  401: response('Unauthorized'),
+  403: response('Forbidden'),
+  429: response('RateLimited'),
+  500: response('ServerError')
+};
+
+const tokenSecurity = [{ bearerAuth: [] }, { oidc: [] }];
+const tokenOrApiKeySecurity = [{ bearerAuth: [] }, { oidc: [] }, { apiKey: [] }];
+
+const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'Keycloak access token of a trusted realm. DPoP-bound tokens are sent as `Authorization: DPoP <token>` with a `DPoP` proof header.'
+    },
+    oidc: {
+      type: 'openIdConnect',
+      openIdConnectUrl: 'http://localhost:8080/realms/your-realm/.well-known/openid-configuration',
+      description: 'Keycloak realm (OIDC provider) issuing the access tokens. Every trusted realm is accepted.'
+    },
+    apiKey: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-API-Key',
+      description: `Personal API key, limited to its scopes (${Object.values(SCOPES).join(', ')}).`
+    }
+  },
+  parameters: {
+    UserId: {
+      name: 'id',
+      in: 'path',
+      required: true,
+      description: 'MongoDB id of the user',
+      schema: { type: 'string' }
+    },
+    ImpersonateUser: {
+      name: 'X-Impersonate-User',
+      in: 'header',
+      required: false,
+      description: 'Keycloak id of the user to act as (requires the impersonator role)',
+      schema: { type: 'string' }
+    }
+  },
+  schemas: {
+    SuccessEnvelope: {
+      type: 'object',
+      required: ['success', 'message'],
+      properties: {
+        success: { type: 'boolean', enum: [true] },
+        message: { type: 'string' }
+      }
+    },
+    Problem: {
+      type: 'object',
+      description: 'RFC 7807 problem document',
+      required: ['type', 'title', 'status', 'detail', 'code', 'success', 'message', 'error'],
+      properties: {
+        type: { type: 'string', description: 'Problem type URI, derived from code (e.g. urn:problem-type:token-expired)' },
+        title: { type: 'string', description: 'HTTP status text' },
+        status: { type: 'integer' },
+        detail: { type: 'string', description: 'Human-readable explanation' },
+        instance: { type: 'string', description: 'Request path' },
+        code: { type: 'string', description: 'Stable error code (e.g. TOKEN_EXPIRED, USER_NOT_FOUND)' },
+        requestId: { type: 'string', description: 'X-Request-Id of the failed request' },
+        success: { type: 'boolean', enum: [false] },
+        message: { type: 'string', description: 'Same as detail (legacy envelope)' },
+        error: { type: 'string', description: 'Same as code (legacy envelope)' }
+      }
+    },
+    ValidationProblem: {
+      allOf: [
+        ref('Problem'),
+        {
+          type: 'object',
+          properties: {
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string' },
+                  message: { type: 'string' },
+                  value: {}
+                }
+              }
+            }
+          }
+        }
+      ]
+    },
+    Pagination: {
+      type: 'object',
+      description: 'Offset pagination. total and pages are left out when includeTotal=false.',
+      required: ['page', 'limit'],
+      properties: {
+        page: { type: 'integer' },
+        limit: { type: 'integer' },
+        total: { type: 'integer' },
+        pages: { type: 'integer' }
+      }
+    },
+    CursorPagination: {
+      type: 'object',
+      description: 'Keyset pagination. Cursors and links are null when there is no page in that direction.',
+      required: ['limit', 'nextCursor', 'prevCursor', 'next', 'prev'],
+      properties: {
+        limit: { type: 'integer' },
+        nextCursor: { type: 'string', nullable: true },
+        prevCursor: { type: 'string', nullable: true },
+        next: { type: 'string', nullable: true, description: 'Relative URL of the next page' },
+        prev: { type: 'string', nullable: true, description: 'Relative URL of the previous page' },
+        total: { type: 'integer', description: 'Only with includeTotal=true' }
+      }
+    },
+    User: {
+      type: 'object',
+      properties: {
+        _id: { type: 'string' },
+        realm: { type: 'string' },
+        keycloakId: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        username: { type: 'string' },
+        firstName: { type: 'string' },
+        lastName: { type: 'string' },
+        enabled: { type: 'boolean' },
+        emailVerified: { type: 'boolean' },
+        roles: { type: 'array', items: { type: 'string' } },
+        clientRoles: { type: 'array', items: { type: 'string' } },
+        groups: { type: 'array', items: { type: 'string' } },
+        profilePicture: { type: 'string' },
+        phoneNumber: { type: 'string' },
+        preferences: { type: 'object', additionalProperties: true },
+        lastLogin: { type: 'string', format: 'date-time' },
+        profileUpdatedAt: { type: 'string', format: 'date-time' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        status: { type: 'string', enum: ACCOUNT_STATUSES, description: 'Account lifecycle state (enabled mirrors Keycloak)' },
+        deactivatedAt: { type: 'string', format: 'date-time' },
+        deletionRequestedAt: { type: 'string', format: 'date-time' },
+        purgeAfter: { type: 'string', format: 'date-time', description: 'End of the grace period of a pending deletion' },
+        purgedAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    AccountStatus: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ACCOUNT_STATUSES },
+        deactivatedAt: { type: 'string', format: 'date-time' },
+        deletionRequestedAt: { type: 'string', format: 'date-time' },
+        purgeAfter: { type: 'string', format: 'date-time' }
+      }
+    },
+    CurrentUser: {
+      allOf: [
+        ref('User'),
+        {
+          type: 'object',
+          properties: {
+            tokenInfo: {
+              type: 'object',
+              description: 'Claims of the access token used for this request',
+              properties: {
+                keycloakId: { type: 'string' },
+                realm: { type: 'string' },
+                email: { type: 'string' },
+                username: { type: 'string' },
+                roles: { type: 'array', items: { type: 'string' } },
+                clientRoles: { type: 'array', items: { type: 'string' } }
+              }
+            },
+            impersonation: {
+              type: 'object',
+              description: 'Present while impersonating',
+              properties: {
+                actor: ref('Actor')
+              }
+            }
+          }
+        }
+      ]
+    },
+    ServiceAccount: {
+      type: 'object',
+      description: 'Returned by GET /api/users/me for client credentials tokens',
+      properties: {
+        principalType: { type: 'string', enum: ['service_account'] },
+        keycloakId: { type: 'string' },
+        realm: { type: 'string' },
+        clientId: { type: 'string' },
+        username: { type: 'string' },
+        scopes: { type: 'array', items: { type: 'string' } },
+        roles: { type: 'array', items: { type: 'string' } },
+        clientRoles: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    Actor: {
+      type: 'object',
+      properties: {
+        keycloakId: { type: 'string' },
+        username: { type: 'string' },
+        clientId: { type: 'string' },
+        via: { type: 'string', enum: ['header', 'token_exchange'] }
+      }
+    },
+    UserUpdate: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        username: { type: 'string', minLength: 3, maxLength: 30, pattern: '^[a-zA-Z0-9_]+$' },
+        firstName: { type: 'string', minLength: 1, maxLength: 50 },
+        lastName: { type: 'string', minLength: 1, maxLength: 50 },
+        phoneNumber: { type: 'string', pattern: '^\\+?[1-9]\\d{1,14}$', description: 'E.164' },
+        preferences: { type: 'object', additionalProperties: true }
+      }
+    },
+    AdminUserUpdate: {
+      type: 'object',
+      description: 'At least one field; any other field is rejected',
+      minProperties: 1,
+      additionalProperties: false,
+      properties: {
+        firstName: { type: 'string', minLength: 1, maxLength: 50 },
+        lastName: { type: 'string', minLength: 1, maxLength: 50 },
+        phoneNumber: { type: 'string', pattern: '^\\+?[1-9]\\d{1,14}$', description: 'E.164' },
+        profilePicture: { type: 'string', format: 'uri' },
+        preferences: { type: 'object', additionalProperties: true }
+      }
+    },
+    LogoutResult: {
+      type: 'object',
+      properties: {
+        revoked: { type: 'boolean' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+    Session: {
+      type: 'object',
+      properties: {
+        realm: { type: 'string' },
+        keycloakId: { type: 'string' },
+        sid: { type: 'string' },
+        clientId: { type: 'string' },
+        ip: { type: 'string' },
+        userAgent: { type: 'string' },
+        firstSeenAt: { type: 'string', format: 'date-time' },
+        lastSeenAt: { type: 'string', format: 'date-time' },
+        revokedAt: { type: 'string', format: 'date-time' },
+        current: { type: 'boolean', description: 'Session of the token used for this request' }
+      }
+    },
+    ApiKey: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        realm: { type: 'string' },
+        keycloakId: { type: 'string' },
+        name: { type: 'string' },
+        prefix: { type: 'string' },
+        scopes: { type: 'array', items: { type: 'string', enum: Object.values(SCOPES) } },
+        expiresAt: { type: 'string', format: 'date-time' },
+        revokedAt: { type: 'string', format: 'date-time' },
+        lastUsedAt: { type: 'string', format: 'date-time' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    CreatedApiKey: {
+      allOf: [
+        ref('ApiKey'),
+        {
+          type: 'object',
+          required: ['key'],
+          properties: {
+            key: { type: 'string', description: 'Plaintext key - shown only once' }
+          }
+        }
+      ]
+    },
+    ApiKeyCreate: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        scopes: { type: 'array', items: { type: 'string', enum: Object.values(SCOPES) } },
+        expiresAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    MembershipDiff: {
+      type: 'object',
+      properties: {
+        added: { type: 'array', items: { type: 'string' } },
+        removed: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    RoleChange: {
+      type: 'object',
+      properties: {
+        realm: { type: 'string' },
+        keycloakId: { type: 'string' },
+        source: { type: 'string', enum: ['token', 'reconciliation'] },
+        roles: ref('MembershipDiff'),
+        clientRoles: ref('MembershipDiff'),
+        groups: ref('MembershipDiff'),
+        changedAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    ReconciliationRun: {
+      type: 'object',
+      properties: {
+        _id: { type: 'string' },
+        realm: { type: 'string' },
+        trigger: { type: 'string', enum: ['schedule', 'admin'] },
+        triggeredBy: { type: 'string' },
+        dryRun: { type: 'boolean' },
+        status: { type: 'string', enum: ['running', 'completed', 'failed'] },
+        startedAt: { type: 'string', format: 'date-time' },
+        finishedAt: { type: 'string', format: 'date-time' },
+        counts: {
+          type: 'object',
+          properties: {
+            scanned: { type: 'integer' },
+            created: { type: 'integer' },
+            updated: { type: 'integer' },
+            disabled: { type: 'integer' },
+            skipped: { type: 'integer' }
+          }
+        },
+        drift: { type: 'array', items: { type: 'object', additionalProperties: true } },
+        driftTruncated: { type: 'boolean' },
+        error: { type: 'string' }
+      }
+    },
+    AuditEvent: {
+      type: 'object',
+      properties: {
+        _id: { type: 'string' },
+        realm: { type: 'string' },
+        action: { type: 'string', example: 'user.update' },
+        actor: {
+          type: 'object',
+          properties: {
+            keycloakId: { type: 'string' },
+            username: { type: 'string' },
+            clientId: { type: 'string' },
+            type: { type: 'string' }
+          }
+        },
+        target: {
+          type: 'object',
+          properties: {
+            keycloakId: { type: 'string' },
+            username: { type: 'string' }
+          }
+        },
+        changes: { type: 'object', additionalProperties: true },
+        method: { type: 'string' },
+        path: { type: 'string' },
+        statusCode: { type: 'integer' },
+        ip: { type: 'string' },
+        userAgent: { type: 'string' },
+        requestId: { type: 'string' },
+        details: { type: 'object', additionalProperties: true },
+        createdAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    WebhookResult: {
+      type: 'object',
+      additionalProperties: true
+    },
+    HealthCheck: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['up', 'down'] },
+        latencyMs: { type: 'number' },
+        details: { type: 'object', additionalProperties: true },
+        error: { type: 'string' }
+      }
+    },
+    Liveness: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        status: { type: 'string', enum: ['alive'] },
+        uptimeSeconds: { type: 'integer' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+    Readiness: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        status: { type: 'string', enum: ['ready', 'not_ready'] },
+        lifecycle: { type: 'string', enum: ['starting', 'running', 'stopping'] },
+        checks: {
+          type: 'object',
+          properties: {
+            config: ref('HealthCheck'),
+            mongodb: ref('HealthCheck'),
+            jwks: {
+              allOf: [
+                ref('HealthCheck'),
+                {
+                  type: 'object',
+                  properties: {
+                    realms: { type: 'object', additionalProperties: ref('HealthCheck') }
+                  }
+                }
+              ]
+            }
+          }
+        },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    }
+  },
+  responses: {
+    ValidationFailed: problem('Validation failed', ref('ValidationProblem')),
+    Unauthorized: problem('Missing, invalid, expired or revoked credentials'),
+    Forbidden: problem('Authenticated but not allowed (role, scope, impersonation, or a disabled or inactive account: ACCOUNT_DISABLED, ACCOUNT_DEACTIVATED, ACCOUNT_PENDING_DELETION, ACCOUNT_PURGED)'),
+    NotFound: problem('Not found'),
+    RateLimited: problem('Rate limit exceeded', ref('Problem'), {
+      headers: {
+        'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the window resets' },
+        'RateLimit-Limit': { schema: { type: 'integer' } },
+        'RateLimit-Remaining': { schema: { type: 'integer' } },
+        'RateLimit-Reset': { schema: { type: 'integer' } }
+      }
+    }),
+    ServerError: problem('Unexpected server error')
+  }
+};
+
+const paths = {
+  '/health': {
+    get: {
+      tags: ['Health'],
+      operationId: 'getHealth',
+      summary: 'Liveness probe (alias of /health/live)',
+      'x-internal': true,
+      responses: { 200: json('Process is running', ref('Liveness')) }
+    }
+  },
+  '/health/live': {
+    get: {
+      tags: ['Health'],
+      operationId: 'getLiveness',
+      summary: 'Liveness probe',
+      'x-internal': true,
+      responses: { 200: json('Process is running', ref('Liveness')) }
+    }
+  },
+  '/health/ready': {
+    get: {
+      tags: ['Health'],
+      operationId: 'getReadiness',
+      summary: 'Readiness probe - MongoDB, JWKS and configuration',
+      'x-internal': true,
+      responses: {
+        200: json('Ready to serve traffic', ref('Readiness')),
+        503: json('Starting, stopping or a dependency is down', ref('Readiness'))
+      }
+    }
+  },
+  '/metrics': {
+    get: {
+      tags: ['Health'],
+      operationId: 'getMetrics',
+      summary: 'Prometheus metrics',
+      description: 'Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.',
+      'x-internal': true,
+      responses: {
+        200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+        401: response('Unauthorized')
+      }
+    }
+  },
+  '/api/users/health': {
+    get: {
+      tags: ['Users'],
+      operationId: 'getUserServiceHealth',
+      summary: 'User service health check',
+      security: [],
+      responses: {
+        200: json('Database status', envelope({
+          type: 'object',
+          properties: {
+            database: { type: 'string', enum: ['connected', 'disconnected'] },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        })),
+        500: response('ServerError')
+      }
+    }
+  },
+  '/api/users/backchannel-logout': {
+    post: {
+      tags: ['Auth'],
+      operationId: 'backchannelLogout',
+      summary: 'Keycloak back-channel logout receiver',
+      description: 'Called by Keycloak, authenticated by the signed logout_token.',
+      security: [],
+      'x-internal': true,
+      requestBody: {
+        required: true,
+        content: {
+          'application/x-www-form-urlencoded': {
+            schema: {
+              type: 'object',
+              required: ['logout_token'],
+              properties: { logout_token: { type: 'string' } }
+            }
+          }
+        }
+      },
+      responses: {
+        200: json('Logout applied', envelope()),
+        400: problem('Missing or invalid logout token'),
+        429: response('RateLimited'),
+        500: response('ServerError')
+      }
+    }
+  },
+  '/api/users/me': {
+    get: {
+      tags: ['Profile'],
+      operationId: 'getCurrentUser',
+      summary: 'Get the current user profile',
+      description: `Syncs the user from the token. API keys need the ${SCOPES.PROFILE_READ} scope.`,
+      security: tokenOrApiKeySecurity,
+      parameters: [param('ImpersonateUser')],
+      responses: {
+        200: json('Current user (or service account)', envelope({ oneOf: [ref('CurrentUser'), ref('ServiceAccount')] })),
+        404: response('NotFound'),
+        ...authErrors
+      }
+    },
+    put: {
+      tags: ['Profile'],
+      operationId: 'updateCurrentUser',
+      summary: 'Update the current user profile',
+      description: `Human users only; written through to Keycloak when enabled. API keys need the ${SCOPES.PROFILE_WRITE} scope.`,
+      security: tokenOrApiKeySecurity,
+      parameters: [param('ImpersonateUser')],
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: ref('UserUpdate') } }
+      },
+      responses: {
+        200: json('Updated user', envelope(ref('User'))),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        409: problem('Rejected by Keycloak (e.g. email already taken)'),
+        502: problem('Keycloak unreachable'),
+        ...authErrors
+      }
+    },
+    delete: {
+      tags: ['Profile'],
+      operationId: 'deleteCurrentUser',
+      summary: 'Delete the current user after a grace period',
+      description: [
+        'Human users only; not while impersonating. The account is pending deletion until purgeAfter',
+        '(ACCOUNT_DELETION_GRACE_DAYS, default 30) and can be reactivated until then; afterwards it is purged.',
+        'Every token of the user is revoked.'
+      ].join(' '),
+      security: tokenSecurity,
+      responses: {
+        200: json('Account scheduled for deletion', envelope(ref('AccountStatus'))),
+        404: response('NotFound'),
+        409: problem('Already scheduled for deletion, or already purged with hard=true (INVALID_ACCOUNT_STATE)'),
+        ...authErrors
+      }
+    }
+  },
+  '/api/users/me/deactivate': {
+    post: {
+      tags: ['Profile'],
+      operationId: 'deactivateCurrentUser',
+      summary: 'Deactivate the current user',
+      description: [
+        'Human users only; not while impersonating. Every token of the user is revoked;',
+        'until reactivated, requests are refused with 403 ACCOUNT_DEACTIVATED.'
+      ].join(' '),
+      security: tokenSecurity,
+      responses: {
+        200: json('Account deactivated', envelope(ref('AccountStatus'))),
+        404: response('NotFound'),
+        409: problem('Account is not active (INVALID_ACCOUNT_STATE)'),
+        ...authErrors
+      }
+    }
+  },
+  '/api/users/me/reactivate': {
+    post: {
+      tags: ['Profile'],
+      operationId: 'reactivateCurrentUser',
+      summary: 'Reactivate the current user',
+      description: [
+        'Open to deactivated accounts and to pending deletions within their grace period (which cancels the deletion).',
+        'Active accounts are returned unchanged.'
+      ].join(' '),
+      security: tokenSecurity,
+      responses: {
+        200: json('Reactivated user', envelope(ref('User'))),
+        404: response('NotFound'),
+        409: problem('Grace period over (REACTIVATION_EXPIRED)'),
+        ...authErrors
+      }
+    }
+  },
+  '/api/users/logout': {
+    post: {
+      tags: ['Auth'],
+      operationId: 'logout',
+      summary: 'Revoke the current token and session',
+      description: 'Also open to inactive accounts.',
+      security: tokenSecurity,
+      responses: {
+        200: json('Token revoked', envelope(ref('LogoutResult'))),
+        ...authErrors
+      }
+    }
+  },
+  '/api/users/me/sessions': {
+    get: {
+      tags: ['Sessions'],
+      operationId: 'listSessions',
+      summary: 'List own Keycloak sessions',
+      security: tokenSecurity,
+      responses: {
+        200: json('Sessions', envelope({ type: 'array', items: ref('Session') })),
+        ...authErrors
+      }
+    }
+  },
+  '/api/users/me/sessions/{sid}': {
+    delete: {
+      tags: ['Sessions'],
+      operationId: 'revokeSession',
+      summary: 'Revoke a session',
+      security: tokenSecurity,
+      parameters: [{ name: 'sid', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: json('Session revoked', envelope(ref('Session'))),
+        404: response('NotFound'),
+        ...authErrors
+      }
+    }
+  },
+  '/api/users/me/api-keys': {
+    get: {
+      tags: ['API Keys'],
+      operationId: 'listApiKeys',
+      summary: 'List own API keys',
+      security: tokenSecurity,
+      responses: {
+        200: json('API keys', envelope({ type: 'array', items: ref('ApiKey') })),
+        ...authErrors
+      }
+    },
+    post: {
+      tags: ['API Keys'],
+      operationId: 'createApiKey',
+      summary: 'Create an API key (plaintext key returned once)',
+      security: tokenSecurity,
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: ref('ApiKeyCreate') } }
+      },
+      responses: {
+        201: json('API key created', envelope(ref('CreatedApiKey'))),
+        400: response('ValidationFailed'),
+        ...authErrors
+      }
+    }
+  },
+  '/api/users/me/api-keys/{keyId}': {
+    delete: {
+      tags: ['API Keys'],
+      operationId: 'revokeApiKey',
+      summary: 'Revoke an API key',
+      security: tokenSecurity,
+      parameters: [{ name: 'keyId', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: json('API key revoked', envelope(ref('ApiKey'))),
+        404: response('NotFound'),
+        ...authErrors
+      }
+    }
+  },
+  '/api/users/{id}/role-history': {
+    get: {
+      tags: ['Users'],
+      operationId: 'getRoleHistory',
+      summary: 'Role and group change history of a user',
+      description: `Admin role, or the ${SCOPES.USERS_READ} scope.`,
+      security: tokenOrApiKeySecurity,
+      parameters: [param('UserId'), ...pageParams(20, 100)],
+      responses: {
+        200: json('Role changes, newest first', paginated(ref('RoleChange'))),
+        404: response('NotFound'),
+        ...authErrors
+      }
+    }
+  },
+  '/api/users/{id}': {
+    get: {
+      tags: ['Users'],
+      operationId: 'getUserById',
+      summary: 'Get a user of the caller\'s realm',
+      description: `Admin role, or the ${SCOPES.USERS_READ} scope.`,
+      security: tokenOrApiKeySecurity,
+      parameters: [param('UserId')],
+      responses: {
+        200: json('User', envelope(ref('User'))),
+        404: response('NotFound'),
+        ...authErrors
+      }
+    },
+    patch: {
+      tags: ['Users'],
+      operationId: 'updateUser',
+      summary: 'Edit a user\'s profile',
+      description: 'Admin role; not with API keys or while impersonating. First and last name are written through to Keycloak.',
+      parameters: [param('UserId')],
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: ref('AdminUserUpdate') } }
+      },
+      responses: {
+        200: json('Updated user', envelope(ref('User'))),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        409: problem('Rejected by Keycloak (e.g. email already taken)'),
+        502: problem('Keycloak unreachable'),
+        ...authErrors
+      }
+    },
+    delete: {
+      tags: ['Users'],
+      operationId: 'deleteUser',
+      summary: 'Delete a user',
+      description: [
+        'Admin role; not with API keys or while impersonating. By default the account is pending deletion',
+        'until purgeAfter (reactivate it to cancel), `hard=true` purges it now: only a tombstone is kept (later logins get 403 ACCOUNT_PURGED)',
+        'and the role history, sessions and API keys are removed.',
+        'The user\'s tokens are revoked. Admins cannot delete themselves (403 SELF_ACTION_FORBIDDEN).'
+      ].join(' '),
+      parameters: [
+        param('UserId'),
+        { name: 'hard', in: 'query', schema: { type: 'boolean', default: false } }
+      ],
+      responses: {
+        200: json('User deleted (data only without hard)', envelope(ref('AccountStatus'))),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        409: problem('Already scheduled for deletion (INVALID_ACCOUNT_STATE)'),
+        ...authErrors
+      }
+    }
+  },
+  '/api/users/{id}/reactivate': {
+    post: {
+      tags: ['Users'],
+      operationId: 'reactivateUser',
+      summary: 'Reactivate a user',
+      description: [
+        'Admin role; not with API keys or while impersonating. Reactivates a deactivated account',
+        'or cancels a pending deletion within its grace period.'
+      ].join(' '),
+      parameters: [param('UserId')],
+      responses: {
+        200: json('Reactivated user', envelope(ref('User'))),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        409: problem('Grace period over (REACTIVATION_EXPIRED)'),
+        ...authErrors
+      }
+    }
+  },
+  '/api/users/{id}/disable': {
+    post: {
+      tags: ['Users'],
+      operationId: 'disableUser',
+      summary: 'Disable a user',
+      description: [
+        'Admin role; not with API keys or while impersonating. Disables the Keycloak account and revokes the user\'s tokens.',
+        'Admins cannot disable themselves (403 SELF_ACTION_FORBIDDEN).'
+      ].join(' '),
+      parameters: [param('UserId')],
+      responses: {
+        200: json('Disabled user', envelope(ref('User'))),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        502: problem('Keycloak unreachable'),
+        ...authErrors
+      }
+    }
+  },
+  '/api/users/{id}/enable': {
+    post: {
+      tags: ['Users'],
+      operationId: 'enableUser',
+      summary: 'Re-enable a user',
+      description: 'Admin role; not with API keys or while impersonating. Enables the Keycloak account too.',
+      parameters: [param('UserId')],
+      responses: {
+        200: json('Enabled user', envelope(ref('User'))),
+        400: response('ValidationFailed'),
+        404: response('NotFound'),
+        502: problem('Keycloak unreachable'),
+        ...authErrors
+      }
+    }
+  },
+  '/api/users': {
+    get: {
+      tags: ['Users'],
+      operationId: 'listUsers',
+      summary: 'List users of the caller\'s realm',
+      description: `Admin role, or the ${SCOPES.USERS_READ} scope.`,
+      security: tokenOrApiKeySecurity,
+      parameters: [
+        ...pageParams(10, 100),
+        { name: 'role', in: 'query', description: 'Realm role', schema: { type: 'string' } },
+        { name: 'clientRole', in: 'query', description: 'Client role', schema: { type: 'string' } },
+        { name: 'group', in: 'query', description: 'Group path, e.g. /staff', schema: { type: 'string' } },
+        {
+          name: 'search',
+          in: 'query',
+          description: 'Case-insensitive text matched against email, username, first and last name; every word must match',
+          schema: { type: 'string', maxLength: 100 }
+        },
+        { name: 'enabled', in: 'query', schema: { type: 'boolean' } },
+        { name: 'emailVerified', in: 'query', schema: { type: 'boolean' } },
+        { name: 'status', in: 'query', description: 'Account lifecycle state', schema: { type: 'string', enum: ACCOUNT_STATUSES } },
+        { name: 'createdFrom', in: 'query', description: 'Created at or after', schema: { type: 'string', format: 'date-time' } },
+        { name: 'createdTo', in: 'query', description: 'Created at or before', schema: { type: 'string', format: 'date-time' } },
+        { name: 'lastLoginFrom', in: 'query', description: 'Last login at or after', schema: { type: 'string', format: 'date-time' } },
+        { name: 'lastLoginTo', in: 'query', description: 'Last login at or before', schema: { type: 'string', format: 'date-time' } },
+        { name: 'sort', in: 'query', schema: { type: 'string', enum: USER_SORT_FIELDS, default: 'createdAt' } },
+        { name: 'order', in: 'query', schema: { type: 'string', enum: USER_SORT_ORDERS, default: 'desc' } },
+        {
+          name: 'fields',
+          in: 'query',
+          description: `Comma-separated properties to return (_id is always included): ${USER_SELECTABLE_FIELDS.join(', ')}`,
+          schema: { type: 'string' }
+        },
+        {
+          name: 'pagination',
+          in: 'query',
+          description: 'cursor starts keyset pagination (implied by cursor)',
+          schema: { type: 'string', enum: USER_PAGINATION_MODES, default: 'offset' }
+        },
+        { name: 'cursor', in: 'query', description: 'nextCursor or prevCursor of the previous response', schema: { type: 'string' } },
+        {
+          name: 'includeTotal',
+          in: 'query',
+          description: 'Count matching users (default true for offset, false for cursor pagination)',
+          schema: { type: 'boolean' }
+        }
+      ],
+      responses: {
+        200: json('Users (Link header with rel="next"/"prev" in cursor mode)', {
+          oneOf: [paginated(ref('User')), paginated(ref('User'), ref('CursorPagination'))]
+        }),
+        400: response('ValidationFailed'),
+        ...authErrors
+      }
+    }
+  },
+  '/api/webhooks/keycloak': {
+    post: {
+      tags: ['Webhooks'],
+      operationId: 'receiveKeycloakEvent',
+      summary: 'Receive Keycloak user/admin events',
+      description: 'Signed with HMAC-SHA256 of the raw body (X-Keycloak-Signature).',
+      security: [],
+      'x-internal': true,
+      parameters: [{ name: 'X-Keycloak-Signature', in: 'header', required: true, schema: { type: 'string' } }],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              oneOf: [
+                { type: 'object', additionalProperties: true },
+                { type: 'array', items: { type: 'object', additionalProperties: true } }
+              ]
+            }
+          }
+        }
+      },
+      responses: {
+        200: json('Events processed', envelope({ type: 'array', items: ref('WebhookResult') })),
+        400: problem('Not a Keycloak event or unknown realm'),
+        401: problem('Missing or invalid signature'),
+        429: response('RateLimited'),
+        500: response('ServerError')
+      }
+    }
+  },
+  '/api/admin/reconciliation': {
+    post: {
+      tags: ['Admin'],
+      operationId: 'triggerReconciliation',
+      summary: 'Start a Keycloak -> MongoDB reconciliation of the caller\'s realm',
+      security: tokenSecurity,
+      parameters: [{ name: 'dryRun', in: 'query', description: 'Only report drift', schema: { type: 'boolean' } }],
+      responses: {
+        202: json('Reconciliation started', envelope({
+          type: 'object',
+          properties: { realm: { type: 'string' }, dryRun: { type: 'boolean' } }
+        })),
+        409: problem('Already running'),
+        ...authErrors
+      }
+    }
+  },
+  '/api/admin/reconciliation/runs': {
+    get: {
+      tags: ['Admin'],
+      operationId: 'listReconciliationRuns',
+      summary: 'Reports of recent reconciliation runs',
+      security: tokenSecurity,
+      responses: {
+        200: json('Runs, newest first', envelope({ type: 'array', items: ref('ReconciliationRun') })),
+        ...authErrors
+      }
+    }
+  },
+  '/api/audit': {
+    get: {
+      tags: ['Audit'],
+      operationId: 'listAuditEvents',
+      summary: 'Search or export the audit log of the caller\'s realm',
+      security: tokenSecurity,
+      parameters: [
+        ...pageParams(50, 200),
+        { name: 'action', in: 'query', description: 'Action, or a prefix like user.*', schema: { type: 'string' } },
+        { name: 'actor', in: 'query', description: 'Actor Keycloak id', schema: { type: 'string' } },
+        { name: 'target', in: 'query', description: 'Target Keycloak id', schema: { type: 'string' } },
+        { name: 'requestId', in: 'query', schema: { type: 'string' } },
+        { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' } },
+        { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' } },
+        { name: 'format', in: 'query', schema: { type: 'string', enum: AUDIT_EXPORT_FORMATS, default: 'json' } }
+      ],
+      responses: {
+        200: {
+          description: 'Audit entries (json), or a full export (ndjson, csv)',
+          content: {
+            'application/json': { schema: paginated(ref('AuditEvent')) },
+            'application/x-ndjson': { schema: { type: 'string' } },
+            'text/csv': { schema: { type: 'string' } }
+          }
+        },
+        400: response('ValidationFailed'),
+        ...authErrors
+      }
+    }
+  }
+};
+
+/**
+ * Build the OpenAPI document
+ * serverUrl: base URL shown in the UI (default: same origin)
+ * issuer: realm used for the OIDC security scheme (default: example URL)
+ */
+export const buildOpenApiDocument = ({ serverUrl, issuer } = {}) => ({
+  openapi: '3.0.3',
+  info: {
+    title: 'Keycloak User Service API',
+    version: '1.0.0',
+    description: [
+      'User profiles, sessions and API keys backed by Keycloak.',
+      '',
+      'Successful responses use the envelope `{ success: true, message, data, pagination? }`,',
+      'errors are RFC 7807 `application/problem+json` documents with a stable `code` (see the Problem schema).',
+      'Every response carries an `X-Request-Id` header.'
+    ].join('\n')
+  },
+  servers: [{ url: serverUrl || '/' }],
+  security: tokenSecurity,
+  tags: [
+    { name: 'Profile' },
+    { name: 'Auth' },
+    { name: 'Sessions' },
+    { name: 'API Keys' },
+    { name: 'Users' },
+    { name: 'Admin' },
+    { name: 'Audit' },
+    { name: 'Webhooks' },
+    { name: 'Health' }
+  ],
+  paths,
+  components: issuer
+    ? {
+      ...components,
+      securitySchemes: {
+        ...components.securitySchemes,
+        oidc: { ...components.securitySchemes.oidc, openIdConnectUrl: `${issuer}/.well-known/openid-configuration` }
+      }
+    }
+    : components
+});
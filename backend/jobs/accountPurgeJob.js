@@ -0,0 +1,65 @@
+import { purgeExpiredAccounts } from '../service/accountLifecycleService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Account Purge Job
+ *
+ * Why needed:
+ * - Accounts scheduled for deletion must really be deleted once their grace period is over
+ *
+ * How it works:
+ * - ACCOUNT_PURGE_INTERVAL_MINUTES sets the interval (default 60, 0 = disabled)
+ * - Each tick purges every pending deletion past its purgeAfter date; a tick is skipped while the previous one runs
+ * - Purging is idempotent, so several instances may run the job
+ * - The timer does not keep the process alive on shutdown
+ */
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Run one scheduled purge
+ */
+async function tick() {
+  if (ticking) {
+    return;
+  }
+  ticking = true;
+
+  try {
+    await purgeExpiredAccounts();
+  } catch (error) {
+    logger.error('account purge failed', { err: error });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the purge schedule
+ * Returns false when scheduling is disabled
+ */
+export const startAccountPurgeJob = () => {
+  const raw = process.env.ACCOUNT_PURGE_INTERVAL_MINUTES;
+  const minutes = raw === undefined || raw === '' ? DEFAULT_INTERVAL_MINUTES : parseInt(raw);
+
+  if (!(minutes > 0) || timer) {
+    return false;
+  }
+
+  timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  return true;
+};
+
+/**
+ * Stop the purge schedule
+ */
+export const stopAccountPurgeJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,64 @@
+import { reconcileAllRealms } from '../service/reconciliationService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Reconciliation Job
+ *
+ * Why needed:
+ * - Runs the Keycloak -> MongoDB reconciliation on a schedule
+ *
+ * How it works:
+ * - RECONCILIATION_INTERVAL_MINUTES sets the interval (0 or unset = disabled)
+ * - Each tick reconciles every trusted realm; a tick is skipped while the previous one runs
+ * - The timer does not keep the process alive on shutdown
+ */
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Run one scheduled reconciliation of all realms
+ */
+async function tick() {
+  if (ticking) {
+    return;
+  }
+  ticking = true;
+
+  try {
+    const runs = await reconcileAllRealms({ trigger: 'schedule' });
+    runs
+      .filter(run => run.status === 'failed')
+      .forEach(run => logger.error('reconciliation failed', { realm: run.realm, error: run.error }));
+  } catch (error) {
+    logger.error('reconciliation failed', { err: error });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the reconciliation schedule
+ * Returns false when scheduling is disabled
+ */
+export const startReconciliationJob = () => {
+  const minutes = parseInt(process.env.RECONCILIATION_INTERVAL_MINUTES);
+
+  if (!(minutes > 0) || timer) {
+    return false;
+  }
+
+  timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  return true;
+};
+
+/**
+ * Stop the reconciliation schedule
+ */
+export const stopReconciliationJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,108 @@
+import { validateKeycloakToken } from './keycloak.js';
+import { authenticateApiKey, getEffectiveScopes } from '../service/apiKeyService.js';
+import { getUserByKeycloakId } from '../service/userService.js';
+import { toInactiveAccountError } from '../service/accountLifecycleService.js';
+import { IMPERSONATE_HEADER } from './impersonation.js';
+import { getAdminRole, hasRole } from './authorize.js';
+import logger from '../utils/logger.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
+
+/**
+ * API Key Middleware
+ *
+ * Why needed:
+ * - Integrations that cannot do OAuth send an X-API-Key header instead
+ * - Controllers keep working unchanged: req.user has the same shape as for a token
+ *
+ * How it works:
+ * 1. No X-API-Key header: fall back to validateKeycloakToken
+ * 2. Hash the key and find the active (not expired, not revoked) key record
+ * 3. Load the owner from the users collection and require an enabled, active account
+ * 4. Build req.user from the owner, with the key's scopes and no roles
+ *    - Admin-only scopes (users:read) count only while the owner still has the admin role
+ *      (the owner's roles as mirrored from Keycloak), not just when the key was created
+ */
+
+/**
+ * Build req.user for an API key request
+ */
+function buildApiKeyUser(apiKey, owner, scopes) {
+  return {
+    keycloakId: owner.keycloakId,
+    realm: owner.realm,
+    principalType: 'user',
+    isServiceAccount: false,
+    isApiKey: true,
+    apiKeyId: apiKey._id.toString(),
+    clientId: undefined,
+    scopes,
+    email: owner.email,
+    username: owner.username,
+    firstName: owner.firstName,
+    lastName: owner.lastName,
+    emailVerified: owner.emailVerified,
+    // API keys are authorized by scopes only, never by the owner's roles
+    roles: [],
+    clientRoles: [],
+    token: null
+  };
+}
+
+/**
+ * Accept either an X-API-Key header or a Keycloak Bearer token
+ */
+export const validateApiKeyOrToken = async (req, res, next) => {
+  const key = req.headers['x-api-key'];
+
+  if (!key) {
+    return validateKeycloakToken(req, res, next);
+  }
+
+  // Impersonation needs a Keycloak user token with the impersonation role
+  if (req.headers[IMPERSONATE_HEADER]) {
+    return next(new ForbiddenError('API keys cannot impersonate users', { code: 'IMPERSONATION_NOT_ALLOWED' }));
+  }
+
+  try {
+    const apiKey = await authenticateApiKey(key.trim());
+
+    if (!apiKey) {
+      return next(new UnauthorizedError('Invalid, expired or revoked API key', { code: 'INVALID_API_KEY' }));
+    }
+
+    let owner;
+    try {
+      owner = await getUserByKeycloakId(apiKey.keycloakId, apiKey.realm);
+    } catch (error) {
+      owner = null;
+    }
+
+    if (!owner || !owner.enabled) {
+      return next(new UnauthorizedError('API key owner is not an active user', { code: 'INVALID_API_KEY' }));
+    }
+
+    const accountError = toInactiveAccountError(owner);
+    if (accountError) {
+      return next(accountError);
+    }
+
+    const scopes = getEffectiveScopes(apiKey, hasRole(owner, getAdminRole()));
+    if (scopes.length < apiKey.scopes.length) {
+      logger.warn('api key admin scopes ignored, owner is no longer an admin', {
+        apiKeyId: apiKey._id.toString(),
+        keycloakId: owner.keycloakId,
+        realm: owner.realm
+      });
+    }
+
+    req.user = buildApiKeyUser(apiKey, owner, scopes);
+    req.log = (req.log || logger).child({
+      keycloakId: owner.keycloakId,
+      realm: owner.realm,
+      apiKeyId: req.user.apiKeyId
+    });
+    next();
+  } catch (error) {
+    return next(error);
+  }
+};
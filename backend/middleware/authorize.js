@@ -0,0 +1,276 @@
+import { SCOPES } from '../config/scopes.js';
+import logger from '../utils/logger.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
+
+export { SCOPES };
+
+/**
+ * Authorization Middleware
+ *
+ * Why needed:
+ * - validateKeycloakToken only proves who the caller is, not what they may do
+ * - Lets routes declare the realm or client roles they require
+ * - Keeps 403 responses in one consistent format
+ * - Logs failed checks so permission problems can be traced
+ *
+ * How it works:
+ * - Must run after validateKeycloakToken (relies on req.user)
+ * - A role written as "admin" is a realm role (after the realm's role mapping)
+ * - A role written as "client-id:admin" is a client role of that client
+ * - Guards are plain Express middleware and can be chained on a route
+ * - Roles may also be passed as a function, resolved on each request
+ * - Service accounts (client credentials) and API keys are authorized by scopes instead
+ * - While impersonating, guards check the impersonated user's roles
+ */
+
+/**
+ * Role granted to administrators for admin-only routes
+ * Read lazily so env vars loaded by dotenv are picked up
+ */
+export function getAdminRole() {
+  return process.env.KEYCLOAK_ADMIN_ROLE || 'admin';
+}
+
+/**
+ * Role allowing support staff to impersonate users
+ */
+export function getImpersonationRole() {
+  return process.env.KEYCLOAK_IMPERSONATION_ROLE || 'impersonator';
+}
+
+/**
+ * Normalize a role argument to an array of role names
+ */
+function toRoleList(roles) {
+  return (Array.isArray(roles) ? roles : [roles]).filter(Boolean);
+}
+
+/**
+ * Get the client roles of a user for a given client
+ * Without a clientId, uses req.user.clientRoles (the realm's configured client, role-mapped)
+ */
+function getClientRoles(user, clientId) {
+  if (!clientId) {
+    return user.clientRoles || [];
+  }
+  return user.token?.resource_access?.[clientId]?.roles || [];
+}
+
+/**
+ * Check a single role ("role" or "client-id:role") against a user
+ */
+export function hasRole(user, role) {
+  if (!user) {
+    return false;
+  }
+
+  const separator = role.indexOf(':');
+  if (separator === -1) {
+    return (user.roles || []).includes(role);
+  }
+
+  const clientId = role.slice(0, separator);
+  const clientRole = role.slice(separator + 1);
+  return getClientRoles(user, clientId).includes(clientRole);
+}
+
+/**
+ * Reject with 403 FORBIDDEN and log the failed check
+ * required: { roles } and/or { scopes } the caller was missing
+ */
+function denyAccess(req, next, requirement, required, message = 'Insufficient permissions') {
+  (req.log || logger).warn('access denied', {
+    method: req.method,
+    path: req.originalUrl,
+    principalType: req.user?.principalType || 'user',
+    keycloakId: req.user?.keycloakId,
+    actorKeycloakId: req.user?.actor?.keycloakId,
+    requirement,
+    required
+  });
+
+  return next(new ForbiddenError(message, {
+    details: {
+      required: {
+        type: requirement,
+        ...required
+      }
+    }
+  }));
+}
+
+/**
+ * Reject with 401 when no authenticated caller is present
+ */
+function requireAuthentication(next) {
+  return next(new UnauthorizedError('Authentication required'));
+}
+
+/**
+ * Build a guard from a predicate over the user
+ */
+function createGuard(requirement, roles, predicate) {
+  const resolveRoles = typeof roles === 'function' ? roles : () => roles;
+
+  if (typeof roles !== 'function' && toRoleList(roles).length === 0) {
+    throw new Error(`${requirement} requires at least one role`);
+  }
+
+  return (req, res, next) => {
+    const roleList = toRoleList(resolveRoles());
+
+    if (!req.user) {
+      return requireAuthentication(next);
+    }
+
+    if (!predicate(req.user, roleList)) {
+      return denyAccess(req, next, requirement, { roles: roleList });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require at least one of the given realm roles
+ * Usage: requireRealmRole('admin')
+ */
+export const requireRealmRole = (roles) =>
+  createGuard('requireRealmRole', roles, (user, roleList) =>
+    roleList.some(role => (user.roles || []).includes(role))
+  );
+
+/**
+ * Require at least one of the given client roles
+ * Defaults to the client configured for the token's realm
+ * Usage: requireClientRole('manage-users', 'other-client')
+ */
+export const requireClientRole = (roles, clientId) =>
+  createGuard('requireClientRole', roles, (user, roleList) => {
+    const clientRoles = getClientRoles(user, clientId);
+    return roleList.some(role => clientRoles.includes(role));
+  });
+
+/**
+ * Require at least one of the given roles (realm or "client-id:role")
+ * Usage: requireAnyRole(['admin', 'my-client:support'])
+ */
+export const requireAnyRole = (roles) =>
+  createGuard('requireAnyRole', roles, (user, roleList) =>
+    roleList.some(role => hasRole(user, role))
+  );
+
+/**
+ * Require every one of the given roles (realm or "client-id:role")
+ * Usage: requireAllRoles(['admin', 'my-client:auditor'])
+ */
+export const requireAllRoles = (roles) =>
+  createGuard('requireAllRoles', roles, (user, roleList) =>
+    roleList.every(role => hasRole(user, role))
+  );
+
+/**
+ * Shorthand guard for admin-only routes
+ */
+export const requireAdmin = requireRealmRole(getAdminRole);
+
+/**
+ * Guard for starting an impersonation
+ */
+export const requireImpersonationRole = requireRealmRole(getImpersonationRole);
+
+/**
+ * Reject impersonated requests on routes a support agent must never use
+ * on someone else's behalf (deleting the account, managing credentials, ...)
+ */
+export const forbidImpersonation = (req, res, next) => {
+  if (!req.user) {
+    return requireAuthentication(next);
+  }
+
+  if (req.user.impersonated) {
+    return denyAccess(req, next, 'forbidImpersonation', { impersonation: ['none'] },
+      'This endpoint is not available while impersonating a user');
+  }
+
+  next();
+};
+
+/**
+ * Require at least one of the given OAuth scopes (scope claim)
+ * Usage: requireScope('users:read')
+ */
+export const requireScope = (scopes) => {
+  const scopeList = toRoleList(scopes);
+
+  if (scopeList.length === 0) {
+    throw new Error('requireScope requires at least one scope');
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return requireAuthentication(next);
+    }
+
+    if (!scopeList.some(scope => (req.user.scopes || []).includes(scope))) {
+      return denyAccess(req, next, 'requireScope', { scopes: scopeList });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Whether the caller is authorized by scopes (service account or API key)
+ */
+function isScopedCaller(user) {
+  return Boolean(user?.isServiceAccount || user?.isApiKey);
+}
+
+/**
+ * Authorize human users by role, service accounts and API keys by scope
+ * Usage: requireRoleOrScope({ roles: getAdminRole, scopes: 'users:read' })
+ */
+export const requireRoleOrScope = ({ roles, scopes }) => {
+  const userGuard = requireAnyRole(roles);
+  const scopeGuard = requireScope(scopes);
+
+  return (req, res, next) => {
+    if (isScopedCaller(req.user)) {
+      return scopeGuard(req, res, next);
+    }
+    return userGuard(req, res, next);
+  };
+};
+
+/**
+ * Require a scope from API key callers only
+ * Callers with a Keycloak user token pass through
+ * Usage: requireApiKeyScope('profile:write')
+ */
+export const requireApiKeyScope = (scopes) => {
+  const scopeGuard = requireScope(scopes);
+
+  return (req, res, next) => {
+    if (req.user?.isApiKey) {
+      return scopeGuard(req, res, next);
+    }
+    next();
+  };
+};
+
+/**
+ * Reject service accounts on routes that only make sense for human users
+ */
+export const requireHumanUser = (req, res, next) => {
+  if (!req.user) {
+    return requireAuthentication(next);
+  }
+
+  if (req.user.isServiceAccount) {
+    return denyAccess(req, next, 'requireHumanUser', { principalTypes: ['user'] },
+      'This endpoint is not available to service accounts');
+  }
+
+  next();
+};
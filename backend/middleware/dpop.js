@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import DpopProof from '../models/dpopProof.js';
+import { UnauthorizedError } from '../utils/errors.js';
+
+/**
+ * DPoP Middleware (RFC 9449 - Demonstrating Proof of Possession)
+ *
+ * Why needed:
+ * - Keycloak can bind access tokens to a client key pair (cnf.jkt claim)
+ * - A bound token is useless without a fresh proof signed by the private key
+ * - So a stolen token alone cannot be replayed against the API
+ *
+ * How it works:
+ * 1. Client sends "Authorization: DPoP <token>" and a "DPoP: <proof JWT>" header
+ * 2. Proof header must be typ dpop+jwt with an asymmetric alg and a public jwk
+ * 3. Proof signature is verified with that jwk
+ * 4. htm/htu must match this request, iat must be recent, ath must hash the token
+ * 5. jti must not have been seen before (stored in MongoDB until it expires)
+ * 6. The jwk thumbprint must equal the token's cnf.jkt
+ *
+ * validateKeycloakToken calls verifyDpopBinding for every token.
+ */
+
+const DPOP_PROOF_TYPE = 'dpop+jwt';
+const DPOP_ALGORITHMS = ['RS256', 'PS256', 'ES256', 'ES384', 'ES512'];
+
+// Allowed clock skew for proofs issued slightly in the future
+const CLOCK_SKEW_SECONDS = 5;
+
+// Members used for the JWK thumbprint (RFC 7638), per key type
+const THUMBPRINT_MEMBERS = {
+  RSA: ['e', 'kty', 'n'],
+  EC: ['crv', 'kty', 'x', 'y'],
+  OKP: ['crv', 'kty', 'x']
+};
+
+// Private key members that must never appear in a proof's jwk
+const PRIVATE_JWK_MEMBERS = ['d', 'p', 'q', 'dp', 'dq', 'qi', 'k'];
+
+/**
+ * Error raised for an invalid DPoP proof or binding
+ * Answered with 401 INVALID_DPOP_PROOF and a DPoP WWW-Authenticate challenge
+ */
+class DpopError extends UnauthorizedError {
+  constructor(message) {
+    super(message, {
+      code: 'INVALID_DPOP_PROOF',
+      headers: { 'WWW-Authenticate': `DPoP error="invalid_dpop_proof", algs="${DPOP_ALGORITHMS.join(' ')}"` }
+    });
+  }
+}
+
+/**
+ * How old a proof may be, in seconds
+ */
+function getProofMaxAge() {
+  const seconds = parseInt(process.env.DPOP_PROOF_MAX_AGE_SECONDS);
+  return seconds > 0 ? seconds : 60;
+}
+
+/**
+ * Base64url SHA-256 of a string
+ */
+function sha256Base64Url(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+/**
+ * Compute the RFC 7638 thumbprint of a public JWK
+ */
+export function computeJwkThumbprint(jwk) {
+  const members = THUMBPRINT_MEMBERS[jwk.kty];
+  if (!members) {
+    throw new DpopError(`Unsupported DPoP key type: ${jwk.kty}`);
+  }
+
+  const canonical = {};
+  members.forEach(member => {
+    if (typeof jwk[member] !== 'string') {
+      throw new DpopError(`DPoP key is missing ${member}`);
+    }
+    canonical[member] = jwk[member];
+  });
+
+  return sha256Base64Url(JSON.stringify(canonical));
+}
+
+/**
+ * The URL a proof's htu must match: scheme, host and path, no query or fragment
+ * API_PUBLIC_URL overrides scheme and host when running behind a proxy
+ */
+function getRequestUrl(req) {
+  const path = req.originalUrl.split('?')[0];
+  const base = process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/+$/, '')}${path}`;
+}
+
+/**
+ * Normalize a URL for htu comparison (drop query and fragment)
+ */
+function normalizeHtu(htu) {
+  try {
+    const url = new URL(htu);
+    return `${url.protocol}//${url.host}${url.pathname}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Record a proof jti, failing if it was already used
+ */
+async function consumeProofJti(jti, jkt, iat) {
+  try {
+    await DpopProof.create({
+      jti,
+      jkt,
+      expiresAt: new Date((iat + getProofMaxAge() + CLOCK_SKEW_SECONDS) * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new DpopError('DPoP proof has already been used');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Verify a DPoP proof for this request and access token
+ * Resolves with the thumbprint (jkt) of the proof key
+ */
+export const verifyDpopProof = async (proof, { method, url, accessToken }) => {
+  const decoded = jwt.decode(proof, { complete: true });
+  if (!decoded) {
+    throw new DpopError('DPoP proof is not a valid JWT');
+  }
+
+  const { header } = decoded;
+
+  if (header.typ !== DPOP_PROOF_TYPE) {
+    throw new DpopError(`DPoP proof typ must be ${DPOP_PROOF_TYPE}`);
+  }
+  if (!DPOP_ALGORITHMS.includes(header.alg)) {
+    throw new DpopError('DPoP proof must use an asymmetric algorithm');
+  }
+  if (!header.jwk || typeof header.jwk !== 'object') {
+    throw new DpopError('DPoP proof header is missing jwk');
+  }
+  if (PRIVATE_JWK_MEMBERS.some(member => member in header.jwk)) {
+    throw new DpopError('DPoP proof jwk must not contain a private key');
+  }
+
+  let publicKey;
+  try {
+    publicKey = crypto.createPublicKey({ key: header.jwk, format: 'jwk' });
+  } catch (error) {
+    throw new DpopError('DPoP proof jwk is not a valid public key');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(proof, publicKey, { algorithms: [header.alg] });
+  } catch (error) {
+    throw new DpopError(`DPoP proof signature is invalid: ${error.message}`);
+  }
+
+  if (claims.htm !== method) {
+    throw new DpopError('DPoP proof htm does not match the request method');
+  }
+  if (!claims.htu || normalizeHtu(claims.htu) !== normalizeHtu(url)) {
+    throw new DpopError('DPoP proof htu does not match the request URL');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.iat !== 'number' ||
+    claims.iat > now + CLOCK_SKEW_SECONDS ||
+    claims.iat < now - getProofMaxAge()) {
+    throw new DpopError('DPoP proof iat is outside the accepted window');
+  }
+
+  if (!claims.jti || typeof claims.jti !== 'string') {
+    throw new DpopError('DPoP proof is missing jti');
+  }
+
+  if (claims.ath !== sha256Base64Url(accessToken)) {
+    throw new DpopError('DPoP proof ath does not match the access token');
+  }
+
+  const jkt = computeJwkThumbprint(header.jwk);
+  await consumeProofJti(claims.jti, jkt, claims.iat);
+
+  return jkt;
+};
+
+/**
+ * Check the DPoP binding of a verified access token
+ *
+ * - DPoP scheme: token must carry cnf.jkt and a matching, valid proof must be sent
+ * - Bearer scheme: tokens bound with cnf.jkt are refused (they require DPoP)
+ *
+ * Resolves with { bound, jkt }, rejects with a DpopError otherwise
+ */
+export const verifyDpopBinding = async (req, scheme, accessToken, decoded) => {
+  const boundJkt = decoded.cnf?.jkt;
+
+  if (scheme !== 'DPoP') {
+    if (boundJkt) {
+      throw new DpopError('DPoP-bound token must be sent with the DPoP scheme');
+    }
+    return { bound: false };
+  }
+
+  if (!boundJkt) {
+    throw new DpopError('Token is not DPoP-bound');
+  }
+
+  const proof = req.headers.dpop;
+  if (!proof || proof.includes(',')) {
+    throw new DpopError('Exactly one DPoP proof header is required');
+  }
+
+  const jkt = await verifyDpopProof(proof.trim(), {
+    method: req.method,
+    url: getRequestUrl(req),
+    accessToken
+  });
+
+  if (jkt !== boundJkt) {
+    throw new DpopError('DPoP proof key does not match the token binding');
+  }
+
+  return { bound: true, jkt };
+};
+
+export { DpopError };
@@ -0,0 +1,156 @@
+import { getUserByKeycloakId } from '../service/userService.js';
+import { toInactiveAccountError } from '../service/accountLifecycleService.js';
+import { auditRequest } from '../service/auditService.js';
+import { hasRole, getAdminRole, getImpersonationRole, requireImpersonationRole } from './authorize.js';
+import { ValidationError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Impersonation Middleware
+ *
+ * Why needed:
+ * - Support staff need to see the API exactly as a given user sees it
+ * - The real person behind every impersonated request must stay known
+ *
+ * How it works:
+ * - Runs at the end of validateKeycloakToken, after req.user is built
+ * - Header mode: a user with the impersonation role sends X-Impersonate-User: <keycloakId>;
+ *   req.user is rebuilt from the target user (roles and groups mirrored in MongoDB)
+ * - Token exchange mode: a Keycloak token carrying an act claim already has the
+ *   target as subject; act.sub is the real actor
+ * - Either way req.user.impersonated is true and req.user.actor holds the real identity
+ * - Impersonated responses carry X-Impersonated-By and every request is written to the audit log
+ * - Administrators and other impersonators cannot be impersonated
+ */
+
+export const IMPERSONATE_HEADER = 'x-impersonate-user';
+
+/**
+ * Actor of a token-exchange token (act claim), or undefined
+ * Nested act claims describe earlier delegations - the outermost one is the current actor
+ */
+export function getTokenActor(decoded) {
+  if (!decoded.act?.sub) {
+    return undefined;
+  }
+  return {
+    keycloakId: decoded.act.sub,
+    username: decoded.act.preferred_username,
+    clientId: decoded.act.client_id || decoded.azp,
+    via: 'token_exchange'
+  };
+}
+
+/**
+ * Reject an impersonation request (code IMPERSONATION_NOT_ALLOWED unless given)
+ */
+function rejectImpersonation(next, ErrorClass, message, code = 'IMPERSONATION_NOT_ALLOWED') {
+  return next(new ErrorClass(message, { code }));
+}
+
+/**
+ * Build req.user for the target user, keeping the real caller as actor
+ */
+function buildImpersonatedUser(target, caller) {
+  return {
+    keycloakId: target.keycloakId,
+    realm: target.realm,
+    principalType: 'user',
+    isServiceAccount: false,
+    clientId: caller.clientId,
+    scopes: caller.scopes,
+    email: target.email,
+    username: target.username,
+    firstName: target.firstName,
+    lastName: target.lastName,
+    emailVerified: target.emailVerified,
+    roles: target.roles || [],
+    clientRoles: target.clientRoles || [],
+    groups: target.groups || [],
+    impersonated: true,
+    actor: {
+      keycloakId: caller.keycloakId,
+      username: caller.username,
+      clientId: caller.clientId,
+      via: 'header'
+    },
+    dpop: caller.dpop,
+    // The token is still the actor's - never use it as the target's identity
+    token: caller.token
+  };
+}
+
+/**
+ * Tag the response and audit the request once it has finished
+ */
+function auditImpersonatedRequest(req, res) {
+  const { actor } = req.user;
+  res.set('X-Impersonated-By', actor.keycloakId);
+
+  res.on('finish', () => {
+    auditRequest(req, 'impersonation.request', {
+      statusCode: res.statusCode,
+      details: { via: actor.via }
+    });
+  });
+}
+
+/**
+ * Switch req.user to the impersonated user when requested
+ */
+export const applyImpersonation = async (req, res, next) => {
+  const targetId = req.headers[IMPERSONATE_HEADER];
+
+  if (!targetId) {
+    if (req.user.impersonated) {
+      auditImpersonatedRequest(req, res);
+    }
+    return next();
+  }
+
+  if (req.user.impersonated) {
+    return rejectImpersonation(next, ValidationError, 'Token is already an impersonation token');
+  }
+
+  if (req.user.isServiceAccount) {
+    return rejectImpersonation(next, ForbiddenError, 'Service accounts cannot impersonate users');
+  }
+
+  // The guard reports a missing role through its callback - stop on it
+  requireImpersonationRole(req, res, async (roleError) => {
+    if (roleError) {
+      return next(roleError);
+    }
+
+    try {
+      if (targetId === req.user.keycloakId) {
+        return rejectImpersonation(next, ValidationError, 'Cannot impersonate yourself');
+      }
+
+      let target;
+      try {
+        target = await getUserByKeycloakId(String(targetId).trim(), req.user.realm);
+      } catch (error) {
+        target = null;
+      }
+
+      if (!target) {
+        return rejectImpersonation(next, NotFoundError, 'Impersonation target not found', 'IMPERSONATION_TARGET_NOT_FOUND');
+      }
+
+      if (!target.enabled || toInactiveAccountError(target)) {
+        return rejectImpersonation(next, ForbiddenError, 'Disabled or deactivated users cannot be impersonated');
+      }
+
+      if (hasRole(target, getAdminRole()) || hasRole(target, getImpersonationRole())) {
+        return rejectImpersonation(next, ForbiddenError, 'Administrators and impersonators cannot be impersonated');
+      }
+
+      req.user = buildImpersonatedUser(target, req.user);
+      req.log = req.log.child({ keycloakId: target.keycloakId, actorKeycloakId: req.user.actor.keycloakId });
+      auditImpersonatedRequest(req, res);
+      next();
+    } catch (error) {
+      return next(error);
+    }
+  });
+};
@@ -1,5 +1,16 @@
 import jwt from 'jsonwebtoken';
 import jwksClient from 'jwks-rsa';
+import axios from 'axios';
+import { isTokenRevoked } from '../service/tokenRevocationService.js';
+import { getRequestId } from '../service/auditService.js';
+import { recordSession } from '../service/sessionService.js';
+import { getInactiveAccountError } from '../service/accountLifecycleService.js';
+import { getRealms, getRealmByIssuer, mapRoles } from '../config/realms.js';
+import { verifyDpopBinding, DpopError } from './dpop.js';
+import { applyImpersonation, getTokenActor } from './impersonation.js';
+import logger from '../utils/logger.js';
+import { AppError, UnauthorizedError } from '../utils/errors.js';
+import { tokenVerificationsTotal, jwksFetchesTotal, jwksFetchDuration } from '../utils/metrics.js';
 
 /**
  * Keycloak Middleware
@@ -11,117 +22,259 @@ import jwksClient from 'jwks-rsa';
  * - Protects API routes from unauthorized access
  * 
  * How it works:
- * 1. Extracts token from Authorization header
- * 2. Decodes token to get kid (key ID)
- * 3. Fetches public key from Keycloak's JWKS endpoint
+ * 1. Extracts token from Authorization header (Bearer or DPoP scheme)
+ * 2. Decodes token to get iss (trusted realm) and kid (key ID)
+ * 3. Fetches public key from that realm's JWKS endpoint
  * 4. Verifies token signature and expiration
- * 5. Attaches decoded user info to req.user
+ * 5. Checks DPoP proof of possession for sender-constrained tokens
+ * 6. Rejects tokens revoked server-side (logout, revoked sessions)
+ * 7. Records the Keycloak session (sid) in the session registry
+ * 8. Refuses deactivated, pending-deletion and purged accounts (403), except on
+ *    routes marked with allowInactiveAccount (reactivation, logout)
+ * 9. Attaches decoded user info to req.user
+ * 10. Switches to the impersonated user when requested (see impersonation.js)
+ * - Outcomes are counted in auth_token_verifications_total, JWKS fetches in jwks_fetch_*
+ * - Failures are passed to next() as UnauthorizedError (code = outcome, e.g. TOKEN_EXPIRED)
  */
 
-// Lazy initialization of JWKS client to ensure env vars are loaded
-let client = null;
+// Authorization schemes accepted for access tokens
+const AUTH_SCHEMES = ['Bearer', 'DPoP'];
 
-function getJwksClient() {
-  if (!client) {
-    const jwksUri = process.env.KEYCLOAK_REALM_PUBLIC_KEY_URL ||
-      `${process.env.KEYCLOAK_URL}/realms/${process.env.KEYCLOAK_REALM}/protocol/openid-connect/certs`;
+// One JWKS client per trusted realm, created lazily to ensure env vars are loaded
+const clients = new Map();
 
-    if (!jwksUri || jwksUri.includes('undefined')) {
+const JWKS_TIMEOUT_MS = 30000;
+
+/**
+ * Fetch a realm's JWKS, recording count and latency
+ */
+function createJwksFetcher(realm) {
+  return async (jwksUri) => {
+    const end = jwksFetchDuration.startTimer({ realm: realm.name });
+    try {
+      const response = await axios.get(jwksUri, { timeout: JWKS_TIMEOUT_MS });
+      end({ result: 'success' });
+      jwksFetchesTotal.inc({ realm: realm.name, result: 'success' });
+      return response.data;
+    } catch (error) {
+      end({ result: 'error' });
+      jwksFetchesTotal.inc({ realm: realm.name, result: 'error' });
+      throw error;
+    }
+  };
+}
+
+/**
+ * Count a token verification outcome
+ */
+function countVerification(realm, outcome) {
+  tokenVerificationsTotal.inc({ realm: realm?.name || 'unknown', outcome });
+}
+
+/**
+ * Get the JWKS client of a realm (defaults to the first trusted realm)
+ */
+export function getJwksClient(realm = getRealms()[0]) {
+  if (!clients.has(realm.name)) {
+    if (!realm.jwksUri || realm.jwksUri.includes('undefined')) {
       throw new Error('JWKS URI is not properly configured. Check KEYCLOAK_URL and KEYCLOAK_REALM environment variables.');
     }
 
-    client = jwksClient({
-      jwksUri: jwksUri,
+    clients.set(realm.name, jwksClient({
+      jwksUri: realm.jwksUri,
       cache: true,
       cacheMaxAge: 86400000, // 24 hours
       rateLimit: true,
       jwksRequestsPerMinute: 10,
-      timeout: 30000, // 30 seconds
-    });
+      timeout: JWKS_TIMEOUT_MS,
+      fetcher: createJwksFetcher(realm)
+    }));
   }
-  return client;
+  return clients.get(realm.name);
 }
 
 /**
- * Get signing key from Keycloak JWKS endpoint
+ * Build a key resolver that gets signing keys from a realm's JWKS endpoint
  */
-function getKey(header, callback) {
-  if (!header.kid) {
-    return callback(new Error('Token header missing kid (key ID)'));
-  }
-
-  const jwksClient = getJwksClient();
-
-  jwksClient.getSigningKey(header.kid, (err, key) => {
-    if (err) {
-      return callback(err);
+function createKeyResolver(realm) {
+  return function getKey(header, callback) {
+    if (!header.kid) {
+      return callback(new Error('Token header missing kid (key ID)'));
     }
 
+    let jwksClient;
     try {
-      const signingKey = key.getPublicKey();
-      callback(null, signingKey);
-    } catch (keyErr) {
-      callback(keyErr);
+      jwksClient = getJwksClient(realm);
+    } catch (configErr) {
+      return callback(configErr);
     }
-  });
+
+    jwksClient.getSigningKey(header.kid, (err, key) => {
+      if (err) {
+        return callback(err);
+      }
+
+      try {
+        const signingKey = key.getPublicKey();
+        callback(null, signingKey);
+      } catch (keyErr) {
+        callback(keyErr);
+      }
+    });
+  };
 }
 
 /**
- * Handle token verification errors
+ * Find the trusted realm of a token from its (unverified) iss claim
+ * Returns null for malformed tokens or issuers not in the allowlist
  */
-function handleVerificationError(err, res) {
-  let errorResponse = {
-    success: false,
-    message: 'Token verification failed',
-    error: 'INVALID_TOKEN'
-  };
+function resolveTokenRealm(token) {
+  const unverified = jwt.decode(token);
+  return getRealmByIssuer(unverified?.iss);
+}
 
+/**
+ * Map a jsonwebtoken verification error to an UnauthorizedError
+ */
+function toVerificationError(err) {
   if (err.name === 'TokenExpiredError') {
-    errorResponse = {
-      success: false,
-      message: 'Token has expired',
-      error: 'TOKEN_EXPIRED'
-    };
-  } else if (err.name === 'JsonWebTokenError') {
-    errorResponse = {
-      success: false,
-      message: 'Invalid token',
-      error: 'INVALID_TOKEN'
-    };
-  } else if (err.name === 'TokenNotBeforeError') {
-    errorResponse = {
-      success: false,
-      message: 'Token not yet valid',
-      error: 'TOKEN_NOT_YET_VALID'
-    };
-  } else {
-    errorResponse = {
-      success: false,
-      message: 'Token verification failed',
-      error: err.name
-    };
+    return new UnauthorizedError('Token has expired', { code: 'TOKEN_EXPIRED' });
+  }
+  if (err.name === 'JsonWebTokenError') {
+    return new UnauthorizedError('Invalid token', { code: 'INVALID_TOKEN' });
+  }
+  if (err.name === 'TokenNotBeforeError') {
+    return new UnauthorizedError('Token not yet valid', { code: 'TOKEN_NOT_YET_VALID' });
+  }
+  return new UnauthorizedError('Token verification failed', { code: 'INVALID_TOKEN', cause: err });
+}
+
+/**
+ * Handle token verification errors
+ */
+function handleVerificationError(err, realm, next) {
+  const error = toVerificationError(err);
+  countVerification(realm, error.code);
+  return next(error);
+}
+
+/**
+ * Reject a request before a realm is known
+ */
+function rejectRequest(outcome, message, next) {
+  countVerification(null, outcome);
+  return next(new UnauthorizedError(message, { code: outcome }));
+}
+
+/**
+ * Check the DPoP binding, reject revoked tokens, record the session,
+ * then attach user info to request
+ */
+async function acceptVerifiedToken(decoded, realm, auth, req, res, next) {
+  let dpop;
+  try {
+    dpop = await verifyDpopBinding(req, auth.scheme, auth.token, decoded);
+  } catch (error) {
+    if (error instanceof DpopError) {
+      countVerification(realm, 'INVALID_DPOP_PROOF');
+    }
+    return next(error);
+  }
+
+  try {
+    if (await isTokenRevoked(decoded, realm.name)) {
+      countVerification(realm, 'TOKEN_REVOKED');
+      return next(new UnauthorizedError('Token has been revoked', { code: 'TOKEN_REVOKED' }));
+    }
+
+    // Session registry - only tokens tied to a Keycloak session carry sid
+    if (decoded.sid) {
+      const session = await recordSession({
+        realm: realm.name,
+        keycloakId: decoded.sub,
+        username: decoded.preferred_username,
+        sid: decoded.sid,
+        clientId: decoded.azp,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        requestId: getRequestId(req)
+      });
+
+      if (session?.revokedAt) {
+        countVerification(realm, 'TOKEN_REVOKED');
+        return next(new UnauthorizedError('Session has been revoked', { code: 'TOKEN_REVOKED' }));
+      }
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  countVerification(realm, 'success');
+
+  // The token is valid, but the account may not be usable (service accounts are never stored)
+  if (!req.allowInactiveAccount && !isServiceAccountToken(decoded)) {
+    try {
+      const accountError = await getInactiveAccountError(decoded.sub, realm.name);
+      if (accountError) {
+        return next(accountError);
+      }
+    } catch (error) {
+      return next(error);
+    }
   }
 
-  return res.status(401).json(errorResponse);
+  attachUserInfo(decoded, realm, dpop, req, res, next);
+}
+
+// Prefix Keycloak gives the username of a client's service account user
+const SERVICE_ACCOUNT_PREFIX = 'service-account-';
+
+/**
+ * Detect client-credentials (service account) tokens
+ * Keycloak adds client_id (clientId in older versions) to these tokens
+ */
+function isServiceAccountToken(decoded) {
+  return Boolean(decoded.client_id || decoded.clientId) ||
+    (decoded.preferred_username || '').startsWith(SERVICE_ACCOUNT_PREFIX);
 }
 
 /**
  * Attach decoded user information to request
+ * Roles are translated through the realm's role mapping
+ * principalType tells human users ('user') from service accounts ('service_account')
+ * Token-exchange tokens with an act claim are impersonation tokens (actor = act.sub)
  */
-function attachUserInfo(decoded, expectedAudience, req, next) {
+function attachUserInfo(decoded, realm, dpop, req, res, next) {
+  const isServiceAccount = isServiceAccountToken(decoded);
+  const actor = getTokenActor(decoded);
+
   req.user = {
     keycloakId: decoded.sub,
+    realm: realm.name,
+    principalType: isServiceAccount ? 'service_account' : 'user',
+    isServiceAccount,
+    clientId: decoded.azp || decoded.client_id || decoded.clientId,
+    scopes: decoded.scope ? decoded.scope.split(' ').filter(Boolean) : [],
     email: decoded.email,
-    username: decoded.preferred_username || decoded.username,
+    username: decoded.preferred_username || decoded.username ||
+      (isServiceAccount ? `${SERVICE_ACCOUNT_PREFIX}${decoded.azp}` : undefined),
     firstName: decoded.given_name,
     lastName: decoded.family_name,
     emailVerified: decoded.email_verified,
-    roles: decoded.realm_access?.roles || [],
-    clientRoles: decoded.resource_access?.[expectedAudience]?.roles || [],
+    roles: mapRoles(realm, decoded.realm_access?.roles),
+    clientRoles: mapRoles(realm, decoded.resource_access?.[realm.clientId]?.roles),
+    // Only present when the client has a group membership mapper
+    groups: Array.isArray(decoded.groups) ? decoded.groups : undefined,
+    impersonated: Boolean(actor),
+    actor,
+    dpop,
     token: decoded
   };
 
-  next();
+  // Every later log line of this request names the caller
+  req.log = (req.log || logger).child({ keycloakId: req.user.keycloakId, realm: realm.name });
+
+  applyImpersonation(req, res, next);
 }
 
 /**
@@ -129,10 +282,13 @@ function attachUserInfo(decoded, expectedAudience, req, next) {
  * 
  * Flow:
  * 1. Check for Authorization header
- * 2. Extract Bearer token
+ * 2. Extract Bearer or DPoP token
  * 3. Verify token with Keycloak public key
- * 4. Validate token claims (iss, aud, exp)
- * 5. Attach user info to request object
+ * 4. Validate token claims (iss from a trusted realm, aud, exp)
+ * 5. Verify DPoP proof when the token is sender-constrained (cnf.jkt)
+ * 6. Reject revoked tokens and sessions (TOKEN_REVOKED)
+ * 7. Record the session and attach user info to request object
+ * 8. Apply impersonation (X-Impersonate-User header or act claim)
  */
 export const validateKeycloakToken = async (req, res, next) => {
   try {
@@ -140,91 +296,149 @@ export const validateKeycloakToken = async (req, res, next) => {
     const authHeader = req.headers.authorization;
 
     if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        message: 'No authorization header provided'
-      });
+      return rejectRequest('MISSING_TOKEN', 'No authorization header provided', next);
     }
 
-    // Properly extract Bearer token
-    if (!authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authorization header must start with "Bearer "'
-      });
+    // Properly extract Bearer or DPoP token
+    const scheme = AUTH_SCHEMES.find(name => authHeader.startsWith(`${name} `));
+    if (!scheme) {
+      return rejectRequest('MALFORMED_AUTHORIZATION', 'Authorization header must start with "Bearer " or "DPoP "', next);
     }
 
     // Extract token - split by space and take the second part (index 1)
     const parts = authHeader.split(' ');
     if (parts.length !== 2) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid authorization header format. Expected: Bearer <token>'
-      });
+      return rejectRequest('MALFORMED_AUTHORIZATION', `Invalid authorization header format. Expected: ${scheme} <token>`, next);
     }
 
     const token = parts[1].trim();
 
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token is empty'
-      });
+      return rejectRequest('MALFORMED_AUTHORIZATION', 'Token is empty', next);
     }
 
-    // Build issuer URL
-    const issuer = `${process.env.KEYCLOAK_URL}/realms/${process.env.KEYCLOAK_REALM}`;
-    const expectedAudience = process.env.KEYCLOAK_CLIENT_ID;
-    const algorithm = process.env.JWT_ALGORITHM || 'RS256';
+    // Pick the trusted realm from the token issuer
+    let realm;
+    try {
+      realm = resolveTokenRealm(token);
+    } catch (configError) {
+      return next(new AppError(`Server configuration error: ${configError.message}`, 500, { code: 'CONFIGURATION_ERROR' }));
+    }
 
-    if (!issuer || issuer.includes('undefined')) {
-      return res.status(500).json({
-        success: false,
-        message: 'Server configuration error: KEYCLOAK_URL and KEYCLOAK_REALM must be set'
-      });
+    if (!realm) {
+      return rejectRequest('INVALID_TOKEN', 'Token issuer is not trusted', next);
     }
 
-    // Verify token using Keycloak's public key
-    // First try with audience validation if configured
+    const algorithm = process.env.JWT_ALGORITHM || 'RS256';
+    const getKey = createKeyResolver(realm);
+    const auth = { scheme, token };
+
+    // Verify token using the realm's public key, issuer and audience
     const verifyOptions = {
       algorithms: [algorithm],
-      issuer: issuer
+      issuer: realm.issuer
     };
 
-    if (expectedAudience) {
-      verifyOptions.audience = expectedAudience;
+    if (realm.audience) {
+      verifyOptions.audience = realm.audience;
     }
 
     jwt.verify(token, getKey, verifyOptions, (err, decoded) => {
-      // If verification fails due to audience mismatch, try without audience
-      if (err && err.message && err.message.includes('audience') && expectedAudience) {
-        // Retry without audience validation
+      // Opt-in: a token without the audience is accepted when it was issued to that client (azp)
+      if (err?.message?.startsWith('jwt audience invalid') && realm.allowAzpAudience) {
         jwt.verify(token, getKey, {
           algorithms: [algorithm],
-          issuer: issuer
+          issuer: realm.issuer
         }, (retryErr, retryDecoded) => {
           if (retryErr) {
-            return handleVerificationError(retryErr, res);
+            return handleVerificationError(retryErr, realm, next);
           }
-          // Success without audience - proceed
-          attachUserInfo(retryDecoded, expectedAudience, req, next);
+          if (retryDecoded.azp !== realm.audience) {
+            return handleVerificationError(err, realm, next);
+          }
+          acceptVerifiedToken(retryDecoded, realm, auth, req, res, next);
         });
-      } else if (err) {
-        // Other verification errors
-        return handleVerificationError(err, res);
-      } else {
-        // Success with audience validation
-        attachUserInfo(decoded, expectedAudience, req, next);
+        return;
       }
+
+      if (err) {
+        return handleVerificationError(err, realm, next);
+      }
+      acceptVerifiedToken(decoded, realm, auth, req, res, next);
     });
   } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error during token validation'
-    });
+    return next(error);
   }
 };
 
+// Event type required in a back-channel logout token (OpenID Connect Back-Channel Logout 1.0)
+const BACKCHANNEL_LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+/**
+ * Verify a Keycloak back-channel logout token
+ *
+ * Flow:
+ * 1. Verify signature with the same JWKS keys as access tokens
+ * 2. Validate issuer (a trusted realm) and audience (its client ID)
+ * 3. Check the events claim contains the back-channel logout event
+ * 4. Require sid or sub, and reject tokens carrying a nonce
+ *
+ * Resolves with { claims, realm }, rejects with an Error otherwise
+ */
+export const verifyLogoutToken = (logoutToken) => {
+  return new Promise((resolve, reject) => {
+    let realm;
+    try {
+      realm = resolveTokenRealm(logoutToken);
+    } catch (configError) {
+      return reject(configError);
+    }
+
+    if (!realm) {
+      return reject(new Error('Logout token issuer is not trusted'));
+    }
+
+    const verifyOptions = {
+      algorithms: [process.env.JWT_ALGORITHM || 'RS256'],
+      issuer: realm.issuer
+    };
+
+    if (realm.audience) {
+      verifyOptions.audience = realm.audience;
+    }
+
+    jwt.verify(logoutToken, createKeyResolver(realm), verifyOptions, (err, decoded) => {
+      if (err) {
+        return reject(err);
+      }
+
+      if (!decoded.events || typeof decoded.events !== 'object' ||
+        !Object.prototype.hasOwnProperty.call(decoded.events, BACKCHANNEL_LOGOUT_EVENT)) {
+        return reject(new Error('Logout token missing back-channel logout event'));
+      }
+
+      if (!decoded.sid && !decoded.sub) {
+        return reject(new Error('Logout token must contain sid or sub'));
+      }
+
+      if (decoded.nonce !== undefined) {
+        return reject(new Error('Logout token must not contain nonce'));
+      }
+
+      resolve({ claims: decoded, realm: realm.name });
+    });
+  });
+};
+
+/**
+ * Let deactivated and pending-deletion accounts through validateKeycloakToken
+ * Put it before validateKeycloakToken on routes such accounts need (reactivation, logout)
+ */
+export const allowInactiveAccount = (req, res, next) => {
+  req.allowInactiveAccount = true;
+  next();
+};
+
 /**
  * Optional: Validate token and extract user info without failing
  * Useful for optional authentication endpoints
@@ -232,7 +446,7 @@ export const validateKeycloakToken = async (req, res, next) => {
 export const optionalKeycloakToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  if (!authHeader || !AUTH_SCHEMES.some(scheme => authHeader.startsWith(`${scheme} `))) {
     req.user = null;
     return next();
   }
@@ -0,0 +1,58 @@
+import { httpRequestsTotal, httpRequestDuration } from '../utils/metrics.js';
+
+/**
+ * Record the full route pattern each time Express matches a route
+ *
+ * Express assigns req.route right before running the route handlers, while req.baseUrl
+ * still holds the router's mount path. Once a handler calls next(err), the router restores
+ * req.baseUrl on its way out, so reading it on 'finish' would drop the mount path.
+ */
+function trackMatchedRoute(req) {
+  let route = req.route;
+  let matchedRoute = null;
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value) {
+        matchedRoute = `${req.baseUrl}${value.path}`;
+      }
+    }
+  });
+
+  return () => matchedRoute;
+}
+
+/**
+ * HTTP Metrics Middleware
+ *
+ * Why needed:
+ * - Request counts and latency per route and status for Prometheus
+ *
+ * How it works:
+ * - The route label is the matched route pattern (e.g. /api/users/:id), never the raw URL,
+ *   so IDs in paths do not create a new series per user
+ * - The pattern is captured while the route matches, so responses sent by the error
+ *   handler keep the same label as successful ones
+ * - Requests that matched no route are labelled "unmatched"
+ */
+export const httpMetrics = (req, res, next) => {
+  const end = httpRequestDuration.startTimer();
+  const getMatchedRoute = trackMatchedRoute(req);
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: getMatchedRoute() || 'unmatched',
+      status: res.statusCode
+    };
+
+    end(labels);
+    httpRequestsTotal.inc(labels);
+  });
+
+  next();
+};
@@ -0,0 +1,96 @@
+import { getRateLimitPolicy, isRateLimitEnabled } from '../config/rateLimits.js';
+import { getRateLimitStore } from '../service/rateLimitStore.js';
+import { hasRole, getAdminRole } from './authorize.js';
+import logger from '../utils/logger.js';
+import { TooManyRequestsError } from '../utils/errors.js';
+
+/**
+ * Rate Limit Middleware
+ *
+ * Why needed:
+ * - One client must not be able to hammer the API (and MongoDB behind it)
+ * - Limits are per caller, so one noisy user does not throttle everybody else
+ *
+ * How it works:
+ * - rateLimit('policyName') applies a policy from config/rateLimits.js
+ * - Callers are keyed by Keycloak user (realm + keycloakId), API key,
+ *   service account client (azp) or, without authentication, by IP
+ * - While impersonating, the support user's own budget is used
+ * - Admins get the policy's adminLimit
+ * - Sends RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+ *   headers (IETF draft), and Retry-After with 429 responses
+ * - If the store fails, requests are let through (logged) rather than blocking the API
+ * - Behind a reverse proxy, set TRUST_PROXY so req.ip is the client's address
+ */
+
+/**
+ * Identify the caller for a policy
+ */
+function getCallerKey(req, keyBy) {
+  const user = req.user;
+
+  if (keyBy === 'caller' && user) {
+    if (user.actor) {
+      return `user:${user.realm}:${user.actor.keycloakId}`;
+    }
+    if (user.isApiKey) {
+      return `apikey:${user.apiKeyId}`;
+    }
+    if (user.isServiceAccount) {
+      return `client:${user.realm}:${user.clientId}`;
+    }
+    return `user:${user.realm}:${user.keycloakId}`;
+  }
+
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Limit of a policy for this caller
+ */
+function getLimit(policy, req) {
+  if (policy.adminLimit && req.user && !req.user.actor && hasRole(req.user, getAdminRole())) {
+    return policy.adminLimit;
+  }
+  return policy.limit;
+}
+
+/**
+ * Build a rate limiting middleware for a policy
+ * Usage: router.get('/me', validateKeycloakToken, rateLimit('profileRead'), ...)
+ */
+export const rateLimit = (policyName) => {
+  return async (req, res, next) => {
+    if (!isRateLimitEnabled()) {
+      return next();
+    }
+
+    let policy;
+    let result;
+    try {
+      policy = getRateLimitPolicy(policyName);
+      const key = `${policy.name}:${getCallerKey(req, policy.keyBy)}`;
+      result = await getRateLimitStore().increment(key, policy.windowMs);
+    } catch (error) {
+      (req.log || logger).error('rate limit skipped', { policy: policyName, err: error });
+      return next();
+    }
+
+    const limit = getLimit(policy, req);
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - result.count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+    res.set('RateLimit-Policy', `${limit};w=${Math.ceil(policy.windowMs / 1000)}`);
+
+    if (result.count > limit) {
+      return next(new TooManyRequestsError('Too many requests, please try again later', {
+        headers: { 'Retry-After': String(resetSeconds) },
+        details: { retryAfter: resetSeconds }
+      }));
+    }
+
+    next();
+  };
+};
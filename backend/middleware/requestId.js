@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+/**
+ * Request ID Middleware
+ *
+ * Why needed:
+ * - Correlates every log line, audit entry and error response of one request
+ * - Lets a client or gateway pass its own ID through (X-Request-Id)
+ *
+ * How it works:
+ * - Takes X-Request-Id when it is a safe token (letters, digits, . _ : -, max 128 chars),
+ *   otherwise generates a UUID
+ * - Sets req.id and echoes it in the X-Request-Id response header
+ * - req.log is a logger bound to the request ID (enriched with keycloakId after authentication)
+ * - Every error body (success: false) gets a requestId field
+ */
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+export const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+
+  res.set('X-Request-Id', req.id);
+
+  // Add the request ID to every error body, whoever sends it
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === 'object' && body.success === false && !body.requestId) {
+      return json({ ...body, requestId: req.id });
+    }
+    return json(body);
+  };
+
+  next();
+};
@@ -0,0 +1,42 @@
+/**
+ * Request Logger Middleware
+ *
+ * Why needed:
+ * - One structured access log line per request (replaces morgan's colored text)
+ *
+ * How it works:
+ * - Must run after requestId (uses req.log)
+ * - Logs when the response has been sent: method, path, status, duration, IP, user agent
+ * - The caller's keycloakId and realm are included once authentication has run
+ * - 5xx responses are logged as error, 4xx as warn, everything else as info
+ * - Headers are never logged, so Authorization/X-API-Key cannot leak
+ */
+export const requestLogger = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+    let level = 'info';
+    if (res.statusCode >= 500) {
+      level = 'error';
+    } else if (res.statusCode >= 400) {
+      level = 'warn';
+    }
+
+    req.log[level]('request completed', {
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      contentLength: res.get('content-length'),
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      keycloakId: req.user?.keycloakId,
+      realm: req.user?.realm,
+      ...(req.user?.actor && { actorKeycloakId: req.user.actor.keycloakId })
+    });
+  });
+
+  next();
+};
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import { AppError, UnauthorizedError } from '../utils/errors.js';
+
+/**
+ * Webhook Signature Middleware
+ *
+ * Why needed:
+ * - The webhook endpoint is public; only Keycloak may call it
+ * - Events change user records, so forged requests must be rejected
+ *
+ * How it works:
+ * - Keycloak's event listener signs the raw request body with HMAC-SHA256
+ *   using the shared KEYCLOAK_WEBHOOK_SECRET
+ * - The signature is sent as X-Keycloak-Signature: <hex> (optionally "sha256=<hex>")
+ * - The body must be captured raw (req.rawBody) by express.json in server.js
+ */
+
+const SIGNATURE_HEADER = 'x-keycloak-signature';
+
+/**
+ * Verify the HMAC signature of a Keycloak webhook request
+ */
+export const verifyWebhookSignature = (req, res, next) => {
+  const secret = process.env.KEYCLOAK_WEBHOOK_SECRET;
+
+  if (!secret) {
+    return next(new AppError('Server configuration error: KEYCLOAK_WEBHOOK_SECRET must be set', 500, { code: 'CONFIGURATION_ERROR' }));
+  }
+
+  const header = req.headers[SIGNATURE_HEADER];
+  const signature = header ? header.replace(/^sha256=/, '').trim() : '';
+
+  if (!signature || !req.rawBody) {
+    return next(new UnauthorizedError('Missing webhook signature', { code: 'INVALID_SIGNATURE' }));
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex');
+  const received = Buffer.from(signature, 'hex');
+
+  if (received.length !== Buffer.byteLength(expected, 'hex') ||
+    !crypto.timingSafeEqual(received, Buffer.from(expected, 'hex'))) {
+    return next(new UnauthorizedError('Invalid webhook signature', { code: 'INVALID_SIGNATURE' }));
+  }
+
+  next();
+};
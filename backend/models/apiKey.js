@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * API Key Model
+ *
+ * Why needed:
+ * - Some integrations cannot run OAuth flows
+ * - Lets users create long-lived, scoped credentials tied to their account
+ *
+ * How it works:
+ * - Only a SHA-256 hash of the key is stored, never the key itself
+ * - prefix keeps the first characters so users can tell keys apart
+ * - Keys belong to a user (realm + keycloakId) and carry their own scopes
+ * - A key stops working once expiresAt passes or revokedAt is set
+ */
+const apiKeySchema = new mongoose.Schema({
+  realm: {
+    type: String,
+    required: true
+  },
+  keycloakId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  collection: 'api_keys'
+});
+
+// List keys of a user
+apiKeySchema.index({ realm: 1, keycloakId: 1, createdAt: -1 });
+
+// Never expose the hash in API responses
+apiKeySchema.methods.toJSON = function() {
+  const keyObject = this.toObject();
+  keyObject.id = keyObject._id;
+  delete keyObject._id;
+  delete keyObject.__v;
+  delete keyObject.keyHash;
+  return keyObject;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+
+/**
+ * Audit Log Model
+ *
+ * Why needed:
+ * - Records who changed what: logins, profile updates, deletes, logouts, admin actions
+ * - Impersonated requests record both the real actor and the user acted as
+ * - Compliance exports are read from this collection
+ *
+ * How it works:
+ * - One document per audited action
+ * - Append-only: update and delete queries are refused by the model
+ * - actor is who really made the request, target is the user affected
+ * - changes holds the before/after values of changed fields: { field: { from, to } }
+ * - expiresAt is set from AUDIT_RETENTION_DAYS when the entry is written;
+ *   the TTL index is the only way entries are removed
+ */
+const auditLogSchema = new mongoose.Schema({
+  realm: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    keycloakId: String,
+    username: String,
+    clientId: String,
+    // 'user' | 'service_account' | 'api_key' | 'keycloak' | 'system'
+    type: { type: String }
+  },
+  target: {
+    keycloakId: String,
+    username: String
+  },
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  },
+  statusCode: {
+    type: Number
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  requestId: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Unset = kept forever
+  expiresAt: {
+    type: Date
+  }
+}, {
+  collection: 'audit_logs'
+});
+
+// Recent entries of a realm, by action, actor and target
+auditLogSchema.index({ realm: 1, createdAt: -1 });
+auditLogSchema.index({ realm: 1, action: 1, createdAt: -1 });
+auditLogSchema.index({ realm: 1, 'actor.keycloakId': 1, createdAt: -1 });
+auditLogSchema.index({ realm: 1, 'target.keycloakId': 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+// TTL index - retention period
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Append-only - refuse updates and deletes through the model
+const MUTATING_QUERIES = [
+  'updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+];
+
+auditLogSchema.pre(MUTATING_QUERIES, function() {
+  throw new Error('Audit log entries are append-only');
+});
+
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) {
+    throw new Error('Audit log entries are append-only');
+  }
+});
+
+// Method to transform audit data for API responses
+auditLogSchema.methods.toJSON = function() {
+  const auditObject = this.toObject();
+  auditObject.id = auditObject._id;
+  delete auditObject._id;
+  delete auditObject.__v;
+  return auditObject;
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
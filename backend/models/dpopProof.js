@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * DPoP Proof Model
+ *
+ * Why needed:
+ * - A DPoP proof must be used only once (replay protection)
+ * - Shared by all backend instances, unlike an in-memory cache
+ *
+ * How it works:
+ * - One document per proof jti (unique index - a second insert means replay)
+ * - expiresAt is when the proof would be too old anyway
+ * - MongoDB TTL index removes entries after that
+ */
+const dpopProofSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  jkt: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'dpop_proofs'
+});
+
+// TTL index - MongoDB deletes the document once expiresAt has passed
+dpopProofSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const DpopProof = mongoose.model('DpopProof', dpopProofSchema);
+
+export default DpopProof;
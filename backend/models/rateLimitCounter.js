@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * Rate Limit Counter Model
+ *
+ * Why needed:
+ * - Shares rate limit counters between several API instances (RATE_LIMIT_STORE=mongo)
+ *
+ * How it works:
+ * - One document per policy, caller and fixed window (key)
+ * - Requests increment count atomically ($inc with upsert)
+ * - The TTL index removes counters once their window has ended
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'rate_limit_counters'
+});
+
+// TTL index - MongoDB deletes the counter once its window is over
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+export default RateLimitCounter;
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+/**
+ * Reconciliation Run Model
+ *
+ * Why needed:
+ * - Keeps the report of each Keycloak -> MongoDB reconciliation
+ * - Admins can see what drift was found and fixed, and when
+ *
+ * How it works:
+ * - One document per realm per run (scheduled or triggered by an admin)
+ * - counts summarizes the run, drift lists individual differences (capped)
+ * - Runs are kept for 90 days by a TTL index
+ */
+const reconciliationRunSchema = new mongoose.Schema({
+  realm: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'admin'],
+    required: true
+  },
+  triggeredBy: {
+    type: String
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  counts: {
+    scanned: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    disabled: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 }
+  },
+  drift: [{
+    _id: false,
+    keycloakId: String,
+    action: String,
+    changes: mongoose.Schema.Types.Mixed
+  }],
+  driftTruncated: {
+    type: Boolean,
+    default: false
+  },
+  error: {
+    type: String
+  }
+}, {
+  collection: 'reconciliation_runs'
+});
+
+reconciliationRunSchema.index({ realm: 1, startedAt: -1 });
+
+// TTL index - keep reports for 90 days
+reconciliationRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const ReconciliationRun = mongoose.model('ReconciliationRun', reconciliationRunSchema);
+
+export default ReconciliationRun;
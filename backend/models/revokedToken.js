@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+/**
+ * Revoked Token Model
+ *
+ * Why needed:
+ * - JWTs stay valid until they expire, even after the user logs out
+ * - Stores revoked token IDs (jti), Keycloak sessions (sid) and subjects (sub)
+ * - Lets the Keycloak middleware reject tokens that were revoked server-side
+ *
+ * How it works:
+ * - One document per revoked identifier (type + value) within a realm
+ * - expiresAt is set to the token's own expiry time
+ * - A sub entry only rejects tokens issued before revokedAt
+ * - MongoDB TTL index removes entries once the token could no longer be used anyway
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['jti', 'sid', 'sub'],
+    required: true
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  realm: {
+    type: String,
+    required: true
+  },
+  keycloakId: {
+    type: String,
+    index: true
+  },
+  reason: {
+    type: String,
+    default: 'logout'
+  },
+  revokedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'revoked_tokens'
+});
+
+// One entry per identifier and realm
+revokedTokenSchema.index({ type: 1, value: 1, realm: 1 }, { unique: true });
+
+// TTL index - MongoDB deletes the document once expiresAt has passed
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+export default RevokedToken;
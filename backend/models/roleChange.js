@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+/**
+ * Role Change Model
+ *
+ * Why needed:
+ * - Keeps a history of a user's realm roles, client roles and groups
+ * - Answers "when did this user get role X" without asking Keycloak
+ *
+ * How it works:
+ * - One document per detected change, with what was added and removed
+ * - source tells where the change was seen: a login token or a reconciliation run
+ * - Only lists that changed are stored
+ */
+const membershipDiffSchema = new mongoose.Schema({
+  added: {
+    type: [String],
+    default: undefined
+  },
+  removed: {
+    type: [String],
+    default: undefined
+  }
+}, { _id: false });
+
+const roleChangeSchema = new mongoose.Schema({
+  realm: {
+    type: String,
+    required: true
+  },
+  keycloakId: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['token', 'reconciliation'],
+    required: true
+  },
+  roles: membershipDiffSchema,
+  clientRoles: membershipDiffSchema,
+  groups: membershipDiffSchema,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'role_changes'
+});
+
+// History of a user, newest first
+roleChangeSchema.index({ realm: 1, keycloakId: 1, changedAt: -1 });
+
+// Method to transform role change data for API responses
+roleChangeSchema.methods.toJSON = function() {
+  const changeObject = this.toObject();
+  delete changeObject._id;
+  delete changeObject.__v;
+  return changeObject;
+};
+
+const RoleChange = mongoose.model('RoleChange', roleChangeSchema);
+
+export default RoleChange;
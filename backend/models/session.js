@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * Session Model
+ *
+ * Why needed:
+ * - Records each Keycloak session (sid claim) a user has used against the API
+ * - Lets users see where they are logged in and revoke a session
+ *
+ * How it works:
+ * - One document per realm + sid, created the first time a token of that session is seen
+ * - lastSeenAt, ip and userAgent are refreshed as the session keeps being used
+ * - revokedAt marks a session the user ended; its tokens are refused from then on
+ * - Sessions not seen for 30 days are removed by a TTL index
+ */
+const sessionSchema = new mongoose.Schema({
+  realm: {
+    type: String,
+    required: true
+  },
+  keycloakId: {
+    type: String,
+    required: true
+  },
+  sid: {
+    type: String,
+    required: true
+  },
+  clientId: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  collection: 'sessions'
+});
+
+// A Keycloak session is unique within its realm
+sessionSchema.index({ realm: 1, sid: 1 }, { unique: true });
+
+// List sessions of a user
+sessionSchema.index({ realm: 1, keycloakId: 1, lastSeenAt: -1 });
+
+// TTL index - forget sessions that have not been used for 30 days
+sessionSchema.index({ lastSeenAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Method to transform session data for API responses
+sessionSchema.methods.toJSON = function() {
+  const sessionObject = this.toObject();
+  delete sessionObject._id;
+  delete sessionObject.__v;
+  return sessionObject;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Account lifecycle states (see service/accountLifecycleService.js)
+export const ACCOUNT_STATUSES = ['active', 'deactivated', 'pending_deletion', 'purged'];
+
 /**
  * User Model
  * 
@@ -8,13 +11,17 @@ import mongoose from 'mongoose';
  * - Allows extending user data beyond what Keycloak provides
  * - Enables custom user attributes and relationships
  * - Provides a local cache of user data for faster queries
+ * - Users are scoped by realm: the same keycloakId may exist in several realms
  */
 const userSchema = new mongoose.Schema({
-  keycloakId: {
+  realm: {
     type: String,
     required: true,
-    unique: true,
-    index: true
+    trim: true
+  },
+  keycloakId: {
+    type: String,
+    required: true
   },
   email: {
     type: String,
@@ -35,6 +42,8 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Mirrors the Keycloak account (webhooks, reconciliation, admin disable)
+  // Deactivation and deletion by the user are tracked by status instead
   enabled: {
     type: Boolean,
     default: true
@@ -43,6 +52,21 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Mirrored from Keycloak (token or reconciliation) - roles after the realm's role mapping
+  roles: {
+    type: [String],
+    default: []
+  },
+  // Client roles of the realm's configured client
+  clientRoles: {
+    type: [String],
+    default: []
+  },
+  // Group paths, e.g. /staff/support
+  groups: {
+    type: [String],
+    default: []
+  },
   // Custom fields beyond Keycloak
   profilePicture: {
     type: String
@@ -53,6 +77,38 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Time of the last profile edit written through to Keycloak
+  // Names from tokens issued before this are stale and not synced
+  profileUpdatedAt: {
+    type: Date
+  },
+  // Time of the last Keycloak event applied (webhooks) - older events are ignored
+  lastKeycloakEventAt: {
+    type: Date
+  },
+  // Set when the user was deleted in Keycloak
+  keycloakDeletedAt: {
+    type: Date
+  },
+  // Account lifecycle - only active accounts may use the API
+  status: {
+    type: String,
+    enum: ACCOUNT_STATUSES,
+    default: 'active'
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  deletionRequestedAt: {
+    type: Date
+  },
+  // End of the grace period of a pending deletion - the purge job runs after it
+  purgeAfter: {
+    type: Date
+  },
+  purgedAt: {
+    type: Date
+  },
   preferences: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
@@ -63,10 +119,34 @@ const userSchema = new mongoose.Schema({
   collection: 'users'
 });
 
+// A Keycloak user is unique within its realm
+userSchema.index({ realm: 1, keycloakId: 1 }, { unique: true });
+
 // Indexes for performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 
+// Filter users by role or group
+userSchema.index({ realm: 1, roles: 1 });
+userSchema.index({ realm: 1, clientRoles: 1 });
+userSchema.index({ realm: 1, groups: 1 });
+
+// Sortable fields of GET /api/users (see USER_SORT_FIELDS in userValidator.js)
+// _id is the tie-breaker of the sort and of keyset cursors
+userSchema.index({ realm: 1, createdAt: -1, _id: -1 });
+userSchema.index({ realm: 1, lastLogin: -1, _id: -1 });
+userSchema.index({ realm: 1, email: 1, _id: 1 });
+userSchema.index({ realm: 1, username: 1, _id: 1 });
+userSchema.index({ realm: 1, lastName: 1, _id: 1 });
+
+// Status filters of GET /api/users, newest first
+userSchema.index({ realm: 1, enabled: 1, createdAt: -1, _id: -1 });
+userSchema.index({ realm: 1, emailVerified: 1, createdAt: -1, _id: -1 });
+userSchema.index({ realm: 1, status: 1, createdAt: -1, _id: -1 });
+
+// Purge job: pending deletions whose grace period is over
+userSchema.index({ purgeAfter: 1 }, { partialFilterExpression: { status: 'pending_deletion' } });
+
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName || ''} ${this.lastName || ''}`.trim();
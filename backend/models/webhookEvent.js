@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * Webhook Event Model
+ *
+ * Why needed:
+ * - Webhook senders retry and may deliver the same event more than once
+ * - Remembers which events were already applied so replays are ignored
+ *
+ * How it works:
+ * - One document per event ID (unique index)
+ * - Kept for 7 days by a TTL index, longer than any sender's retry window
+ */
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  source: {
+    type: String,
+    default: 'keycloak'
+  },
+  type: {
+    type: String
+  },
+  realm: {
+    type: String
+  },
+  keycloakId: {
+    type: String
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'webhook_events'
+});
+
+// TTL index - forget processed events after 7 days
+webhookEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
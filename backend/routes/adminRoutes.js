@@ -0,0 +1,29 @@
+import express from 'express';
+import * as reconciliationController from '../controller/reconciliationController.js';
+import { validateKeycloakToken } from '../middleware/keycloak.js';
+import { requireAdmin, forbidImpersonation } from '../middleware/authorize.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+/**
+ * Admin Routes
+ * 
+ * Why needed:
+ * - Operational endpoints for realm administrators
+ * 
+ * How it works:
+ * - Every route requires a Keycloak token with the admin role
+ * - Not available while impersonating
+ * - Admins only act on their own realm
+ */
+
+const router = express.Router();
+
+router.use(validateKeycloakToken, rateLimit('admin'), forbidImpersonation, requireAdmin);
+
+// Trigger a Keycloak -> MongoDB reconciliation (?dryRun=true to only report drift)
+router.post('/reconciliation', reconciliationController.triggerReconciliation);
+
+// Reports of recent reconciliation runs
+router.get('/reconciliation/runs', reconciliationController.listRuns);
+
+export default router;
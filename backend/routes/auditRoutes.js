@@ -0,0 +1,43 @@
+import express from 'express';
+import * as auditController from '../controller/auditController.js';
+import { validateKeycloakToken } from '../middleware/keycloak.js';
+import { requireAdmin, forbidImpersonation } from '../middleware/authorize.js';
+import { validateAuditQuery } from '../validator/auditValidator.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+/**
+ * Audit Routes
+ * 
+ * Why needed:
+ * - Search and export of the audit log for admins and compliance
+ * 
+ * How it works:
+ * - Every route requires a Keycloak token with the admin role
+ * - Not available while impersonating
+ * - Admins only see entries of their own realm
+ * - Exports have their own, much smaller rate limit
+ */
+
+const router = express.Router();
+
+router.use(validateKeycloakToken, rateLimit('admin'), forbidImpersonation, requireAdmin);
+
+const exportLimit = rateLimit('export');
+
+/**
+ * Apply the export rate limit to NDJSON/CSV requests only
+ */
+const limitExports = (req, res, next) => {
+  if (req.query.format && req.query.format !== 'json') {
+    return exportLimit(req, res, next);
+  }
+  next();
+};
+
+/**
+ * Search (format=json) or export (format=ndjson|csv) audit entries
+ * GET /api/audit
+ */
+router.get('/', validateAuditQuery, limitExports, auditController.listAuditEvents);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import swaggerUi from 'swagger-ui-express';
+import * as docsController from '../controller/docsController.js';
+
+/**
+ * API Docs Routes
+ *
+ * Why needed:
+ * - Interactive API documentation (Swagger UI) generated from docs/openapi.js
+ *
+ * How it works:
+ * - Public; GET /api/docs serves the UI, GET /api/docs/openapi.json the document
+ * - The UI loads the document by relative URL, so it also works behind a path prefix
+ * - "Authorize" in the UI accepts a bearer token or an API key
+ */
+
+const router = express.Router();
+
+// Raw OpenAPI 3 document
+router.get('/openapi.json', docsController.getOpenApiDocument);
+
+// Swagger UI (static assets + page)
+router.use('/', swaggerUi.serve, swaggerUi.setup(null, {
+  swaggerUrl: 'openapi.json',
+  customSiteTitle: 'Keycloak User Service API',
+  swaggerOptions: {
+    // No external validator badge (blocked by the CSP anyway)
+    validatorUrl: null,
+    persistAuthorization: true
+  }
+}));
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import * as healthController from '../controller/healthController.js';
+
+/**
+ * Health Routes
+ * 
+ * Why needed:
+ * - Liveness and readiness probes for the orchestrator
+ * 
+ * How it works:
+ * - Public, not rate limited (mounted outside /api)
+ * - GET /health is kept as an alias of the liveness probe
+ */
+
+const router = express.Router();
+
+// Liveness - restart the instance when this fails
+router.get('/', healthController.liveness);
+router.get('/live', healthController.liveness);
+
+// Readiness - stop sending traffic when this fails
+router.get('/ready', healthController.readiness);
+
+export default router;
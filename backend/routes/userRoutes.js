@@ -1,7 +1,27 @@
 import express from 'express';
 import * as userController from '../controller/userController.js';
-import { validateKeycloakToken } from '../middleware/keycloak.js';
-import { validateUpdateUser } from '../validator/userValidator.js';
+import * as apiKeyController from '../controller/apiKeyController.js';
+import * as sessionController from '../controller/sessionController.js';
+import { validateKeycloakToken, allowInactiveAccount } from '../middleware/keycloak.js';
+import { validateApiKeyOrToken } from '../middleware/apiKey.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import {
+  requireHumanUser,
+  forbidImpersonation,
+  requireRoleOrScope,
+  requireApiKeyScope,
+  requireAdmin,
+  getAdminRole,
+  SCOPES
+} from '../middleware/authorize.js';
+import {
+  validateUpdateUser,
+  validateListUsers,
+  validateUserId,
+  validateAdminUpdateUser,
+  validateDeleteUser
+} from '../validator/userValidator.js';
+import { validateCreateApiKey } from '../validator/apiKeyValidator.js';
 
 /**
  * User Routes
@@ -13,8 +33,12 @@ import { validateUpdateUser } from '../validator/userValidator.js';
  * 
  * How it works:
  * - Express router handles HTTP methods (GET, POST, PUT, DELETE)
- * - Middleware chain: validateKeycloakToken -> validator -> controller
+ * - Middleware chain: validateKeycloakToken -> role guard -> validator -> controller
  * - All routes protected by Keycloak token validation
+ * - Routes using validateApiKeyOrToken also accept an X-API-Key header (scope-checked)
+ * - Admin-only routes additionally require the admin realm role (or a scope for service accounts)
+ * - forbidImpersonation blocks routes support staff must not use on a user's behalf
+ * - rateLimit runs right after authentication so callers are limited individually
  */
 
 const router = express.Router();
@@ -26,27 +50,93 @@ const router = express.Router();
 router.get('/health', userController.healthCheck);
 
 /**
- * Protected routes - require Keycloak token
- * All routes below use validateKeycloakToken middleware
+ * Public route - Keycloak back-channel logout (authenticated by the signed logout_token)
+ * POST /api/users/backchannel-logout
  */
+router.post('/backchannel-logout', rateLimit('callback'), userController.backchannelLogout);
 
-// Get current authenticated user profile
-router.get('/me', validateKeycloakToken, userController.getCurrentUser);
+/**
+ * Protected routes - require Keycloak token (or API key where noted)
+ */
+
+// Get current authenticated user profile (API key: profile:read)
+router.get('/me', validateApiKeyOrToken, rateLimit('profileRead'), requireApiKeyScope(SCOPES.PROFILE_READ), userController.getCurrentUser);
+
+// Update current user profile (human users only, API key: profile:write)
+router.put('/me', validateApiKeyOrToken, rateLimit('profileWrite'), requireHumanUser, requireApiKeyScope(SCOPES.PROFILE_WRITE), validateUpdateUser, userController.updateCurrentUser);
+
+// Delete current user after the grace period (human users only, never while impersonating)
+router.delete('/me', validateKeycloakToken, rateLimit('profileWrite'), requireHumanUser, forbidImpersonation, userController.deleteCurrentUser);
+
+// Deactivate current user (human users only, never while impersonating)
+router.post('/me/deactivate', validateKeycloakToken, rateLimit('profileWrite'), requireHumanUser, forbidImpersonation, userController.deactivateCurrentUser);
+
+// Reactivate current user - the only route (with logout) open to inactive accounts
+router.post('/me/reactivate', allowInactiveAccount, validateKeycloakToken, rateLimit('profileWrite'), requireHumanUser, forbidImpersonation, userController.reactivateCurrentUser);
+
+// Logout endpoint - revokes the current token and session server-side
+router.post('/logout', allowInactiveAccount, validateKeycloakToken, rateLimit('auth'), userController.logout);
+
+/**
+ * Active sessions - require a Keycloak user token
+ */
+
+// List own Keycloak sessions
+router.get('/me/sessions', validateKeycloakToken, rateLimit('profileRead'), requireHumanUser, sessionController.listSessions);
+
+// Revoke a session - its tokens are refused from then on
+router.delete('/me/sessions/:sid', validateKeycloakToken, rateLimit('profileWrite'), requireHumanUser, forbidImpersonation, sessionController.revokeSession);
+
+/**
+ * API key management - require a Keycloak user token
+ * API keys cannot be used to manage API keys, nor can impersonators create or revoke them
+ */
 
-// Update current user profile
-router.put('/me', validateKeycloakToken, validateUpdateUser, userController.updateCurrentUser);
+// Create an API key (plaintext key returned once)
+router.post('/me/api-keys', validateKeycloakToken, rateLimit('profileWrite'), requireHumanUser, forbidImpersonation, validateCreateApiKey, apiKeyController.createApiKey);
 
-// Delete current user (soft delete)
-router.delete('/me', validateKeycloakToken, userController.deleteCurrentUser);
+// List own API keys
+router.get('/me/api-keys', validateKeycloakToken, rateLimit('profileRead'), requireHumanUser, apiKeyController.listApiKeys);
 
-// Logout endpoint (optional - JWT tokens are stateless, but useful for logging)
-router.post('/logout', validateKeycloakToken, userController.logout);
+// Revoke an API key
+router.delete('/me/api-keys/:keyId', validateKeycloakToken, rateLimit('profileWrite'), requireHumanUser, forbidImpersonation, apiKeyController.revokeApiKey);
+
+/**
+ * Admin routes - require Keycloak token and admin role
+ * Service accounts and API keys need the users:read scope instead
+ */
+const canReadUsers = requireRoleOrScope({ roles: getAdminRole, scopes: SCOPES.USERS_READ });
+
+// Get role and group change history of a user
+router.get('/:id/role-history', validateApiKeyOrToken, rateLimit('userRead'), canReadUsers, userController.getRoleHistory);
 
 // Get user by ID
-router.get('/:id', validateKeycloakToken, userController.getUserById);
+router.get('/:id', validateApiKeyOrToken, rateLimit('userRead'), canReadUsers, userController.getUserById);
+
+// Get all users (with pagination, filter by role or group)
+router.get('/', validateApiKeyOrToken, rateLimit('userRead'), canReadUsers, validateListUsers, userController.getAllUsers);
+
+/**
+ * Admin user management - require a Keycloak token with the admin role
+ * Not available to API keys or while impersonating
+ * Admins cannot disable or delete their own account
+ */
+const canManageUsers = [validateKeycloakToken, rateLimit('admin'), forbidImpersonation, requireAdmin];
+
+// Edit a user's profile
+router.patch('/:id', ...canManageUsers, validateAdminUpdateUser, userController.updateUserById);
+
+// Disable a user (Keycloak account too) and revoke their tokens
+router.post('/:id/disable', ...canManageUsers, validateUserId, userController.disableUser);
+
+// Re-enable a user
+router.post('/:id/enable', ...canManageUsers, validateUserId, userController.enableUser);
+
+// Reactivate a deactivated user, or cancel a deletion within its grace period
+router.post('/:id/reactivate', ...canManageUsers, validateUserId, userController.reactivateUser);
 
-// Get all users (with pagination)
-router.get('/', validateKeycloakToken, userController.getAllUsers);
+// Delete a user: after the grace period by default, ?hard=true purges it now
+router.delete('/:id', ...canManageUsers, validateDeleteUser, userController.deleteUserById);
 
 export default router;
 
@@ -0,0 +1,25 @@
+import express from 'express';
+import * as webhookController from '../controller/webhookController.js';
+import { verifyWebhookSignature } from '../middleware/webhookSignature.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+/**
+ * Webhook Routes
+ * 
+ * Why needed:
+ * - Entry point for events pushed by external systems (Keycloak)
+ * 
+ * How it works:
+ * - Not protected by Keycloak tokens - callers are servers, not users
+ * - Every route verifies an HMAC signature of the raw body instead
+ */
+
+const router = express.Router();
+
+/**
+ * Keycloak user/admin events
+ * POST /api/webhooks/keycloak
+ */
+router.post('/keycloak', rateLimit('callback'), verifyWebhookSignature, webhookController.receiveKeycloakEvent);
+
+export default router;
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import userRoutes from '../routes/userRoutes.js';
+import webhookRoutes from '../routes/webhookRoutes.js';
+import adminRoutes from '../routes/adminRoutes.js';
+import auditRoutes from '../routes/auditRoutes.js';
+import healthRoutes from '../routes/healthRoutes.js';
+import { buildOpenApiDocument } from '../docs/openapi.js';
+import { generateClient, OUTPUT_PATH } from './generateClient.js';
+
+/**
+ * OpenAPI Check
+ *
+ * Why needed:
+ * - Keeps docs/openapi.js and the generated frontend client in step with the routes
+ *
+ * How it works:
+ * - Lists every route of the routers mounted in server.js and looks it up in the document
+ * - Reports documented operations that no longer exist
+ * - Regenerates the client in memory and compares it with frontend/src/api/client.js
+ * - Exits with 1 on any difference (usage: npm run openapi:check)
+ */
+
+// Keep in step with server.js
+const MOUNTS = [
+  ['/health', healthRoutes],
+  ['/api/users', userRoutes],
+  ['/api/webhooks', webhookRoutes],
+  ['/api/admin', adminRoutes],
+  ['/api/audit', auditRoutes]
+];
+
+// Routes registered directly on the app
+const APP_ROUTES = ['get /metrics'];
+
+/**
+ * "get /api/users/{id}" for every route of the mounted routers
+ */
+function listRoutes() {
+  const routes = [...APP_ROUTES];
+  MOUNTS.forEach(([prefix, router]) => {
+    router.stack
+      .filter(layer => layer.route)
+      .forEach(layer => {
+        const routePath = `${prefix}${layer.route.path === '/' ? '' : layer.route.path}`.replace(/:(\w+)/g, '{$1}');
+        Object.keys(layer.route.methods).forEach(method => routes.push(`${method} ${routePath}`));
+      });
+  });
+  return routes;
+}
+
+const document = buildOpenApiDocument();
+const documented = Object.entries(document.paths).flatMap(([pathName, pathItem]) =>
+  Object.keys(pathItem).map(method => `${method} ${pathName}`)
+);
+const routes = listRoutes();
+const problems = [];
+
+routes
+  .filter(route => !documented.includes(route))
+  .forEach(route => problems.push(`Route not documented in docs/openapi.js: ${route}`));
+documented
+  .filter(operation => !routes.includes(operation))
+  .forEach(operation => problems.push(`Documented operation has no route: ${operation}`));
+
+const current = fs.existsSync(OUTPUT_PATH) ? fs.readFileSync(OUTPUT_PATH, 'utf8') : '';
+if (current !== generateClient(document)) {
+  problems.push('frontend/src/api/client.js is out of date - run npm run openapi:client');
+}
+
+if (problems.length > 0) {
+  problems.forEach(problem => console.error(problem));
+  process.exit(1);
+}
+console.log(`OpenAPI document covers ${routes.length} routes; API client is up to date`);
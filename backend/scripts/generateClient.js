@@ -0,0 +1,248 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildOpenApiDocument } from '../docs/openapi.js';
+
+/**
+ * API Client Generator
+ *
+ * Why needed:
+ * - The frontend calls the API through a client generated from docs/openapi.js,
+ *   so URLs, parameters and response types cannot drift from the spec
+ *
+ * How it works:
+ * - One method per operation (named by operationId), skipping x-internal operations
+ * - Component schemas become JSDoc typedefs; parameters and responses are typed inline
+ * - Methods take { ...path and query params, body } and an optional axios config,
+ *   and resolve to the response body ({ success, message, data, pagination? })
+ * - Usage: npm run openapi:client (writes frontend/src/api/client.js)
+ */
+
+export const OUTPUT_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../frontend/src/api/client.js');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Resolve a local $ref to its name
+ */
+function refName(ref) {
+  return ref.split('/').pop();
+}
+
+/**
+ * Valid JS identifier or quoted property name
+ */
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name}'`;
+}
+
+/**
+ * Convert a JSON schema to a JSDoc type expression
+ */
+function toType(schema, document) {
+  if (!schema || Object.keys(schema).length === 0) {
+    return '*';
+  }
+  if (schema.nullable) {
+    return `(${toType({ ...schema, nullable: false }, document)}|null)`;
+  }
+  if (schema.$ref) {
+    const name = refName(schema.$ref);
+    // Responses and parameters are inlined; only schemas have typedefs
+    return schema.$ref.startsWith('#/components/schemas/') ? name : toType(document.components.schemas[name], document);
+  }
+  if (schema.enum) {
+    return schema.enum.map(value => JSON.stringify(value)).join('|');
+  }
+  if (schema.oneOf || schema.anyOf) {
+    return `(${(schema.oneOf || schema.anyOf).map(item => toType(item, document)).join('|')})`;
+  }
+  if (schema.allOf) {
+    return schema.allOf.map(item => toType(item, document)).join(' & ');
+  }
+
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'array':
+      return `Array<${toType(schema.items, document)}>`;
+    case 'object':
+    default:
+      if (!schema.properties) {
+        return schema.additionalProperties && schema.additionalProperties !== true
+          ? `Object<string, ${toType(schema.additionalProperties, document)}>`
+          : 'Object<string, *>';
+      }
+      return `{ ${Object.entries(schema.properties).map(([name, property]) => {
+        const optional = (schema.required || []).includes(name) ? '' : '?';
+        return `${propertyName(name)}${optional}: ${toType(property, document)}`;
+      }).join(', ')} }`;
+  }
+}
+
+/**
+ * JSDoc typedef for a component schema
+ */
+function toTypedef(name, schema, document) {
+  if (schema.type !== 'object' || !schema.properties) {
+    return [
+      '/**',
+      ...(schema.description ? [` * ${schema.description}`] : []),
+      ` * @typedef {${toType({ ...schema, description: undefined }, document)}} ${name}`,
+      ' */'
+    ].join('\n');
+  }
+
+  const lines = ['/**'];
+  if (schema.description) {
+    lines.push(` * ${schema.description}`);
+  }
+  lines.push(` * @typedef {Object} ${name}`);
+  Object.entries(schema.properties).forEach(([property, propertySchema]) => {
+    const type = toType(propertySchema, document);
+    const label = (schema.required || []).includes(property) ? property : `[${property}]`;
+    lines.push(` * @property {${type}} ${label}${propertySchema.description ? ` - ${propertySchema.description}` : ''}`);
+  });
+  lines.push(' */');
+  return lines.join('\n');
+}
+
+/**
+ * Resolve a parameter ($ref or inline)
+ */
+function resolveParameter(parameter, document) {
+  return parameter.$ref ? document.components.parameters[refName(parameter.$ref)] : parameter;
+}
+
+/**
+ * Schema of the first 2xx JSON response, or null
+ */
+function getResponseSchema(operation, document) {
+  const [, success] = Object.entries(operation.responses).find(([status]) => status.startsWith('2')) || [];
+  if (!success) {
+    return null;
+  }
+  const resolved = success.$ref ? document.components.responses[refName(success.$ref)] : success;
+  return resolved.content?.['application/json']?.schema || null;
+}
+
+/**
+ * Generate one client method
+ */
+function toMethod(pathName, method, operation, document) {
+  const parameters = (operation.parameters || [])
+    .map(parameter => resolveParameter(parameter, document))
+    .filter(parameter => parameter.in === 'path' || parameter.in === 'query');
+  const pathParams = parameters.filter(parameter => parameter.in === 'path');
+  const queryParams = parameters.filter(parameter => parameter.in === 'query');
+  const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+  const responseSchema = getResponseSchema(operation, document);
+
+  const paramsRequired = pathParams.length > 0 || Boolean(bodySchema && operation.requestBody.required);
+  const paramsName = paramsRequired ? 'params' : '[params]';
+
+  const doc = ['    /**', `     * ${operation.summary}`, `     * ${method.toUpperCase()} ${pathName}`];
+  if (parameters.length === 0 && !bodySchema) {
+    doc.push('     * @param {Object} [_params] - No parameters (every method takes params, config)');
+  } else {
+    doc.push(`     * @param {Object} ${paramsName}`);
+    parameters.forEach(parameter => {
+      const name = parameter.required ? `params.${parameter.name}` : `[params.${parameter.name}]`;
+      doc.push(`     * @param {${toType(parameter.schema, document)}} ${name}${parameter.description ? ` - ${parameter.description}` : ''}`);
+    });
+    if (bodySchema) {
+      const name = operation.requestBody.required ? 'params.body' : '[params.body]';
+      doc.push(`     * @param {${toType(bodySchema, document)}} ${name} - Request body`);
+    }
+  }
+  doc.push('     * @param {import(\'axios\').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)');
+  doc.push(`     * @returns {Promise<${responseSchema ? toType(responseSchema, document) : '*'}>}`);
+  doc.push('     */');
+
+  const signature = parameters.length > 0 || bodySchema ? `params${paramsRequired ? '' : ' = {}'}, config` : '_params, config';
+  const url = pathParams.length > 0
+    ? `\`${pathName.replace(/\{(\w+)\}/g, (match, name) => `\${encodeURIComponent(params.${name})}`)}\``
+    : `'${pathName}'`;
+  const options = [];
+  if (queryParams.length > 0) {
+    options.push(`query: pick(params, ${JSON.stringify(queryParams.map(parameter => parameter.name)).replace(/"/g, '\'').replace(/,/g, ', ')})`);
+  }
+  if (bodySchema) {
+    options.push('body: params.body');
+  }
+  options.push('config');
+
+  return [
+    ...doc,
+    `    ${operation.operationId}(${signature}) {`,
+    `      return request('${method}', ${url}, { ${options.join(', ')} });`,
+    '    },'
+  ].join('\n');
+}
+
+/**
+ * Generate the client module source
+ */
+export const generateClient = (document = buildOpenApiDocument()) => {
+  const typedefs = Object.entries(document.components.schemas)
+    .map(([name, schema]) => toTypedef(name, schema, document));
+
+  const methods = [];
+  Object.entries(document.paths).forEach(([pathName, pathItem]) => {
+    METHODS.forEach(method => {
+      const operation = pathItem[method];
+      if (operation && !operation['x-internal']) {
+        methods.push(toMethod(pathName, method, operation, document));
+      }
+    });
+  });
+
+  return `// Generated from backend/docs/openapi.js by backend/scripts/generateClient.js - do not edit.
+// Regenerate with: cd backend && npm run openapi:client
+import axios from 'axios';
+
+/**
+ * ${document.info.title} client (OpenAPI ${document.info.version})
+ *
+ * Every method resolves to the response body and rejects with the axios error
+ * (error.response.data holds a Problem: { type, title, status, detail, code, message, ... }).
+ */
+
+${typedefs.join('\n\n')}
+
+/**
+ * Keep only the given keys that are set
+ */
+function pick(params, keys) {
+  return Object.fromEntries(keys.filter(key => params[key] !== undefined).map(key => [key, params[key]]));
+}
+
+/**
+ * Create an API client
+ * @param {Object} [options]
+ * @param {string} [options.baseURL] - Backend URL, e.g. http://localhost:5000
+ * @param {import('axios').AxiosInstance} [options.http] - axios instance (default: the global one and its interceptors)
+ */
+export const createApiClient = ({ baseURL = '', http = axios } = {}) => {
+  const request = async (method, url, { query, body, config = {} }) => {
+    const response = await http.request({ ...config, method, baseURL, url, params: query, data: body });
+    return response.data;
+  };
+
+  return {
+${methods.join('\n\n')}
+  };
+};
+`;
+};
+
+// Run as a script: write the client
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  fs.writeFileSync(OUTPUT_PATH, generateClient());
+  console.log(`API client written to ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+}
@@ -1,10 +1,24 @@
 import express from 'express';
-import mongoose from 'mongoose';
 import cors from 'cors';
 import helmet from 'helmet';
-import morgan from 'morgan';
 import dotenv from 'dotenv';
 import userRoutes from './routes/userRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import healthRoutes from './routes/healthRoutes.js';
+import docsRoutes from './routes/docsRoutes.js';
+import { startReconciliationJob, stopReconciliationJob } from './jobs/reconciliationJob.js';
+import { startAccountPurgeJob, stopAccountPurgeJob } from './jobs/accountPurgeJob.js';
+import { connectDatabase, closeDatabase } from './config/database.js';
+import { rateLimit } from './middleware/rateLimit.js';
+import { requestId } from './middleware/requestId.js';
+import { requestLogger } from './middleware/requestLogger.js';
+import { httpMetrics } from './middleware/metrics.js';
+import { getMetrics } from './controller/metricsController.js';
+import logger from './utils/logger.js';
+import { NotFoundError, toProblem, PROBLEM_CONTENT_TYPE } from './utils/errors.js';
+import { getLifecycleState, setLifecycleState, isStopping } from './utils/lifecycle.js';
 
 // Load environment variables
 dotenv.config();
@@ -12,72 +26,177 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Time allowed to drain in-flight requests on shutdown before connections are cut
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 25000;
+// Wait after the signal before closing the listener, so load balancers see the instance not ready first
+const SHUTDOWN_DELAY_MS = parseInt(process.env.SHUTDOWN_DELAY_MS) || 0;
+
+// Behind a reverse proxy, trust X-Forwarded-For so req.ip (rate limiting, audit) is the client's IP
+// TRUST_PROXY: number of proxy hops, or true
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true');
+}
+
+// Request ID (X-Request-Id) and structured access log - first, so every response is covered
+app.use(requestId);
+app.use(requestLogger);
+app.use(httpMetrics);
+
+// While draining, close keep-alive connections after their current response
+app.use((req, res, next) => {
+  if (isStopping()) {
+    res.set('Connection', 'close');
+  }
+  next();
+});
+
 // Security middleware
 app.use(helmet());
 
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL,
-  credentials: true
+  credentials: true,
+  // Let the frontend read the request ID and rate limit headers
+  exposedHeaders: ['X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
 }));
 
 // Body parser middleware
-app.use(express.json());
+// Raw body is kept for webhook signature verification
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
-// Morgan logger - shows which endpoint is hit and errors
-app.use(morgan('dev'));
+// Liveness (/health, /health/live) and readiness (/health/ready) probes
+app.use('/health', healthRoutes);
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'OK', 
-    message: 'Server is running',
-    timestamp: new Date().toISOString()
-  });
-});
+// Prometheus metrics (optionally protected by METRICS_TOKEN)
+app.get('/metrics', getMetrics);
+
+// Per-IP limit for every API request, before authentication
+app.use('/api', rateLimit('global'));
+
+// OpenAPI document and Swagger UI
+app.use('/api/docs', docsRoutes);
 
 // API routes
 app.use('/api/users', userRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/audit', auditRoutes);
+
+// 404 handler
+app.use((req, res, next) => {
+  next(new NotFoundError('Route not found', { code: 'ROUTE_NOT_FOUND' }));
+});
 
-// Error handling middleware
+// Error handling middleware - every error becomes an RFC 7807 problem (application/problem+json)
 app.use((err, req, res, next) => {
-  // Morgan will log the error
-  morgan('dev')(req, res, () => {});
-  
-  res.status(err.status || 500).json({
-    success: false,
-    message: err.message || 'Internal Server Error',
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+  const { status, headers, problem } = toProblem(err);
+
+  // The access log line is written by requestLogger; server errors are logged here
+  if (status >= 500) {
+    req.log.error('unhandled error', { method: req.method, path: req.originalUrl, err });
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (headers) {
+    res.set(headers);
+  }
+  res.status(status).type(PROBLEM_CONTENT_TYPE).json({
+    ...problem,
+    instance: req.originalUrl,
+    requestId: req.id,
+    ...(process.env.NODE_ENV === 'development' && status >= 500 && { stack: err.stack })
   });
 });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found'
-  });
+// Listen right away - /health/ready reports not ready until MongoDB is connected
+const server = app.listen(PORT, () => {
+  logger.info('server listening', { port: Number(PORT) });
 });
 
-// MongoDB connection
-mongoose.connect(process.env.MONGODB_URL)
-  .then(() => {
-    // Start server after DB connection
-    app.listen(PORT, () => {
-      // Server started successfully
-    });
+// MongoDB connection (retried with backoff)
+connectDatabase()
+  .then((connected) => {
+    // Shutdown started while connecting
+    if (!connected || isStopping()) {
+      return;
+    }
+
+    setLifecycleState('running');
+    logger.info('server ready');
+
+    // Scheduled Keycloak -> MongoDB reconciliation (if RECONCILIATION_INTERVAL_MINUTES is set)
+    startReconciliationJob();
+
+    // Purge accounts whose deletion grace period is over (ACCOUNT_PURGE_INTERVAL_MINUTES)
+    startAccountPurgeJob();
   })
   .catch((error) => {
+    logger.error('MongoDB connection failed', { err: error });
     process.exit(1);
   });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  mongoose.connection.close(() => {
-    process.exit(0);
-  });
-});
+/**
+ * Graceful shutdown
+ * 1. Report not ready and stop scheduled jobs
+ * 2. Stop accepting connections and drain in-flight requests (cut off after SHUTDOWN_TIMEOUT_MS)
+ * 3. Close the database
+ */
+async function shutdown(signal) {
+  // Supervisors may repeat the signal - the deadline below bounds the shutdown anyway
+  if (isStopping()) {
+    logger.warn('shutdown already in progress', { signal });
+    return;
+  }
+
+  const previousState = getLifecycleState();
+  setLifecycleState('stopping');
+  stopReconciliationJob();
+  stopAccountPurgeJob();
+  logger.info('shutdown started', { signal, previousState, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+  let drained = true;
+  const deadline = setTimeout(() => {
+    drained = false;
+    logger.warn('shutdown deadline reached, closing open connections');
+    server.closeAllConnections();
+  }, SHUTDOWN_TIMEOUT_MS);
+
+  try {
+    if (SHUTDOWN_DELAY_MS > 0) {
+      await new Promise(resolve => setTimeout(resolve, SHUTDOWN_DELAY_MS));
+    }
+
+    // Resolves once every connection has ended; keep-alive connections are closed as soon as they are idle
+    const idleSweep = setInterval(() => server.closeIdleConnections(), 250);
+    await new Promise(resolve => {
+      server.close(resolve);
+      server.closeIdleConnections();
+    });
+    clearInterval(idleSweep);
+    clearTimeout(deadline);
+    logger.info('http server closed', { drained });
+
+    await closeDatabase();
+    logger.info('shutdown complete');
+    process.exit(drained ? 0 : 1);
+  } catch (error) {
+    logger.error('shutdown failed', { err: error });
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 export default app;
 
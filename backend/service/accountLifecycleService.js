@@ -0,0 +1,312 @@
+import User from '../models/user.js';
+import * as userService from './userService.js';
+import { revokeSubject } from './tokenRevocationService.js';
+import { recordAuditEvent } from './auditService.js';
+import logger from '../utils/logger.js';
+import { withDbTiming } from '../utils/metrics.js';
+import { ForbiddenError, ConflictError, NotFoundError, wrapError } from '../utils/errors.js';
+
+/**
+ * Account Lifecycle Service
+ *
+ * Why needed:
+ * - Deleting an account used to set enabled: false, and the next login set it back to true
+ * - Users need a way back from a deactivation or a deletion they regret, but only for a while
+ *
+ * How it works:
+ * - active -> deactivated: the user pauses the account (no time limit)
+ * - active | deactivated -> pending_deletion: purgeAfter = now + ACCOUNT_DELETION_GRACE_DAYS (default 30)
+ * - deactivated | pending_deletion -> active: explicit reactivation, before purgeAfter
+ * - pending_deletion -> purged: the purge job anonymizes the record once purgeAfter has passed
+ *   (ACCOUNT_PURGE_MODE=delete replaces it with a tombstone holding only the Keycloak identity)
+ * - Admins can purge any account at once (DELETE /api/users/:id?hard=true), keeping the same tombstone
+ * - Purged records are never removed: the Keycloak account may still exist, and without the
+ *   record the next login or reconciliation would create a fresh active account
+ * - Every state but active is refused with 403 (see getInactiveAccountError)
+ * - Transitions are conditional updates, so concurrent requests cannot skip a state
+ */
+
+const DEFAULT_GRACE_DAYS = 30;
+const PURGE_BATCH_SIZE = 100;
+
+// Personal fields removed when a record is anonymized
+const PERSONAL_FIELDS = ['firstName', 'lastName', 'phoneNumber', 'profilePicture', 'lastLogin', 'profileUpdatedAt'];
+
+const INACTIVE_ERRORS = {
+  deactivated: ['Account is deactivated - reactivate it to continue', 'ACCOUNT_DEACTIVATED'],
+  pending_deletion: ['Account is scheduled for deletion - reactivate it to cancel', 'ACCOUNT_PENDING_DELETION'],
+  purged: ['Account has been deleted', 'ACCOUNT_PURGED']
+};
+
+/**
+ * Grace period of a deletion request, in days
+ */
+function getDeletionGraceDays() {
+  const raw = process.env.ACCOUNT_DELETION_GRACE_DAYS;
+  const days = raw === undefined || raw === '' ? DEFAULT_GRACE_DAYS : Number(raw);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_GRACE_DAYS;
+}
+
+/**
+ * 'anonymize' (default) keeps a scrubbed record, 'delete' keeps only a tombstone
+ */
+function getPurgeMode() {
+  return process.env.ACCOUNT_PURGE_MODE === 'delete' ? 'delete' : 'anonymize';
+}
+
+/**
+ * ForbiddenError for a user that is not active, or null
+ * Records written before the lifecycle existed have no status and count as active
+ */
+export function toInactiveAccountError(user) {
+  const entry = user && INACTIVE_ERRORS[user.status];
+  if (!entry) {
+    return null;
+  }
+
+  const [message, code] = entry;
+  return new ForbiddenError(message, {
+    code,
+    details: {
+      accountStatus: user.status,
+      ...(user.purgeAfter && { purgeAfter: user.purgeAfter })
+    }
+  });
+}
+
+/**
+ * ForbiddenError when the stored user is not active, or null (also when not stored yet)
+ */
+export const getInactiveAccountError = withDbTiming('getInactiveAccountError', async (keycloakId, realm) => {
+  const user = await User.findOne({ realm, keycloakId }, { status: 1, purgeAfter: 1 }).lean();
+  return toInactiveAccountError(user);
+});
+
+/**
+ * Move a user from one of the `from` states to another state
+ * Throws NotFoundError for unknown users and ConflictError when the state does not allow it
+ */
+async function transition(keycloakId, realm, from, update, conflictMessage) {
+  // Records without status predate the lifecycle and are active
+  const statuses = from.includes('active') ? [...from, null] : from;
+  const user = await User.findOneAndUpdate(
+    { realm, keycloakId, status: { $in: statuses } },
+    update,
+    { new: true }
+  );
+  if (user) {
+    return user;
+  }
+
+  return throwTransitionError(keycloakId, realm, conflictMessage);
+}
+
+/**
+ * Throw NotFoundError for unknown users, ConflictError with the current state otherwise
+ */
+async function throwTransitionError(keycloakId, realm, conflictMessage) {
+  const current = await User.findOne({ realm, keycloakId }, { status: 1 }).lean();
+  if (!current) {
+    throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+  }
+  throw new ConflictError(conflictMessage, { code: 'INVALID_ACCOUNT_STATE', details: { accountStatus: current.status } });
+}
+
+/**
+ * Deactivate an active account
+ */
+export const deactivateAccount = async (keycloakId, realm) => {
+  try {
+    return await transition(keycloakId, realm, ['active'], {
+      $set: { status: 'deactivated', deactivatedAt: new Date() }
+    }, 'Only active accounts can be deactivated');
+  } catch (error) {
+    throw wrapError(error, 'Failed to deactivate account');
+  }
+};
+
+/**
+ * Schedule an account for deletion after the grace period
+ */
+export const requestAccountDeletion = async (keycloakId, realm) => {
+  try {
+    const now = new Date();
+    const purgeAfter = new Date(now.getTime() + getDeletionGraceDays() * 24 * 60 * 60 * 1000);
+
+    return await transition(keycloakId, realm, ['active', 'deactivated'], {
+      $set: { status: 'pending_deletion', deletionRequestedAt: now, purgeAfter }
+    }, 'Account is already scheduled for deletion or deleted');
+  } catch (error) {
+    throw wrapError(error, 'Failed to request account deletion');
+  }
+};
+
+/**
+ * Reactivate a deactivated account, or cancel a deletion within its grace period
+ * Active accounts are returned unchanged
+ */
+export const reactivateAccount = async (keycloakId, realm) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      {
+        realm,
+        keycloakId,
+        $or: [
+          { status: 'deactivated' },
+          { status: 'pending_deletion', purgeAfter: { $gt: new Date() } }
+        ]
+      },
+      {
+        $set: { status: 'active' },
+        $unset: { deactivatedAt: '', deletionRequestedAt: '', purgeAfter: '' }
+      },
+      { new: true }
+    );
+    if (user) {
+      return user;
+    }
+
+    const current = await userService.getUserByKeycloakId(keycloakId, realm);
+    if (!current.status || current.status === 'active') {
+      return current;
+    }
+    throw new ConflictError('The grace period is over - the account can no longer be reactivated', {
+      code: 'REACTIVATION_EXPIRED',
+      details: { accountStatus: current.status }
+    });
+  } catch (error) {
+    throw wrapError(error, 'Failed to reactivate account');
+  }
+};
+
+/**
+ * Fields every purged record gets, with placeholders for the required identity fields
+ */
+function getPurgedFields(id) {
+  return {
+    status: 'purged',
+    purgedAt: new Date(),
+    email: `purged-${id}@invalid`,
+    username: `purged-${id}`,
+    enabled: false
+  };
+}
+
+/**
+ * Replace the record matching filter with a tombstone
+ * The tombstone keeps realm + keycloakId so the account is still refused with ACCOUNT_PURGED
+ * Returns the replaced record, or null when none matched
+ */
+function replaceWithTombstone(filter, { _id, realm, keycloakId }) {
+  return User.findOneAndReplace(filter, { realm, keycloakId, ...getPurgedFields(_id) });
+}
+
+/**
+ * Purge one pending deletion: anonymize the record (or reduce it to a tombstone), drop the user's
+ * sessions, API keys and role history, and revoke their tokens
+ * Returns false when the user was reactivated or purged meanwhile
+ */
+async function purgeAccount(user, mode) {
+  const { realm, keycloakId } = user;
+
+  if (mode === 'delete') {
+    const replaced = await replaceWithTombstone({ _id: user._id, status: 'pending_deletion' }, user);
+    if (!replaced) {
+      return false;
+    }
+  } else {
+    const anonymized = await User.findOneAndUpdate(
+      { _id: user._id, status: 'pending_deletion' },
+      {
+        $set: {
+          ...getPurgedFields(user._id),
+          emailVerified: false,
+          roles: [],
+          clientRoles: [],
+          groups: [],
+          preferences: {}
+        },
+        $unset: {
+          ...Object.fromEntries(PERSONAL_FIELDS.map(field => [field, ''])),
+          purgeAfter: ''
+        }
+      }
+    );
+    if (!anonymized) {
+      return false;
+    }
+  }
+
+  await userService.deleteUserData(keycloakId, realm);
+  await revokeSubject(keycloakId, realm, 'user_deleted');
+
+  await recordAuditEvent({
+    realm,
+    action: 'user.purge',
+    actor: { type: 'system' },
+    target: { keycloakId },
+    details: { mode, deletionRequestedAt: user.deletionRequestedAt }
+  });
+  return true;
+}
+
+/**
+ * Purge an account at once, whatever its state (admin hard delete)
+ * Keeps a tombstone like ACCOUNT_PURGE_MODE=delete and drops the user's sessions,
+ * API keys and role history; the caller revokes the tokens
+ */
+export const purgeAccountNow = async (keycloakId, realm) => {
+  try {
+    const user = await User.findOne({ realm, keycloakId, status: { $ne: 'purged' } }, { _id: 1 }).lean();
+    const replaced = user && await replaceWithTombstone({ _id: user._id, status: { $ne: 'purged' } }, { _id: user._id, realm, keycloakId });
+    if (!replaced) {
+      return await throwTransitionError(keycloakId, realm, 'Account is already deleted');
+    }
+
+    await userService.deleteUserData(keycloakId, realm);
+    return replaced;
+  } catch (error) {
+    throw wrapError(error, 'Failed to delete user');
+  }
+};
+
+/**
+ * Purge every pending deletion whose grace period is over
+ * Returns the number of purged accounts
+ */
+export const purgeExpiredAccounts = async (now = new Date()) => {
+  const mode = getPurgeMode();
+  let purged = 0;
+  let failed = 0;
+
+  // Failed purges stay pending; skip them for the rest of this run
+  const failedIds = [];
+
+  for (;;) {
+    const batch = await User.find(
+      { status: 'pending_deletion', purgeAfter: { $lte: now }, _id: { $nin: failedIds } },
+      { realm: 1, keycloakId: 1, deletionRequestedAt: 1 }
+    ).limit(PURGE_BATCH_SIZE).lean();
+
+    if (batch.length === 0) {
+      break;
+    }
+
+    for (const user of batch) {
+      try {
+        if (await purgeAccount(user, mode)) {
+          purged += 1;
+        }
+      } catch (error) {
+        failed += 1;
+        failedIds.push(user._id);
+        logger.error('account purge failed', { realm: user.realm, keycloakId: user.keycloakId, err: error });
+      }
+    }
+  }
+
+  if (purged > 0 || failed > 0) {
+    logger.info('expired accounts purged', { purged, failed, mode });
+  }
+  return purged;
+};
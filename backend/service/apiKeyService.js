@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ApiKey from '../models/apiKey.js';
+import { SCOPES } from '../config/scopes.js';
+import { ValidationError, ForbiddenError, NotFoundError, wrapError } from '../utils/errors.js';
+
+/**
+ * API Key Service
+ *
+ * Why needed:
+ * - Creates, lists and revokes API keys for integrations without OAuth
+ * - Authenticates requests sent with an X-API-Key header
+ *
+ * How it works:
+ * - A key is random, shown to the user once, and stored only as a SHA-256 hash
+ * - Lookup hashes the presented key and finds the matching active record
+ * - Scopes on the key limit what it can do; admin-only scopes need the admin role,
+ *   when the key is created and again on every request (see getEffectiveScopes)
+ */
+
+// Keys look like kus_<43 url-safe chars>
+const KEY_PREFIX = 'kus_';
+const DISPLAY_PREFIX_LENGTH = 12;
+
+const DEFAULT_TTL_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scopes any user may put on a key, and those reserved for admins
+const USER_SCOPES = [SCOPES.PROFILE_READ, SCOPES.PROFILE_WRITE];
+const ADMIN_SCOPES = [SCOPES.USERS_READ];
+
+/**
+ * Longest allowed key lifetime in days
+ */
+function getMaxTtlDays() {
+  const days = parseInt(process.env.API_KEY_MAX_TTL_DAYS);
+  return days > 0 ? days : 365;
+}
+
+/**
+ * Hash a plaintext API key for storage and lookup
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Scopes a caller may grant to a new key
+ */
+export const getGrantableScopes = (isAdmin) => {
+  return isAdmin ? [...USER_SCOPES, ...ADMIN_SCOPES] : [...USER_SCOPES];
+};
+
+/**
+ * Scopes a key grants right now: admin-only scopes are dropped once the owner
+ * no longer has the admin role, so a demoted admin's keys lose them at once
+ */
+export const getEffectiveScopes = (apiKey, ownerIsAdmin) => {
+  return ownerIsAdmin ? [...apiKey.scopes] : apiKey.scopes.filter(scope => !ADMIN_SCOPES.includes(scope));
+};
+
+/**
+ * Create an API key for a user
+ * Returns the stored key record and the plaintext key (only available now)
+ */
+export const createApiKey = async (owner, { name, scopes, expiresAt }, { isAdmin = false } = {}) => {
+  try {
+    const requestedScopes = [...new Set(scopes && scopes.length ? scopes : [SCOPES.PROFILE_READ])];
+    const grantable = getGrantableScopes(isAdmin);
+    const forbidden = requestedScopes.filter(scope => !grantable.includes(scope));
+
+    if (forbidden.length > 0) {
+      throw new ForbiddenError(`Scope not allowed: ${forbidden.join(', ')}`, { code: 'SCOPE_NOT_ALLOWED' });
+    }
+
+    const now = Date.now();
+    const expiry = expiresAt ? new Date(expiresAt) : new Date(now + DEFAULT_TTL_DAYS * DAY_MS);
+
+    if (expiry.getTime() <= now) {
+      throw new ValidationError('Expiry must be in the future', { code: 'INVALID_EXPIRY' });
+    }
+    if (expiry.getTime() > now + getMaxTtlDays() * DAY_MS) {
+      throw new ValidationError(`Expiry cannot be more than ${getMaxTtlDays()} days away`, { code: 'INVALID_EXPIRY' });
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      realm: owner.realm,
+      keycloakId: owner.keycloakId,
+      name,
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: hashKey(key),
+      scopes: requestedScopes,
+      expiresAt: expiry
+    });
+
+    return { apiKey, key };
+  } catch (error) {
+    throw wrapError(error, 'Failed to create API key');
+  }
+};
+
+/**
+ * List the API keys of a user (newest first)
+ */
+export const listApiKeys = async (keycloakId, realm) => {
+  try {
+    return await ApiKey.find({ realm, keycloakId }).sort({ createdAt: -1 });
+  } catch (error) {
+    throw wrapError(error, 'Failed to list API keys');
+  }
+};
+
+/**
+ * Revoke one of a user's API keys
+ */
+export const revokeApiKey = async (keycloakId, realm, keyId) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+      throw new NotFoundError('API key not found', { code: 'API_KEY_NOT_FOUND' });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: keyId, realm, keycloakId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      throw new NotFoundError('API key not found', { code: 'API_KEY_NOT_FOUND' });
+    }
+
+    return apiKey;
+  } catch (error) {
+    throw wrapError(error, 'Failed to revoke API key');
+  }
+};
+
+/**
+ * Find the active key record for a plaintext API key, or null
+ * Records the time the key was last used
+ */
+export const authenticateApiKey = async (key) => {
+  try {
+    if (!key || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    return await ApiKey.findOneAndUpdate(
+      {
+        keyHash: hashKey(key),
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { lastUsedAt: new Date() } },
+      { new: true }
+    );
+  } catch (error) {
+    throw wrapError(error, 'Failed to authenticate API key');
+  }
+};
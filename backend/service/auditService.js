@@ -0,0 +1,207 @@
+import AuditLog from '../models/auditLog.js';
+import logger from '../utils/logger.js';
+import { wrapError } from '../utils/errors.js';
+
+/**
+ * Audit Service
+ *
+ * Why needed:
+ * - One place to write and read audit entries
+ * - Builds entries from a request so controllers only name the action
+ *
+ * How it works:
+ * - recordAuditEvent never throws: a failed audit write is logged,
+ *   the request that triggered it is not failed after the fact
+ * - Entries expire after AUDIT_RETENTION_DAYS (default 365, 0 = keep forever)
+ * - Queries are always scoped to one realm
+ */
+
+const DEFAULT_RETENTION_DAYS = 365;
+
+/**
+ * Expiry date of a new entry, or undefined to keep it forever
+ */
+function getExpiresAt() {
+  const raw = process.env.AUDIT_RETENTION_DAYS;
+  const days = raw === undefined || raw === '' ? DEFAULT_RETENTION_DAYS : Number(raw);
+
+  if (!Number.isFinite(days) || days <= 0) {
+    return undefined;
+  }
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Store an audit entry
+ * event: { realm, action, actor, target, changes, method, path, statusCode, ip, userAgent, requestId, details }
+ */
+export const recordAuditEvent = async (event) => {
+  try {
+    return await AuditLog.create({ ...event, expiresAt: getExpiresAt() });
+  } catch (error) {
+    logger.error('failed to record audit event', { action: event.action, requestId: event.requestId, err: error });
+    return null;
+  }
+};
+
+/**
+ * Request ID of a request (set by the request ID middleware, or sent by the client)
+ */
+export function getRequestId(req) {
+  return req.id || req.get?.('x-request-id');
+}
+
+/**
+ * Describe the caller of a request as an audit actor
+ * While impersonating, the actor is the real support user
+ */
+function actorFromUser(user) {
+  if (user.actor) {
+    return {
+      keycloakId: user.actor.keycloakId,
+      username: user.actor.username,
+      clientId: user.actor.clientId,
+      type: 'user'
+    };
+  }
+
+  let type = 'user';
+  if (user.isServiceAccount) {
+    type = 'service_account';
+  } else if (user.isApiKey) {
+    type = 'api_key';
+  }
+
+  return {
+    keycloakId: user.keycloakId,
+    username: user.username,
+    clientId: user.clientId,
+    type
+  };
+}
+
+/**
+ * Record an action performed by the authenticated caller of a request
+ * options.target defaults to the caller (self-service actions)
+ */
+export const auditRequest = (req, action, { target, changes, details, statusCode } = {}) => {
+  const user = req.user || {};
+
+  return recordAuditEvent({
+    realm: user.realm,
+    action,
+    actor: actorFromUser(user),
+    target: target || { keycloakId: user.keycloakId, username: user.username },
+    changes: changes && Object.keys(changes).length > 0 ? changes : undefined,
+    method: req.method,
+    path: req.originalUrl,
+    statusCode,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    requestId: getRequestId(req),
+    details: {
+      ...(user.actor && { impersonatedBy: user.actor.keycloakId }),
+      ...(user.isApiKey && { apiKeyId: user.apiKeyId }),
+      ...details
+    }
+  });
+};
+
+/**
+ * Before/after values of the given fields that differ
+ * Returns { field: { from, to } }
+ */
+export function diffFields(before = {}, after = {}, fields) {
+  const changes = {};
+
+  fields.forEach(field => {
+    const from = toComparable(before[field]);
+    const to = toComparable(after[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Plain value for comparison and storage (Mongoose Maps become objects)
+ */
+function toComparable(value) {
+  if (value instanceof Map) {
+    return Object.fromEntries(value);
+  }
+  return value;
+}
+
+/**
+ * Build a MongoDB filter from audit query filters
+ * filters: { action, actor, target, requestId, from, to }
+ */
+function buildFilter(realm, filters = {}) {
+  const filter = { realm };
+
+  if (filters.action) {
+    // "user.*" matches every action of the user group
+    filter.action = filters.action.endsWith('.*')
+      ? { $regex: `^${filters.action.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` }
+      : filters.action;
+  }
+  if (filters.actor) {
+    filter['actor.keycloakId'] = filters.actor;
+  }
+  if (filters.target) {
+    filter['target.keycloakId'] = filters.target;
+  }
+  if (filters.requestId) {
+    filter.requestId = filters.requestId;
+  }
+  if (filters.from || filters.to) {
+    filter.createdAt = {
+      ...(filters.from && { $gte: filters.from }),
+      ...(filters.to && { $lte: filters.to })
+    };
+  }
+
+  return filter;
+}
+
+/**
+ * List audit entries of a realm (newest first) with pagination
+ */
+export const listAuditEvents = async (realm, filters = {}, page = 1, limit = 50) => {
+  try {
+    const filter = buildFilter(realm, filters);
+
+    const [events, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    throw wrapError(error, 'Failed to get audit events');
+  }
+};
+
+/**
+ * Cursor over every matching audit entry of a realm (oldest first), for exports
+ */
+export const streamAuditEvents = (realm, filters = {}) => {
+  return AuditLog.find(buildFilter(realm, filters))
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+};
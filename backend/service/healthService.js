@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import { getRealms } from '../config/realms.js';
+import { getJwksClient } from '../middleware/keycloak.js';
+import { getLifecycleState } from '../utils/lifecycle.js';
+
+/**
+ * Health Service
+ *
+ * Why needed:
+ * - Liveness: is the process able to answer at all (restart it if not)
+ * - Readiness: can this instance serve traffic - database reachable and tokens verifiable
+ *
+ * How it works:
+ * - Readiness runs every dependency check in parallel, each with a timeout
+ *   (HEALTH_CHECK_TIMEOUT_MS, default 2000)
+ * - config: required env vars are set and the realm configuration loads
+ * - mongodb: a real ping command, not just the driver's connection state
+ * - jwks: per trusted realm, the JWKS endpoint returns signing keys and one is cached
+ *   in the realm's JWKS client; results are reused for JWKS_HEALTH_CACHE_SECONDS
+ *   (default 30) so probes do not hammer Keycloak
+ * - Each check reports status ('up' | 'down'), latencyMs and details or an error
+ * - Never ready while the process is starting (MongoDB not connected yet) or stopping
+ */
+
+const DEFAULT_TIMEOUT_MS = 2000;
+const DEFAULT_JWKS_CACHE_SECONDS = 30;
+
+// realm name -> { result, expiresAt }
+const jwksResults = new Map();
+
+/**
+ * Reject when a check takes longer than the timeout
+ */
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} check timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run one check and time it
+ */
+async function runCheck(name, check) {
+  const timeoutMs = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const startedAt = Date.now();
+
+  try {
+    const details = await withTimeout(check(), timeoutMs, name);
+    return { status: 'up', latencyMs: Date.now() - startedAt, ...(details && { details }) };
+  } catch (error) {
+    return { status: 'down', latencyMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+/**
+ * Required configuration is present
+ */
+async function checkConfig() {
+  const missing = [];
+
+  if (!process.env.MONGODB_URL) {
+    missing.push('MONGODB_URL');
+  }
+  if (!process.env.KEYCLOAK_REALMS) {
+    ['KEYCLOAK_URL', 'KEYCLOAK_REALM'].forEach(name => {
+      if (!process.env[name]) {
+        missing.push(name);
+      }
+    });
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Missing environment variables: ${missing.join(', ')}`);
+  }
+
+  // Throws on an invalid KEYCLOAK_REALMS value
+  const realms = getRealms();
+  return { realms: realms.map(realm => realm.name) };
+}
+
+/**
+ * MongoDB answers a ping
+ */
+async function checkMongo() {
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error('MongoDB is not connected');
+  }
+  await mongoose.connection.db.admin().ping();
+  return null;
+}
+
+/**
+ * One realm's JWKS endpoint is reachable and a signing key is cached
+ */
+async function checkRealmJwks(realm) {
+  const cached = jwksResults.get(realm.name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.result;
+  }
+
+  const client = getJwksClient(realm);
+  const keys = await client.getSigningKeys();
+  if (keys.length === 0) {
+    throw new Error(`No signing keys published for realm ${realm.name}`);
+  }
+
+  // Goes through the client's key cache - later token verifications need no fetch
+  await client.getSigningKey(keys[0].kid);
+
+  const result = { keys: keys.length, keyCached: true, checkedAt: new Date().toISOString() };
+  const cacheSeconds = parseInt(process.env.JWKS_HEALTH_CACHE_SECONDS);
+  jwksResults.set(realm.name, {
+    result,
+    expiresAt: Date.now() + (Number.isNaN(cacheSeconds) ? DEFAULT_JWKS_CACHE_SECONDS : cacheSeconds) * 1000
+  });
+  return result;
+}
+
+/**
+ * Every trusted realm's JWKS check - down if any realm is down
+ */
+async function checkJwks() {
+  const startedAt = Date.now();
+
+  let realms;
+  try {
+    realms = getRealms();
+  } catch (error) {
+    return { status: 'down', latencyMs: 0, error: error.message };
+  }
+
+  const results = await Promise.all(realms.map(async realm =>
+    [realm.name, await runCheck(`jwks:${realm.name}`, () => checkRealmJwks(realm))]
+  ));
+
+  return {
+    status: results.every(([, result]) => result.status === 'up') ? 'up' : 'down',
+    latencyMs: Date.now() - startedAt,
+    realms: Object.fromEntries(results)
+  };
+}
+
+/**
+ * Liveness - the process is running and the event loop responds
+ */
+export const getLiveness = () => ({
+  status: 'alive',
+  uptimeSeconds: Math.round(process.uptime()),
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Readiness - the process is running and every dependency needed to serve requests is up
+ * Returns { ready, status, lifecycle, checks, timestamp }
+ */
+export const getReadiness = async () => {
+  const lifecycle = getLifecycleState();
+
+  // Draining: answer at once so the load balancer stops routing here
+  if (lifecycle === 'stopping') {
+    return { ready: false, status: 'not_ready', lifecycle, checks: {}, timestamp: new Date().toISOString() };
+  }
+
+  const [config, mongodb, jwks] = await Promise.all([
+    runCheck('config', checkConfig),
+    runCheck('mongodb', checkMongo),
+    checkJwks()
+  ]);
+
+  const checks = { config, mongodb, jwks };
+  const ready = lifecycle === 'running' && Object.values(checks).every(check => check.status === 'up');
+
+  return {
+    ready,
+    status: ready ? 'ready' : 'not_ready',
+    lifecycle,
+    checks,
+    timestamp: new Date().toISOString()
+  };
+};
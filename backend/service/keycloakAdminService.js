@@ -0,0 +1,178 @@
+import axios from 'axios';
+
+/**
+ * Keycloak Admin Service
+ *
+ * Why needed:
+ * - Reads and writes users through the Keycloak Admin REST API
+ * - Used by the reconciliation job and profile write-through
+ *
+ * How it works:
+ * - Authenticates with a confidential client's service account (client credentials)
+ * - The service account needs realm-management roles (view-users, manage-users,
+ *   and view-clients to read client roles)
+ * - Access tokens are cached per realm until shortly before they expire
+ * - Failed requests throw an Error with the HTTP status in error.status
+ */
+
+// Refresh the admin token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 30 * 1000;
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// realm name -> { accessToken, expiresAt }
+const tokenCache = new Map();
+
+// "realm/clientId" -> client UUID (client IDs never change their UUID)
+const clientUuidCache = new Map();
+
+/**
+ * Build an Error for a failed Admin API call, keeping the HTTP status
+ */
+function toAdminError(error, action) {
+  const status = error.response?.status;
+  const detail = error.response?.data?.errorMessage ||
+    error.response?.data?.error_description ||
+    error.response?.data?.error ||
+    error.message;
+
+  const adminError = new Error(`Keycloak Admin API ${action} failed: ${detail}`);
+  adminError.status = status;
+  return adminError;
+}
+
+/**
+ * Get a service-account access token for a realm's Admin API
+ */
+async function getAdminToken(realm) {
+  const cached = tokenCache.get(realm.name);
+  if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return cached.accessToken;
+  }
+
+  if (!realm.adminClientId || !realm.adminClientSecret) {
+    throw new Error('Server configuration error: KEYCLOAK_ADMIN_CLIENT_ID and KEYCLOAK_ADMIN_CLIENT_SECRET must be set');
+  }
+
+  try {
+    const response = await axios.post(
+      realm.tokenUrl,
+      new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: realm.adminClientId,
+        client_secret: realm.adminClientSecret
+      }),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: REQUEST_TIMEOUT_MS
+      }
+    );
+
+    const { access_token: accessToken, expires_in: expiresIn } = response.data;
+    tokenCache.set(realm.name, {
+      accessToken,
+      expiresAt: Date.now() + (expiresIn || 60) * 1000
+    });
+
+    return accessToken;
+  } catch (error) {
+    throw toAdminError(error, 'authentication');
+  }
+}
+
+/**
+ * Send an authenticated request to a realm's Admin API
+ */
+async function adminRequest(realm, method, path, { params, data } = {}, action = 'request') {
+  const accessToken = await getAdminToken(realm);
+
+  try {
+    const response = await axios({
+      method,
+      url: `${realm.adminUrl}${path}`,
+      params,
+      data,
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    return response.data;
+  } catch (error) {
+    // Token revoked or expired early - drop it so the next call re-authenticates
+    if (error.response?.status === 401) {
+      tokenCache.delete(realm.name);
+    }
+    throw toAdminError(error, action);
+  }
+}
+
+/**
+ * List one page of realm users
+ */
+export const listUsers = async (realm, first = 0, max = 100) => {
+  return adminRequest(realm, 'get', '/users', {
+    params: { first, max, briefRepresentation: false }
+  }, 'list users');
+};
+
+/**
+ * Get a realm user by ID
+ */
+export const getUser = async (realm, keycloakId) => {
+  return adminRequest(realm, 'get', `/users/${encodeURIComponent(keycloakId)}`, {}, 'get user');
+};
+
+/**
+ * Update a realm user (full UserRepresentation)
+ */
+export const updateUser = async (realm, keycloakId, representation) => {
+  return adminRequest(realm, 'put', `/users/${encodeURIComponent(keycloakId)}`, {
+    data: representation
+  }, 'update user');
+};
+
+/**
+ * Effective realm role names of a user (including composite and group roles)
+ */
+export const getUserRealmRoles = async (realm, keycloakId) => {
+  const roles = await adminRequest(realm, 'get',
+    `/users/${encodeURIComponent(keycloakId)}/role-mappings/realm/composite`, {}, 'get realm roles');
+  return roles.map(role => role.name);
+};
+
+/**
+ * Internal UUID of a client, or null when the client does not exist
+ */
+async function getClientUuid(realm, clientId) {
+  const cacheKey = `${realm.name}/${clientId}`;
+  if (clientUuidCache.has(cacheKey)) {
+    return clientUuidCache.get(cacheKey);
+  }
+
+  const clients = await adminRequest(realm, 'get', '/clients', { params: { clientId } }, 'find client');
+  const uuid = clients[0]?.id || null;
+  clientUuidCache.set(cacheKey, uuid);
+  return uuid;
+}
+
+/**
+ * Effective client role names of a user for one client
+ */
+export const getUserClientRoles = async (realm, keycloakId, clientId) => {
+  const clientUuid = await getClientUuid(realm, clientId);
+  if (!clientUuid) {
+    return [];
+  }
+
+  const roles = await adminRequest(realm, 'get',
+    `/users/${encodeURIComponent(keycloakId)}/role-mappings/clients/${clientUuid}/composite`, {}, 'get client roles');
+  return roles.map(role => role.name);
+};
+
+/**
+ * Group paths of a user
+ */
+export const getUserGroups = async (realm, keycloakId) => {
+  const groups = await adminRequest(realm, 'get',
+    `/users/${encodeURIComponent(keycloakId)}/groups`, {}, 'get groups');
+  return groups.map(group => group.path);
+};
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import WebhookEvent from '../models/webhookEvent.js';
+import * as userService from './userService.js';
+import { revokeSubject } from './tokenRevocationService.js';
+import { getRealmByName } from '../config/realms.js';
+import { ValidationError, wrapError } from '../utils/errors.js';
+
+/**
+ * Keycloak Event Service
+ *
+ * Why needed:
+ * - MongoDB only learned about users when they called GET /api/users/me
+ * - Registrations, profile/email changes, disables and deletes in Keycloak
+ *   must reach the User collection even if the user never logs in again
+ *
+ * How it works:
+ * - Normalizes Keycloak user events (REGISTER, UPDATE_PROFILE, ...) and
+ *   admin events (CREATE/UPDATE/DELETE on USER) into one action
+ * - Applies the action through userService
+ * - Each event ID is recorded once, so replayed deliveries are skipped
+ * - Disabled or deleted users also get their tokens revoked
+ */
+
+// Admin events carry the user ID in resourcePath: users/<id>
+const USER_RESOURCE_PATH = /^users\/([^/]+)$/;
+
+/**
+ * Parse the user representation of an admin event
+ */
+function parseRepresentation(representation) {
+  if (!representation) {
+    return {};
+  }
+  if (typeof representation === 'object') {
+    return representation;
+  }
+  try {
+    return JSON.parse(representation);
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Map a Keycloak UserRepresentation to User fields
+ */
+function fieldsFromRepresentation(user) {
+  return {
+    email: user.email,
+    username: user.username,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    enabled: user.enabled,
+    emailVerified: user.emailVerified
+  };
+}
+
+/**
+ * Turn a Keycloak event into { keycloakId, action, fields }
+ * action: 'upsert' | 'update' | 'delete' | null (ignored)
+ */
+function normalizeEvent(event) {
+  const details = event.details || {};
+
+  // Admin events
+  if (event.operationType) {
+    const match = USER_RESOURCE_PATH.exec(event.resourcePath || '');
+    if (event.resourceType !== 'USER' || !match) {
+      return { action: null };
+    }
+
+    const keycloakId = match[1];
+    const representation = parseRepresentation(event.representation);
+
+    switch (event.operationType) {
+      case 'CREATE':
+      case 'UPDATE':
+        return { keycloakId, action: 'upsert', fields: fieldsFromRepresentation(representation) };
+      case 'DELETE':
+        return { keycloakId, action: 'delete', fields: {} };
+      default:
+        return { action: null };
+    }
+  }
+
+  // User events
+  const keycloakId = event.userId;
+  if (!keycloakId) {
+    return { action: null };
+  }
+
+  switch (event.type) {
+    case 'REGISTER':
+      return {
+        keycloakId,
+        action: 'upsert',
+        fields: {
+          email: details.email,
+          username: details.username,
+          firstName: details.first_name,
+          lastName: details.last_name,
+          enabled: true
+        }
+      };
+    case 'UPDATE_PROFILE':
+      return {
+        keycloakId,
+        action: 'update',
+        fields: {
+          firstName: details.updated_first_name ?? details.first_name,
+          lastName: details.updated_last_name ?? details.last_name,
+          email: details.updated_email
+        }
+      };
+    case 'UPDATE_EMAIL':
+      return {
+        keycloakId,
+        action: 'update',
+        fields: { email: details.updated_email, emailVerified: false }
+      };
+    case 'VERIFY_EMAIL':
+      return { keycloakId, action: 'update', fields: { emailVerified: true } };
+    case 'DELETE_ACCOUNT':
+      return { keycloakId, action: 'delete', fields: {} };
+    default:
+      return { action: null };
+  }
+}
+
+/**
+ * Stable ID of an event - the event's own id, or a hash of its content
+ */
+function getEventId(event) {
+  if (event.id) {
+    return event.id;
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(event)).digest('hex');
+}
+
+/**
+ * Process one Keycloak event
+ * Returns { status, eventId } where status is 'applied' | 'ignored' | 'duplicate' | 'stale'
+ */
+export const processKeycloakEvent = async (event) => {
+  const eventId = getEventId(event);
+  const realmName = event.realmName || event.realm || event.realmId;
+
+  if (!getRealmByName(realmName)) {
+    throw new ValidationError(`Unknown realm: ${realmName}`, { code: 'UNKNOWN_REALM' });
+  }
+
+  const { keycloakId, action, fields } = normalizeEvent(event);
+  if (!action) {
+    return { status: 'ignored', eventId };
+  }
+
+  // Claim the event first - a duplicate insert means it was already processed
+  try {
+    await WebhookEvent.create({
+      eventId,
+      type: event.type || `${event.resourceType}_${event.operationType}`,
+      realm: realmName,
+      keycloakId
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { status: 'duplicate', eventId };
+    }
+    throw wrapError(error, 'Failed to record webhook event');
+  }
+
+  try {
+    const eventTime = new Date(event.time || Date.now());
+    let user;
+
+    if (action === 'delete') {
+      user = await userService.applyKeycloakEvent(realmName, keycloakId, {
+        enabled: false,
+        keycloakDeletedAt: eventTime
+      }, eventTime);
+    } else {
+      user = await userService.applyKeycloakEvent(realmName, keycloakId, fields, eventTime, {
+        create: action === 'upsert'
+      });
+    }
+
+    // Disabled or deleted users must not keep using their tokens
+    if (action === 'delete' || fields.enabled === false) {
+      await revokeSubject(keycloakId, realmName, action === 'delete' ? 'user_deleted' : 'user_disabled');
+    }
+
+    return { status: user ? 'applied' : 'stale', eventId };
+  } catch (error) {
+    // Release the claim so a retry can process the event
+    await WebhookEvent.deleteOne({ eventId }).catch(() => {});
+    throw error;
+  }
+};
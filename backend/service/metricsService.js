@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import Session from '../models/session.js';
+import { createGauge } from '../utils/metrics.js';
+
+/**
+ * Metrics Service
+ *
+ * Why needed:
+ * - Active-user and user-count gauges come from MongoDB, not from in-process counters
+ *
+ * How it works:
+ * - Gauges are refreshed when /metrics is scraped
+ * - Results are cached for 30 seconds so frequent scrapes do not load the database
+ * - While MongoDB is disconnected the last values are kept (scrapes never wait for it)
+ * - Active users: distinct users whose Keycloak sessions were seen within a window
+ */
+
+const CACHE_TTL_MS = 30 * 1000;
+
+// Activity windows reported by the active_users gauge
+const ACTIVE_WINDOWS = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000
+};
+
+let cache = null;
+
+/**
+ * Count distinct active users per realm for each window, and users per realm and status
+ */
+async function loadUserStats() {
+  const now = Date.now();
+
+  const activeByWindow = await Promise.all(Object.entries(ACTIVE_WINDOWS).map(async ([window, ms]) => {
+    const rows = await Session.aggregate([
+      { $match: { lastSeenAt: { $gte: new Date(now - ms) }, revokedAt: { $exists: false } } },
+      { $group: { _id: { realm: '$realm', keycloakId: '$keycloakId' } } },
+      { $group: { _id: '$_id.realm', count: { $sum: 1 } } }
+    ]);
+    return { window, rows };
+  }));
+
+  const users = await User.aggregate([
+    { $group: { _id: { realm: '$realm', enabled: '$enabled' }, count: { $sum: 1 } } }
+  ]);
+
+  return { activeByWindow, users };
+}
+
+/**
+ * Cached user statistics; the last good value is kept if MongoDB fails
+ */
+async function getUserStats() {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.stats;
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    return cache?.stats || null;
+  }
+
+  try {
+    const stats = await loadUserStats();
+    cache = { stats, expiresAt: Date.now() + CACHE_TTL_MS };
+    return stats;
+  } catch (error) {
+    return cache?.stats || null;
+  }
+}
+
+createGauge({
+  name: 'active_users',
+  help: 'Distinct users with a Keycloak session seen within the window',
+  labelNames: ['realm', 'window'],
+  collect: async (gauge) => {
+    const stats = await getUserStats();
+    if (!stats) {
+      return;
+    }
+    gauge.reset();
+    stats.activeByWindow.forEach(({ window, rows }) => {
+      rows.forEach(row => gauge.set({ realm: row._id, window }, row.count));
+    });
+  }
+});
+
+createGauge({
+  name: 'users_total',
+  help: 'Users stored in MongoDB by realm and status',
+  labelNames: ['realm', 'status'],
+  collect: async (gauge) => {
+    const stats = await getUserStats();
+    if (!stats) {
+      return;
+    }
+    gauge.reset();
+    stats.users.forEach(row => {
+      gauge.set({ realm: row._id.realm, status: row._id.enabled === false ? 'disabled' : 'enabled' }, row.count);
+    });
+  }
+});
@@ -0,0 +1,100 @@
+import RateLimitCounter from '../models/rateLimitCounter.js';
+import { wrapError } from '../utils/errors.js';
+
+/**
+ * Rate Limit Store
+ *
+ * Why needed:
+ * - Counts requests per caller and window for the rate limit middleware
+ * - memory: fast, per process (single instance)
+ * - mongo: shared by every instance behind a load balancer
+ *
+ * How it works:
+ * - Fixed windows: the window a request falls in is floor(now / windowMs)
+ * - increment(key, windowMs) returns { count, resetAt } for the current window
+ * - RATE_LIMIT_STORE selects the store (memory | mongo, default memory)
+ */
+
+// How often expired memory counters are swept
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Start of the window containing `now`, and its end
+ */
+function getWindow(now, windowMs) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, resetAt: start + windowMs };
+}
+
+/**
+ * In-process store
+ */
+export function createMemoryStore() {
+  // window key -> { count, resetAt }
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const { start, resetAt } = getWindow(Date.now(), windowMs);
+      const windowKey = `${key}:${start}`;
+
+      const counter = counters.get(windowKey) || { count: 0, resetAt };
+      counter.count += 1;
+      counters.set(windowKey, counter);
+
+      return { count: counter.count, resetAt };
+    }
+  };
+}
+
+/**
+ * MongoDB store - counters shared across instances
+ */
+export function createMongoStore() {
+  return {
+    async increment(key, windowMs) {
+      const { start, resetAt } = getWindow(Date.now(), windowMs);
+
+      try {
+        const counter = await RateLimitCounter.findOneAndUpdate(
+          { key: `${key}:${start}` },
+          {
+            $inc: { count: 1 },
+            $setOnInsert: { expiresAt: new Date(resetAt) }
+          },
+          { upsert: true, new: true }
+        ).lean();
+
+        return { count: counter.count, resetAt };
+      } catch (error) {
+        // Two first requests raced on the upsert - the second one retries as an update
+        if (error.code === 11000) {
+          return this.increment(key, windowMs);
+        }
+        throw wrapError(error, 'Failed to increment rate limit counter');
+      }
+    }
+  };
+}
+
+let store = null;
+
+/**
+ * Get the configured store (created once)
+ */
+export function getRateLimitStore() {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+  }
+  return store;
+}
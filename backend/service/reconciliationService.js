@@ -0,0 +1,308 @@
+import User from '../models/user.js';
+import ReconciliationRun from '../models/reconciliationRun.js';
+import * as userService from './userService.js';
+import * as keycloakAdminService from './keycloakAdminService.js';
+import { revokeSubject } from './tokenRevocationService.js';
+import { getRealms, getRealmByName, mapRoles } from '../config/realms.js';
+import { ConflictError, NotFoundError, UpstreamError, wrapError } from '../utils/errors.js';
+
+/**
+ * Reconciliation Service
+ *
+ * Why needed:
+ * - Webhooks can be missed and users who never log in are never synced
+ * - Periodically compares every Keycloak user with the users collection
+ *   and fixes the drift, so GET /api/users stays accurate
+ *
+ * How it works:
+ * 1. Page through realm users via the Keycloak Admin REST API
+ * 2. Create missing users and update users whose fields differ
+ * 3. Mirror each user's roles, client roles and groups (recorded in the role history)
+ * 4. Disable local users that no longer exist in Keycloak (and revoke their tokens)
+ *    - Paging by offset can skip users when the list shifts during the run, so every
+ *      unseen user is looked up by ID and only disabled when Keycloak answers 404
+ *    - Users flagged as deleted that show up again get the flag cleared
+ * 5. Store a report of the drift found (ReconciliationRun)
+ * - dryRun only reports the drift without changing anything
+ * - Updates go through userService.applyKeycloakEvent, so newer webhook events win
+ */
+
+const PAGE_SIZE = 100;
+
+// Keep reports bounded for very large realms
+const MAX_DRIFT_ENTRIES = 500;
+
+// Fields compared between Keycloak and MongoDB
+const SYNCED_FIELDS = ['email', 'username', 'firstName', 'lastName', 'enabled', 'emailVerified'];
+
+// Realms with a run in progress in this process
+const runningRealms = new Set();
+
+/**
+ * Map a Keycloak UserRepresentation to User fields
+ */
+function toUserFields(keycloakUser) {
+  return {
+    email: keycloakUser.email ? keycloakUser.email.toLowerCase() : undefined,
+    username: keycloakUser.username,
+    firstName: keycloakUser.firstName,
+    lastName: keycloakUser.lastName,
+    enabled: keycloakUser.enabled !== false,
+    emailVerified: Boolean(keycloakUser.emailVerified)
+  };
+}
+
+/**
+ * Fields whose Keycloak value differs from the local user
+ */
+function diffUser(localUser, fields) {
+  const changes = {};
+  SYNCED_FIELDS.forEach(field => {
+    if (fields[field] !== undefined && localUser[field] !== fields[field]) {
+      changes[field] = { from: localUser[field], to: fields[field] };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Read a user's roles (role-mapped like token roles), client roles and groups
+ */
+async function fetchMemberships(realm, keycloakId) {
+  const [roles, clientRoles, groups] = await Promise.all([
+    keycloakAdminService.getUserRealmRoles(realm, keycloakId),
+    realm.clientId ? keycloakAdminService.getUserClientRoles(realm, keycloakId, realm.clientId) : [],
+    keycloakAdminService.getUserGroups(realm, keycloakId)
+  ]);
+
+  return {
+    roles: mapRoles(realm, roles),
+    clientRoles: mapRoles(realm, clientRoles),
+    groups
+  };
+}
+
+/**
+ * Add a drift entry to the report (capped)
+ */
+function recordDrift(report, entry) {
+  if (report.drift.length < MAX_DRIFT_ENTRIES) {
+    report.drift.push(entry);
+  } else {
+    report.driftTruncated = true;
+  }
+}
+
+/**
+ * Compare one Keycloak user with MongoDB and fix the drift
+ */
+async function reconcileUser(realm, keycloakUser, runStartedAt, report, dryRun) {
+  const realmName = realm.name;
+  const fields = toUserFields(keycloakUser);
+  const localUser = await User.findOne({ realm: realmName, keycloakId: keycloakUser.id }).lean();
+
+  // Purged accounts stay anonymized, whatever Keycloak still holds
+  if (localUser?.status === 'purged') {
+    return;
+  }
+
+  if (!localUser) {
+    if (!fields.email || !fields.username) {
+      report.counts.skipped += 1;
+      recordDrift(report, { keycloakId: keycloakUser.id, action: 'skipped', changes: { reason: 'missing email or username' } });
+      return;
+    }
+
+    const memberships = await fetchMemberships(realm, keycloakUser.id);
+    if (!dryRun) {
+      await userService.applyKeycloakEvent(realmName, keycloakUser.id, fields, runStartedAt, { create: true });
+      await userService.syncUserMemberships(realmName, keycloakUser.id, memberships);
+    }
+    report.counts.created += 1;
+    recordDrift(report, { keycloakId: keycloakUser.id, action: 'created', changes: { ...fields, ...memberships } });
+    return;
+  }
+
+  const changes = diffUser(localUser, fields);
+  // Flagged as deleted by an earlier run, but Keycloak has the user again
+  if (localUser.keycloakDeletedAt) {
+    changes.keycloakDeletedAt = { from: localUser.keycloakDeletedAt, to: null };
+  }
+  const memberships = await fetchMemberships(realm, keycloakUser.id);
+  const membershipChanges = userService.diffMemberships(localUser, memberships);
+
+  if (Object.keys(changes).length === 0 && Object.keys(membershipChanges).length === 0) {
+    return;
+  }
+
+  if (!dryRun) {
+    if (Object.keys(changes).length > 0) {
+      const updated = await userService.applyKeycloakEvent(realmName, keycloakUser.id, fields, runStartedAt, {
+        unset: localUser.keycloakDeletedAt ? ['keycloakDeletedAt'] : []
+      });
+      // A newer webhook event was applied meanwhile - leave it
+      if (!updated) {
+        return;
+      }
+      if (fields.enabled === false && localUser.enabled) {
+        await revokeSubject(keycloakUser.id, realmName, 'user_disabled');
+      }
+    }
+    if (Object.keys(membershipChanges).length > 0) {
+      await userService.syncUserMemberships(realmName, keycloakUser.id, memberships);
+    }
+  }
+  report.counts.updated += 1;
+  recordDrift(report, { keycloakId: keycloakUser.id, action: 'updated', changes: { ...changes, ...membershipChanges } });
+}
+
+/**
+ * Get a Keycloak user by ID, or null when Keycloak answers 404
+ */
+async function findKeycloakUser(realm, keycloakId) {
+  try {
+    return await keycloakAdminService.getUser(realm, keycloakId);
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Disable local users of the realm that were not found in Keycloak
+ * Users missed by the listing but still in Keycloak are reconciled instead
+ */
+async function disableMissingUsers(realm, seenIds, runStartedAt, report, dryRun) {
+  const realmName = realm.name;
+  const cursor = User.find(
+    { realm: realmName, keycloakDeletedAt: { $exists: false }, status: { $ne: 'purged' } },
+    { keycloakId: 1, enabled: 1 }
+  ).lean().cursor();
+
+  for await (const localUser of cursor) {
+    if (seenIds.has(localUser.keycloakId)) {
+      continue;
+    }
+
+    const keycloakUser = await findKeycloakUser(realm, localUser.keycloakId);
+    if (keycloakUser) {
+      report.counts.scanned += 1;
+      await reconcileUser(realm, keycloakUser, runStartedAt, report, dryRun);
+      continue;
+    }
+
+    if (!dryRun) {
+      await userService.applyKeycloakEvent(realmName, localUser.keycloakId, {
+        enabled: false,
+        keycloakDeletedAt: runStartedAt
+      }, runStartedAt);
+      await revokeSubject(localUser.keycloakId, realmName, 'user_deleted');
+    }
+    report.counts.disabled += 1;
+    recordDrift(report, { keycloakId: localUser.keycloakId, action: 'disabled', changes: { reason: 'not found in Keycloak' } });
+  }
+}
+
+/**
+ * Reconcile one realm
+ * Returns the saved ReconciliationRun report
+ */
+export const reconcileRealm = async (realmName, { trigger = 'schedule', triggeredBy, dryRun = false } = {}) => {
+  const realm = getRealmByName(realmName);
+  if (!realm) {
+    throw new NotFoundError(`Unknown realm: ${realmName}`, { code: 'UNKNOWN_REALM' });
+  }
+
+  if (runningRealms.has(realmName)) {
+    throw new ConflictError(`Reconciliation already running for realm: ${realmName}`, { code: 'RECONCILIATION_RUNNING' });
+  }
+  runningRealms.add(realmName);
+
+  const run = new ReconciliationRun({ realm: realmName, trigger, triggeredBy, dryRun });
+  const report = {
+    counts: { scanned: 0, created: 0, updated: 0, disabled: 0, skipped: 0 },
+    drift: [],
+    driftTruncated: false
+  };
+
+  try {
+    await run.save();
+
+    const seenIds = new Set();
+    let first = 0;
+    let page;
+
+    do {
+      page = await keycloakAdminService.listUsers(realm, first, PAGE_SIZE);
+      for (const keycloakUser of page) {
+        seenIds.add(keycloakUser.id);
+        report.counts.scanned += 1;
+        await reconcileUser(realm, keycloakUser, run.startedAt, report, dryRun);
+      }
+      first += PAGE_SIZE;
+    } while (page.length === PAGE_SIZE);
+
+    // An empty listing usually means missing permissions - never disable everyone because of it
+    if (seenIds.size === 0 && await User.exists({ realm: realmName })) {
+      throw new UpstreamError('Keycloak returned no users; refusing to disable all local users', {
+        code: 'EMPTY_USER_LISTING'
+      });
+    }
+
+    await disableMissingUsers(realm, seenIds, run.startedAt, report, dryRun);
+
+    run.status = 'completed';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+  } finally {
+    runningRealms.delete(realmName);
+  }
+
+  run.set(report);
+  run.finishedAt = new Date();
+
+  try {
+    await run.save();
+  } catch (error) {
+    throw wrapError(error, 'Failed to save reconciliation report');
+  }
+
+  return run;
+};
+
+/**
+ * Whether a run is in progress for a realm (in this process)
+ */
+export const isReconciliationRunning = (realmName) => runningRealms.has(realmName);
+
+/**
+ * Reconcile every trusted realm, one after another
+ * Failures are recorded per realm and do not stop the other realms
+ */
+export const reconcileAllRealms = async (options = {}) => {
+  const runs = [];
+  for (const realm of getRealms()) {
+    try {
+      runs.push(await reconcileRealm(realm.name, options));
+    } catch (error) {
+      runs.push({ realm: realm.name, status: 'failed', error: error.message });
+    }
+  }
+  return runs;
+};
+
+/**
+ * List recent reconciliation runs of a realm (newest first)
+ */
+export const listRuns = async (realmName, limit = 20) => {
+  try {
+    return await ReconciliationRun.find({ realm: realmName })
+      .sort({ startedAt: -1 })
+      .limit(limit);
+  } catch (error) {
+    throw wrapError(error, 'Failed to list reconciliation runs');
+  }
+};
@@ -0,0 +1,141 @@
+import Session from '../models/session.js';
+import { revokeSession as revokeSessionTokens } from './tokenRevocationService.js';
+import { recordAuditEvent } from './auditService.js';
+import { NotFoundError, wrapError } from '../utils/errors.js';
+
+/**
+ * Session Service
+ *
+ * Why needed:
+ * - Keeps the per-user registry of Keycloak sessions up to date
+ * - Lists and revokes sessions for the active sessions API
+ *
+ * How it works:
+ * - recordSession upserts the session seen in a verified token
+ * - lastSeenAt writes are throttled per session to avoid a DB write on every request;
+ *   throttle entries older than the interval are pruned, and dropped when a session ends
+ * - revokeSession marks the session revoked and adds its sid to the revocation store
+ * - The first time a session is seen, a user.login audit entry is written
+ */
+
+// Minimum time between lastSeenAt updates of the same session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// realm:sid -> time of the last write, per process
+// Kept in write order (oldest first), so pruning stops at the first recent entry
+const lastTouched = new Map();
+
+/**
+ * Drop throttle entries older than the touch interval
+ */
+function pruneLastTouched(now) {
+  for (const [key, touchedAt] of lastTouched) {
+    if (now - touchedAt < TOUCH_INTERVAL_MS) {
+      break;
+    }
+    lastTouched.delete(key);
+  }
+}
+
+/**
+ * Forget the throttle entry of a session that ended (logout, revocation)
+ */
+export const forgetSession = (realm, sid) => {
+  lastTouched.delete(`${realm}:${sid}`);
+};
+
+/**
+ * Number of sessions currently throttled (for tests and diagnostics)
+ */
+export const getThrottledSessionCount = () => lastTouched.size;
+
+/**
+ * Record a Keycloak session seen in a verified token
+ * Returns the session, or null when the write was skipped (recently recorded)
+ */
+export const recordSession = async ({ realm, keycloakId, username, sid, clientId, ip, userAgent, requestId }) => {
+  try {
+    const key = `${realm}:${sid}`;
+    const now = Date.now();
+    pruneLastTouched(now);
+
+    if (now - (lastTouched.get(key) || 0) < TOUCH_INTERVAL_MS) {
+      return null;
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { realm, sid },
+      {
+        $set: {
+          lastSeenAt: new Date(now),
+          ...(clientId && { clientId }),
+          ...(ip && { ip }),
+          ...(userAgent && { userAgent })
+        },
+        $setOnInsert: {
+          keycloakId,
+          firstSeenAt: new Date(now)
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    // Re-insert to keep the map in write order
+    lastTouched.delete(key);
+    lastTouched.set(key, now);
+
+    // Inserted by this call - a new login
+    if (session.firstSeenAt.getTime() === now) {
+      await recordAuditEvent({
+        realm,
+        action: 'user.login',
+        actor: { keycloakId, username, clientId, type: 'user' },
+        target: { keycloakId, username },
+        ip,
+        userAgent,
+        requestId,
+        details: { sid }
+      });
+    }
+
+    return session;
+  } catch (error) {
+    throw wrapError(error, 'Failed to record session');
+  }
+};
+
+/**
+ * List the sessions of a user (most recently used first)
+ */
+export const listSessions = async (keycloakId, realm) => {
+  try {
+    return await Session.find({ realm, keycloakId }).sort({ lastSeenAt: -1 });
+  } catch (error) {
+    throw wrapError(error, 'Failed to list sessions');
+  }
+};
+
+/**
+ * Revoke one of a user's sessions
+ * Tokens of the session are refused by the Keycloak middleware from then on
+ */
+export const revokeSession = async (keycloakId, realm, sid) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { realm, keycloakId, sid },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!session) {
+      throw new NotFoundError('Session not found', { code: 'SESSION_NOT_FOUND' });
+    }
+
+    await revokeSessionTokens(sid, realm, 'user_revoked');
+    forgetSession(realm, sid);
+
+    return session;
+  } catch (error) {
+    throw wrapError(error, 'Failed to revoke session');
+  }
+};
@@ -0,0 +1,157 @@
+import RevokedToken from '../models/revokedToken.js';
+import { wrapError } from '../utils/errors.js';
+
+/**
+ * Token Revocation Service
+ *
+ * Why needed:
+ * - Makes logout effective on the server, not only in the browser
+ * - A token stolen after logout can no longer be used against the API
+ *
+ * How it works:
+ * - revokeToken stores the token's jti and sid with the token's expiry
+ * - revokeSession / revokeSubject handle Keycloak back-channel logout
+ * - isTokenRevoked checks a decoded token against the stored entries
+ * - Entries disappear automatically via the TTL index on expiresAt
+ */
+
+// Used when a token carries no exp claim, and for session/subject revocations
+// Must be at least the realm's access token lifespan
+const DEFAULT_REVOCATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long session/subject revocations are kept
+ */
+function getRevocationTtlMs() {
+  const seconds = parseInt(process.env.TOKEN_REVOCATION_TTL_SECONDS);
+  return seconds > 0 ? seconds * 1000 : DEFAULT_REVOCATION_TTL_MS;
+}
+
+/**
+ * Get the expiry date of a decoded token
+ */
+function getTokenExpiry(decoded) {
+  if (decoded.exp) {
+    return new Date(decoded.exp * 1000);
+  }
+  return new Date(Date.now() + getRevocationTtlMs());
+}
+
+/**
+ * Upsert a single revocation entry
+ */
+function saveRevocation(type, value, { realm, keycloakId, reason, expiresAt }) {
+  return RevokedToken.updateOne(
+    { type, value, realm },
+    {
+      $set: {
+        ...(keycloakId && { keycloakId }),
+        reason,
+        revokedAt: new Date()
+      },
+      // Keep the latest expiry so an entry stays as long as any token it covers
+      $max: { expiresAt }
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Revoke a decoded token by its jti and its Keycloak session (sid)
+ * Returns the number of identifiers revoked
+ */
+export const revokeToken = async (decoded, realm, reason = 'logout') => {
+  try {
+    const expiresAt = getTokenExpiry(decoded);
+    const entries = [];
+
+    if (decoded.jti) {
+      entries.push({ type: 'jti', value: decoded.jti });
+    }
+    if (decoded.sid) {
+      entries.push({ type: 'sid', value: decoded.sid });
+    }
+
+    await Promise.all(entries.map(entry =>
+      saveRevocation(entry.type, entry.value, {
+        realm,
+        keycloakId: decoded.sub,
+        reason,
+        expiresAt
+      })
+    ));
+
+    return entries.length;
+  } catch (error) {
+    throw wrapError(error, 'Failed to revoke token');
+  }
+};
+
+/**
+ * Revoke every token of a Keycloak session (sid)
+ */
+export const revokeSession = async (sid, realm, reason = 'backchannel_logout') => {
+  try {
+    await saveRevocation('sid', sid, {
+      realm,
+      reason,
+      expiresAt: new Date(Date.now() + getRevocationTtlMs())
+    });
+  } catch (error) {
+    throw wrapError(error, 'Failed to revoke session');
+  }
+};
+
+/**
+ * Revoke every token issued to a user (sub) up to now
+ */
+export const revokeSubject = async (sub, realm, reason = 'backchannel_logout') => {
+  try {
+    await saveRevocation('sub', sub, {
+      realm,
+      keycloakId: sub,
+      reason,
+      expiresAt: new Date(Date.now() + getRevocationTtlMs())
+    });
+  } catch (error) {
+    throw wrapError(error, 'Failed to revoke subject');
+  }
+};
+
+/**
+ * Check whether a decoded token has been revoked
+ */
+export const isTokenRevoked = async (decoded, realm) => {
+  try {
+    const conditions = [];
+
+    if (decoded.jti) {
+      conditions.push({ type: 'jti', value: decoded.jti });
+    }
+    if (decoded.sid) {
+      conditions.push({ type: 'sid', value: decoded.sid });
+    }
+    if (decoded.sub) {
+      // Only tokens issued before the revocation are affected
+      conditions.push({
+        type: 'sub',
+        value: decoded.sub,
+        revokedAt: { $gte: new Date((decoded.iat || 0) * 1000) }
+      });
+    }
+
+    if (conditions.length === 0) {
+      return false;
+    }
+
+    const entry = await RevokedToken.exists({
+      realm,
+      $or: conditions,
+      expiresAt: { $gt: new Date() }
+    });
+
+    return Boolean(entry);
+  } catch (error) {
+    throw wrapError(error, 'Failed to check token revocation');
+  }
+};
@@ -1,5 +1,13 @@
 import User from '../models/user.js';
+import RoleChange from '../models/roleChange.js';
+import ApiKey from '../models/apiKey.js';
+import Session from '../models/session.js';
 import mongoose from 'mongoose';
+import * as keycloakAdminService from './keycloakAdminService.js';
+import { getRealmByName } from '../config/realms.js';
+import { withDbTiming } from '../utils/metrics.js';
+import { ValidationError, NotFoundError, ConflictError, UpstreamError, wrapError } from '../utils/errors.js';
+import { encodeCursor, decodeCursor, keysetCondition } from '../utils/cursor.js';
 
 /**
  * User Service
@@ -13,25 +21,148 @@ import mongoose from 'mongoose';
  * How it works:
  * - Contains methods for CRUD operations
  * - Handles MongoDB connection and queries
- * - Returns data or throws errors for controller to handle
+ * - Writes Keycloak-owned profile fields through to Keycloak (Admin REST API)
+ * - Returns data or throws typed errors (NotFoundError, ConflictError, ...) that the
+ *   error handler in server.js turns into problem responses
+ * - Operations are timed for the db_operation_duration_seconds metric
  */
 
+// Profile fields users may change through PUT /api/users/me
+export const UPDATABLE_PROFILE_FIELDS = ['firstName', 'lastName', 'phoneNumber', 'profilePicture', 'preferences'];
+
+// Profile fields owned by Keycloak - written through so both stores agree
+const KEYCLOAK_PROFILE_FIELDS = ['firstName', 'lastName'];
+
+// Fields matched by the free-text search of GET /api/users
+const SEARCH_FIELDS = ['email', 'username', 'firstName', 'lastName'];
+
+/**
+ * Whether profile edits and enable/disable are written through to Keycloak
+ * On by default for realms with Admin API credentials; without them changes stay local
+ */
+function isWriteThroughEnabled(realmName) {
+  if (process.env.PROFILE_WRITE_THROUGH === 'false') {
+    return false;
+  }
+  const realm = getRealmByName(realmName);
+  return Boolean(realm?.adminClientId && realm?.adminClientSecret);
+}
+
+/**
+ * Write user fields (profile, enabled) to Keycloak
+ * Returns a function that restores the previous Keycloak values
+ */
+async function writeUserToKeycloak(realmName, keycloakId, fields) {
+  const realm = getRealmByName(realmName);
+  if (!realm) {
+    throw new NotFoundError(`Unknown realm: ${realmName}`, { code: 'UNKNOWN_REALM' });
+  }
+
+  try {
+    const current = await keycloakAdminService.getUser(realm, keycloakId);
+    await keycloakAdminService.updateUser(realm, keycloakId, { ...current, ...fields });
+
+    return () => keycloakAdminService.updateUser(realm, keycloakId, current);
+  } catch (error) {
+    if (error.status === 409) {
+      throw new ConflictError(`User update conflicts with Keycloak: ${error.message}`, { code: 'KEYCLOAK_CONFLICT' });
+    }
+    if (error.status === 400) {
+      throw new ValidationError(`Keycloak rejected the user update: ${error.message}`, { code: 'KEYCLOAK_REJECTED' });
+    }
+    if (error.status === 404) {
+      throw new NotFoundError('User not found in Keycloak', { code: 'USER_NOT_FOUND' });
+    }
+    throw new UpstreamError(`Keycloak is unavailable: ${error.message}`, { code: 'KEYCLOAK_UNAVAILABLE' });
+  }
+}
+
+// Membership lists mirrored from Keycloak
+const MEMBERSHIP_FIELDS = ['roles', 'clientRoles', 'groups'];
+
+/**
+ * Compare membership lists of a user before and after a sync
+ * Lists missing from `after` are not compared
+ * Returns { roles: { added, removed }, ... } for changed lists only
+ */
+export function diffMemberships(before = {}, after = {}) {
+  const changes = {};
+
+  MEMBERSHIP_FIELDS.forEach(field => {
+    if (!Array.isArray(after[field])) {
+      return;
+    }
+    const previous = before[field] || [];
+    const added = after[field].filter(value => !previous.includes(value));
+    const removed = previous.filter(value => !after[field].includes(value));
+
+    if (added.length > 0 || removed.length > 0) {
+      changes[field] = { added, removed };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Store a role/group change in the history (no-op without changes)
+ */
+async function recordMembershipChange(realm, keycloakId, changes, source) {
+  if (Object.keys(changes).length === 0) {
+    return;
+  }
+  await RoleChange.create({ realm, keycloakId, source, ...changes });
+}
+
+/**
+ * Membership lists to $set - only the lists that were provided
+ */
+function pickMemberships(data) {
+  const memberships = {};
+  MEMBERSHIP_FIELDS.forEach(field => {
+    if (Array.isArray(data[field])) {
+      memberships[field] = data[field];
+    }
+  });
+  return memberships;
+}
+
 /**
  * Create or update user from Keycloak token
  * Syncs user data from Keycloak to local database
+ * Users are matched by realm + keycloakId
+ * 
+ * Names from a token issued before the last profile edit are stale
+ * (the token predates the write-through) and are not applied
+ * 
+ * Roles, client roles and groups from the token are mirrored too,
+ * and changes to them are recorded in the role history
  */
-export const syncUserFromKeycloak = async (userData) => {
+export const syncUserFromKeycloak = withDbTiming('syncUserFromKeycloak', async (userData) => {
   try {
+    const existing = await User.findOne(
+      { realm: userData.realm, keycloakId: userData.keycloakId },
+      { profileUpdatedAt: 1, roles: 1, clientRoles: 1, groups: 1 }
+    ).lean();
+    const memberships = pickMemberships(userData);
+
+    const tokenIsStale = Boolean(existing?.profileUpdatedAt && userData.tokenIssuedAt &&
+      userData.tokenIssuedAt < existing.profileUpdatedAt);
+
     const user = await User.findOneAndUpdate(
-      { keycloakId: userData.keycloakId },
+      { realm: userData.realm, keycloakId: userData.keycloakId },
       {
         $set: {
           email: userData.email,
           username: userData.username,
-          firstName: userData.firstName,
-          lastName: userData.lastName,
-          enabled: userData.enabled !== false,
+          ...(!tokenIsStale && {
+            firstName: userData.firstName,
+            lastName: userData.lastName
+          }),
+          // Logging in never re-enables an account - enabled mirrors Keycloak, status the lifecycle
+          ...(userData.enabled !== undefined && { enabled: userData.enabled }),
           emailVerified: userData.emailVerified || false,
+          ...memberships,
           lastLogin: new Date()
         }
       },
@@ -41,73 +172,157 @@ export const syncUserFromKeycloak = async (userData) => {
         setDefaultsOnInsert: true
       }
     );
+
+    await recordMembershipChange(userData.realm, userData.keycloakId,
+      diffMemberships(existing || {}, memberships), 'token');
     
     return user;
   } catch (error) {
-    throw new Error(`Failed to sync user: ${error.message}`);
+    throw wrapError(error, 'Failed to sync user');
   }
-};
+});
 
 /**
- * Get user by Keycloak ID
+ * Get user by Keycloak ID within a realm
  */
-export const getUserByKeycloakId = async (keycloakId) => {
+export const getUserByKeycloakId = withDbTiming('getUserByKeycloakId', async (keycloakId, realm) => {
   try {
-    const user = await User.findOne({ keycloakId });
+    const user = await User.findOne({ realm, keycloakId });
     if (!user) {
-      throw new Error('User not found');
+      throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
     }
     return user;
   } catch (error) {
-    throw new Error(`Failed to get user: ${error.message}`);
+    throw wrapError(error, 'Failed to get user');
   }
-};
+});
 
 /**
- * Get user by MongoDB ID
+ * Get user by MongoDB ID within a realm
  */
-export const getUserById = async (userId) => {
+export const getUserById = withDbTiming('getUserById', async (userId, realm) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(userId)) {
-      throw new Error('Invalid user ID format');
+      throw new ValidationError('Invalid user ID format', { code: 'INVALID_USER_ID' });
     }
     
-    const user = await User.findById(userId);
+    const user = await User.findOne({ _id: userId, realm });
     if (!user) {
-      throw new Error('User not found');
+      throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
     }
     return user;
   } catch (error) {
-    throw new Error(`Failed to get user: ${error.message}`);
+    throw wrapError(error, 'Failed to get user');
   }
-};
+});
 
 /**
- * Get user by email
+ * Get user by email within a realm
  */
-export const getUserByEmail = async (email) => {
+export const getUserByEmail = withDbTiming('getUserByEmail', async (email, realm) => {
   try {
-    const user = await User.findOne({ email: email.toLowerCase() });
+    const user = await User.findOne({ realm, email: email.toLowerCase() });
     return user;
   } catch (error) {
-    throw new Error(`Failed to get user: ${error.message}`);
+    throw wrapError(error, 'Failed to get user');
   }
-};
+});
 
 /**
- * Get all users with pagination
+ * Escape a string for use inside a regular expression
  */
-export const getAllUsers = async (page = 1, limit = 10) => {
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a MongoDB filter from user list filters
+ * - search: every whitespace-separated term must match email, username, first or last name
+ *   (case-insensitive substring - scans the realm's users, fine for admin lookups)
+ * - createdFrom/createdTo and lastLoginFrom/lastLoginTo are inclusive Date bounds
+ */
+function buildUserFilter(realm, filters = {}) {
+  const filter = { realm };
+
+  if (filters.role) {
+    filter.roles = filters.role;
+  }
+  if (filters.clientRole) {
+    filter.clientRoles = filters.clientRole;
+  }
+  if (filters.group) {
+    filter.groups = filters.group;
+  }
+  if (typeof filters.enabled === 'boolean') {
+    filter.enabled = filters.enabled;
+  }
+  if (typeof filters.emailVerified === 'boolean') {
+    filter.emailVerified = filters.emailVerified;
+  }
+  if (filters.status) {
+    // Records without status predate the account lifecycle and are active
+    filter.status = filters.status === 'active' ? { $in: ['active', null] } : filters.status;
+  }
+  if (filters.createdFrom || filters.createdTo) {
+    filter.createdAt = {
+      ...(filters.createdFrom && { $gte: filters.createdFrom }),
+      ...(filters.createdTo && { $lte: filters.createdTo })
+    };
+  }
+  if (filters.lastLoginFrom || filters.lastLoginTo) {
+    filter.lastLogin = {
+      ...(filters.lastLoginFrom && { $gte: filters.lastLoginFrom }),
+      ...(filters.lastLoginTo && { $lte: filters.lastLoginTo })
+    };
+  }
+
+  const terms = (filters.search || '').trim().split(/\s+/).filter(Boolean);
+  if (terms.length > 0) {
+    filter.$and = terms.map(term => {
+      const pattern = { $regex: escapeRegex(term), $options: 'i' };
+      return { $or: SEARCH_FIELDS.map(field => ({ [field]: pattern })) };
+    });
+  }
+
+  return filter;
+}
+
+/**
+ * Sort and projection of a user list
+ * options: { sort, order, fields }
+ */
+function getListOptions(options = {}) {
+  const field = options.sort || 'createdAt';
+  const order = options.order === 'asc' ? 'asc' : 'desc';
+  const projection = options.fields?.length
+    ? Object.fromEntries(options.fields.map(name => [name, 1]))
+    : undefined;
+  return { field, order, dir: order === 'asc' ? 1 : -1, projection };
+}
+
+/**
+ * Get all users of a realm with offset pagination
+ * filters: { role, clientRole, group, search, enabled, emailVerified, status,
+ *            createdFrom, createdTo, lastLoginFrom, lastLoginTo }
+ * options: { sort, order ('asc' | 'desc'), fields, includeTotal (default true) }
+ * - fields limits the returned properties
+ * - includeTotal: false skips countDocuments; total and pages are then left out
+ */
+export const getAllUsers = withDbTiming('getAllUsers', async (realm, page = 1, limit = 10, filters = {}, options = {}) => {
   try {
     const skip = (page - 1) * limit;
+    const filter = buildUserFilter(realm, filters);
+    const { field, dir, projection } = getListOptions(options);
+    const includeTotal = options.includeTotal !== false;
     
     const [users, total] = await Promise.all([
-      User.find()
+      User.find(filter, projection)
+        // _id breaks ties so pages do not overlap when sort values repeat
+        .sort({ [field]: dir, _id: dir })
         .skip(skip)
         .limit(limit)
-        .sort({ createdAt: -1 })
         .lean(),
-      User.countDocuments()
+      includeTotal ? User.countDocuments(filter) : undefined
     ]);
     
     return {
@@ -115,66 +330,322 @@ export const getAllUsers = async (page = 1, limit = 10) => {
       pagination: {
         page,
         limit,
-        total,
-        pages: Math.ceil(total / limit)
+        ...(includeTotal && { total, pages: Math.ceil(total / limit) })
       }
     };
   } catch (error) {
-    throw new Error(`Failed to get users: ${error.message}`);
+    throw wrapError(error, 'Failed to get users');
   }
-};
+});
+
+/**
+ * Get users of a realm with keyset (cursor) pagination
+ * Same filters and options as getAllUsers, plus options.cursor (from a previous page)
+ * includeTotal defaults to false here - counting is what cursors avoid
+ *
+ * Returns { users, pagination: { limit, nextCursor, prevCursor, total? } }
+ * - A cursor is null when there is no page in that direction
+ */
+export const getUsersByCursor = withDbTiming('getUsersByCursor', async (realm, limit = 10, filters = {}, options = {}) => {
+  const { field, order, dir, projection } = getListOptions(options);
+  const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+
+  if (options.cursor && !cursor) {
+    throw new ValidationError('Invalid cursor', { code: 'INVALID_CURSOR' });
+  }
+  if (cursor && (cursor.sort !== field || cursor.order !== order)) {
+    throw new ValidationError('Cursor was issued for another sort order', { code: 'INVALID_CURSOR' });
+  }
+
+  try {
+    const filter = buildUserFilter(realm, filters);
+    const backwards = cursor?.direction === 'prev';
+    // Going back reads the rows before the cursor in reverse order, then flips them
+    const readDir = backwards ? -dir : dir;
+
+    const query = { ...filter };
+    if (cursor) {
+      query.$and = [...(filter.$and || []), keysetCondition(field, readDir, cursor.value, cursor.id)];
+    }
+
+    // The sort key is needed to build the next cursor, even when not selected
+    const readProjection = projection && { ...projection, [field]: 1 };
+
+    const [rows, total] = await Promise.all([
+      User.find(query, readProjection)
+        .sort({ [field]: readDir, _id: readDir })
+        .limit(limit + 1)
+        .lean(),
+      options.includeTotal ? User.countDocuments(filter) : undefined
+    ]);
+
+    const hasMore = rows.length > limit;
+    const users = rows.slice(0, limit);
+    if (backwards) {
+      users.reverse();
+    }
+
+    const toCursor = (user, direction) => user && encodeCursor({
+      sort: field,
+      order,
+      value: user[field] instanceof Date ? user[field].toISOString() : user[field],
+      id: user._id,
+      direction
+    });
+    const first = users[0];
+    const last = users[users.length - 1];
+    // Forwards there is a previous page whenever we started from a cursor; backwards, a next one
+    const hasNext = backwards ? Boolean(cursor) : hasMore;
+    const hasPrev = backwards ? hasMore : Boolean(cursor);
+    const nextCursor = (hasNext && toCursor(last, 'next')) || null;
+    const prevCursor = (hasPrev && toCursor(first, 'prev')) || null;
+
+    if (projection && !projection[field]) {
+      users.forEach(user => delete user[field]);
+    }
+
+    return {
+      users,
+      pagination: {
+        limit,
+        nextCursor,
+        prevCursor,
+        ...(options.includeTotal && { total })
+      }
+    };
+  } catch (error) {
+    throw wrapError(error, 'Failed to get users');
+  }
+});
 
 /**
  * Update user profile
+ * 
+ * Flow:
+ * 1. Keep only allowed fields
+ * 2. Write Keycloak-owned fields (first/last name) to Keycloak first
+ *    - Keycloak rejects: nothing is changed locally (409 conflict / 400 invalid)
+ * 3. Update MongoDB
+ *    - MongoDB fails: the Keycloak change is rolled back
  */
-export const updateUserProfile = async (keycloakId, updateData) => {
+export const updateUserProfile = withDbTiming('updateUserProfile', async (keycloakId, realm, updateData) => {
   try {
-    const allowedFields = ['firstName', 'lastName', 'phoneNumber', 'profilePicture', 'preferences'];
     const updateFields = {};
     
     // Only allow specific fields to be updated
     Object.keys(updateData).forEach(key => {
-      if (allowedFields.includes(key)) {
+      if (UPDATABLE_PROFILE_FIELDS.includes(key)) {
         updateFields[key] = updateData[key];
       }
     });
-    
-    const user = await User.findOneAndUpdate(
-      { keycloakId },
-      { $set: updateFields },
-      { new: true, runValidators: true }
-    );
+
+    if (!await User.exists({ realm, keycloakId })) {
+      throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+    }
+
+    const keycloakFields = {};
+    KEYCLOAK_PROFILE_FIELDS.forEach(key => {
+      if (updateFields[key] !== undefined) {
+        keycloakFields[key] = updateFields[key];
+      }
+    });
+
+    let rollbackKeycloak = null;
+    if (Object.keys(keycloakFields).length > 0) {
+      if (isWriteThroughEnabled(realm)) {
+        rollbackKeycloak = await writeUserToKeycloak(realm, keycloakId, keycloakFields);
+      }
+      updateFields.profileUpdatedAt = new Date();
+    }
+
+    let user;
+    try {
+      user = await User.findOneAndUpdate(
+        { realm, keycloakId },
+        { $set: updateFields },
+        { new: true, runValidators: true }
+      );
+    } catch (dbError) {
+      if (rollbackKeycloak) {
+        await rollbackKeycloak().catch(() => {});
+      }
+      throw dbError;
+    }
     
     if (!user) {
-      throw new Error('User not found');
+      throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
     }
     
     return user;
   } catch (error) {
-    throw new Error(`Failed to update user: ${error.message}`);
+    throw wrapError(error, 'Failed to update user');
   }
-};
+});
 
 /**
- * Delete user (soft delete by setting enabled to false)
+ * Enable or disable a user (admin)
+ * Keycloak is updated first so a disabled user cannot sign in again;
+ * the Keycloak change is rolled back when MongoDB fails
  */
-export const deleteUser = async (keycloakId) => {
+export const setUserEnabled = withDbTiming('setUserEnabled', async (keycloakId, realm, enabled) => {
   try {
-    const user = await User.findOneAndUpdate(
-      { keycloakId },
-      { $set: { enabled: false } },
-      { new: true }
-    );
-    
+    if (!await User.exists({ realm, keycloakId })) {
+      throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+    }
+
+    const rollbackKeycloak = isWriteThroughEnabled(realm)
+      ? await writeUserToKeycloak(realm, keycloakId, { enabled })
+      : null;
+
+    let user;
+    try {
+      user = await User.findOneAndUpdate(
+        { realm, keycloakId },
+        { $set: { enabled } },
+        { new: true }
+      );
+    } catch (dbError) {
+      if (rollbackKeycloak) {
+        await rollbackKeycloak().catch(() => {});
+      }
+      throw dbError;
+    }
+
     if (!user) {
-      throw new Error('User not found');
+      throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
     }
-    
+
     return user;
   } catch (error) {
-    throw new Error(`Failed to delete user: ${error.message}`);
+    throw wrapError(error, enabled ? 'Failed to enable user' : 'Failed to disable user');
   }
-};
+});
+
+/**
+ * Delete what is stored about a user besides the record: role history, sessions and API keys
+ * Audit entries are kept
+ */
+export const deleteUserData = withDbTiming('deleteUserData', async (keycloakId, realm) => {
+  try {
+    await Promise.all([
+      RoleChange.deleteMany({ realm, keycloakId }),
+      Session.deleteMany({ realm, keycloakId }),
+      ApiKey.deleteMany({ realm, keycloakId })
+    ]);
+  } catch (error) {
+    throw wrapError(error, 'Failed to delete user data');
+  }
+});
+
+/**
+ * Apply user state from a Keycloak event (webhook)
+ * 
+ * - Only defined fields are written
+ * - Events older than the last applied one are ignored (replays, out-of-order delivery)
+ * - create: insert the user if missing (needs email and username)
+ * - unset: fields to remove (e.g. keycloakDeletedAt when a user shows up again)
+ * - Purged (anonymized) users are never updated again
+ * 
+ * Returns the updated user, or null when the event was stale or the user is unknown
+ */
+export const applyKeycloakEvent = withDbTiming('applyKeycloakEvent', async (realm, keycloakId, fields, eventTime, { create = false, unset = [] } = {}) => {
+  try {
+    const updateFields = { lastKeycloakEventAt: eventTime };
+    Object.keys(fields).forEach(key => {
+      if (fields[key] !== undefined) {
+        updateFields[key] = fields[key];
+      }
+    });
+
+    const canCreate = create && Boolean(updateFields.email && updateFields.username);
+
+    const user = await User.findOneAndUpdate(
+      {
+        realm,
+        keycloakId,
+        status: { $ne: 'purged' },
+        $or: [
+          { lastKeycloakEventAt: { $exists: false } },
+          { lastKeycloakEventAt: { $lte: eventTime } }
+        ]
+      },
+      {
+        $set: updateFields,
+        ...(unset.length > 0 && { $unset: Object.fromEntries(unset.map(field => [field, ''])) })
+      },
+      {
+        upsert: canCreate,
+        new: true,
+        runValidators: true,
+        setDefaultsOnInsert: true
+      }
+    );
+
+    return user;
+  } catch (error) {
+    // Upsert collided with an existing user that already has a newer event
+    if (error.code === 11000) {
+      return null;
+    }
+    throw wrapError(error, 'Failed to apply Keycloak event');
+  }
+});
+
+/**
+ * Mirror roles and groups read from Keycloak (reconciliation) onto a user
+ * Returns the changes that were applied ({} when nothing changed or the user is unknown)
+ */
+export const syncUserMemberships = withDbTiming('syncUserMemberships', async (realm, keycloakId, memberships, source = 'reconciliation') => {
+  try {
+    const update = pickMemberships(memberships);
+    const previous = await User.findOneAndUpdate(
+      { realm, keycloakId, status: { $ne: 'purged' } },
+      { $set: update },
+      { new: false, projection: { roles: 1, clientRoles: 1, groups: 1 } }
+    ).lean();
+
+    if (!previous) {
+      return {};
+    }
+
+    const changes = diffMemberships(previous, update);
+    await recordMembershipChange(realm, keycloakId, changes, source);
+    return changes;
+  } catch (error) {
+    throw wrapError(error, 'Failed to sync user roles');
+  }
+});
+
+/**
+ * Role and group change history of a user (MongoDB ID), newest first
+ */
+export const getRoleHistory = withDbTiming('getRoleHistory', async (userId, realm, page = 1, limit = 20) => {
+  try {
+    const user = await getUserById(userId, realm);
+    const filter = { realm, keycloakId: user.keycloakId };
+
+    const [changes, total] = await Promise.all([
+      RoleChange.find(filter)
+        .sort({ changedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      RoleChange.countDocuments(filter)
+    ]);
+
+    return {
+      keycloakId: user.keycloakId,
+      changes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    throw wrapError(error, 'Failed to get role history');
+  }
+});
 
 /**
  * Check MongoDB connection
@@ -183,7 +654,12 @@ export const checkDatabaseConnection = async () => {
   try {
     const state = mongoose.connection.readyState;
     // 0 = disconnected, 1 = connected, 2 = connecting, 3 = disconnecting
-    return state === 1;
+    if (state !== 1) {
+      return false;
+    }
+    // The connection state can lag behind a dead server - ask the server
+    await mongoose.connection.db.admin().ping();
+    return true;
   } catch (error) {
     return false;
   }
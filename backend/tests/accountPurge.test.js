@@ -0,0 +1,167 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeKeycloak, createSigningKey, signToken, useRealm, useModelStore, runMiddleware, mockResponse } from './helpers.js';
+import User from '../models/user.js';
+import ApiKey from '../models/apiKey.js';
+import RoleChange from '../models/roleChange.js';
+import Session from '../models/session.js';
+import RevokedToken from '../models/revokedToken.js';
+import AuditLog from '../models/auditLog.js';
+import ReconciliationRun from '../models/reconciliationRun.js';
+import { purgeExpiredAccounts } from '../service/accountLifecycleService.js';
+import { reconcileRealm } from '../service/reconciliationService.js';
+import { validateKeycloakToken } from '../middleware/keycloak.js';
+import { deleteUserById } from '../controller/userController.js';
+
+describe('purged accounts', () => {
+  const key = createSigningKey();
+  let keycloak;
+  let realm;
+  let users;
+
+  before(async () => {
+    keycloak = await startFakeKeycloak({
+      'GET /realms/test/protocol/openid-connect/certs': () => ({ keys: [key.jwk] }),
+      'POST /realms/test/protocol/openid-connect/token': () => ({ access_token: 'admin-token', expires_in: 300 }),
+      // The Keycloak account outlives the purge
+      'GET /admin/realms/test/users': ({ query }) => (Number(query.first) === 0
+        ? [{ id: 'alice', username: 'alice', email: 'alice@example.com', enabled: true, emailVerified: true }]
+        : []),
+      'GET /admin/realms/test/users/:id/role-mappings/realm/composite': () => [{ name: 'user' }],
+      'GET /admin/realms/test/clients': () => [],
+      'GET /admin/realms/test/users/:id/groups': () => []
+    });
+    realm = useRealm(keycloak.url, { adminClientId: 'user-service-admin', adminClientSecret: 'admin-secret' });
+  });
+
+  after(() => keycloak.close());
+
+  beforeEach(() => {
+    mock.restoreAll();
+    delete process.env.ACCOUNT_PURGE_MODE;
+    users = useModelStore(mock, User, [{
+      _id: '64b000000000000000000001',
+      realm: 'test',
+      keycloakId: 'alice',
+      username: 'alice',
+      email: 'alice@example.com',
+      firstName: 'Alice',
+      phoneNumber: '+100',
+      enabled: true,
+      status: 'pending_deletion',
+      roles: ['user'],
+      deletionRequestedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000),
+      purgeAfter: new Date(Date.now() - 60 * 1000)
+    }], { defaults: { status: 'active', enabled: true, roles: [], clientRoles: [], groups: [] } });
+    for (const Model of [ApiKey, RoleChange, Session, RevokedToken, AuditLog]) {
+      useModelStore(mock, Model);
+    }
+    mock.method(ReconciliationRun.prototype, 'save', async function save() {
+      return this;
+    });
+  });
+
+  /**
+   * Sign in again after the purge (the new token postdates the subject revocation)
+   */
+  const login = () => {
+    const token = signToken({
+      iss: realm.issuer,
+      aud: realm.clientId,
+      azp: realm.clientId,
+      sub: 'alice',
+      preferred_username: 'alice',
+      iat: Math.floor(Date.now() / 1000) + 2
+    }, key);
+    return runMiddleware(validateKeycloakToken, { headers: { authorization: `Bearer ${token}` }, get: () => undefined });
+  };
+
+  for (const mode of ['anonymize', 'delete']) {
+    describe(`in ${mode} mode`, () => {
+      beforeEach(() => {
+        process.env.ACCOUNT_PURGE_MODE = mode;
+      });
+
+      it('keeps a purged record without personal data', async () => {
+        assert.equal(await purgeExpiredAccounts(), 1);
+
+        assert.equal(users.length, 1);
+        assert.equal(users[0].keycloakId, 'alice');
+        assert.equal(users[0].status, 'purged');
+        assert.equal(users[0].email, 'purged-64b000000000000000000001@invalid');
+        assert.equal(users[0].firstName, undefined);
+        assert.equal(users[0].phoneNumber, undefined);
+      });
+
+      it('refuses the next login with ACCOUNT_PURGED', async () => {
+        await purgeExpiredAccounts();
+
+        const error = await login();
+        assert.equal(error.status, 403);
+        assert.equal(error.code, 'ACCOUNT_PURGED');
+      });
+
+      it('is not re-created by reconciliation', async () => {
+        await purgeExpiredAccounts();
+
+        const run = await reconcileRealm('test');
+
+        assert.equal(run.counts.created, 0);
+        assert.equal(users.length, 1);
+        assert.equal(users[0].status, 'purged');
+        assert.equal(users[0].email, 'purged-64b000000000000000000001@invalid');
+      });
+    });
+  }
+
+  describe('admin hard delete', () => {
+    const hardDelete = (res = mockResponse()) => runMiddleware(deleteUserById, {
+      method: 'DELETE',
+      originalUrl: '/api/users/64b000000000000000000001?hard=true',
+      params: { id: '64b000000000000000000001' },
+      query: { hard: true },
+      user: { keycloakId: 'admin-1', realm: 'test', principalType: 'user', roles: ['admin'], clientRoles: [] },
+      get: () => undefined
+    }, res);
+
+    beforeEach(() => {
+      Object.assign(users[0], { status: 'active', deletionRequestedAt: undefined, purgeAfter: undefined });
+    });
+
+    it('keeps a purged tombstone', async () => {
+      const res = mockResponse();
+      assert.equal(await hardDelete(res), undefined);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(users.length, 1);
+      assert.equal(users[0].keycloakId, 'alice');
+      assert.equal(users[0].status, 'purged');
+      assert.equal(users[0].firstName, undefined);
+    });
+
+    it('refuses the next login with ACCOUNT_PURGED', async () => {
+      await hardDelete();
+
+      const error = await login();
+      assert.equal(error.status, 403);
+      assert.equal(error.code, 'ACCOUNT_PURGED');
+    });
+
+    it('is not re-created by reconciliation', async () => {
+      await hardDelete();
+
+      const run = await reconcileRealm('test');
+
+      assert.equal(run.counts.created, 0);
+      assert.equal(users[0].status, 'purged');
+    });
+
+    it('answers 409 for an account already purged', async () => {
+      await hardDelete();
+
+      const error = await hardDelete();
+      assert.equal(error.status, 409);
+      assert.equal(error.code, 'INVALID_ACCOUNT_STATE');
+    });
+  });
+});
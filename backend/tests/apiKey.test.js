@@ -0,0 +1,134 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { mockQuery, mockResponse, runMiddleware, useModelStore } from './helpers.js';
+import ApiKey from '../models/apiKey.js';
+import User from '../models/user.js';
+import RoleChange from '../models/roleChange.js';
+import AuditLog from '../models/auditLog.js';
+import { validateApiKeyOrToken } from '../middleware/apiKey.js';
+import { createApiKey } from '../controller/apiKeyController.js';
+import { requireScope, SCOPES } from '../middleware/authorize.js';
+
+describe('validateApiKeyOrToken', () => {
+  const apiKey = {
+    _id: new mongoose.Types.ObjectId(),
+    keycloakId: 'owner-1',
+    realm: 'test',
+    scopes: [SCOPES.PROFILE_READ, SCOPES.USERS_READ]
+  };
+  let owner;
+
+  const request = () => ({ headers: { 'x-api-key': 'kus_test-key' } });
+
+  beforeEach(() => {
+    mock.restoreAll();
+    owner = {
+      keycloakId: 'owner-1',
+      realm: 'test',
+      email: 'owner@example.com',
+      username: 'owner',
+      enabled: true,
+      status: 'active',
+      roles: ['admin'],
+      clientRoles: []
+    };
+    mock.method(ApiKey, 'findOneAndUpdate', () => mockQuery(apiKey));
+    mock.method(User, 'findOne', () => mockQuery(owner));
+  });
+
+  it('grants admin scopes while the owner is an admin', async () => {
+    const req = request();
+    assert.equal(await runMiddleware(validateApiKeyOrToken, req), undefined);
+
+    assert.deepEqual(req.user.scopes, [SCOPES.PROFILE_READ, SCOPES.USERS_READ]);
+    assert.deepEqual(req.user.roles, []);
+    assert.equal(await runMiddleware(requireScope(SCOPES.USERS_READ), req), undefined);
+  });
+
+  it('drops admin scopes once the owner lost the admin role', async () => {
+    owner.roles = ['user'];
+    const req = request();
+    assert.equal(await runMiddleware(validateApiKeyOrToken, req), undefined);
+
+    assert.deepEqual(req.user.scopes, [SCOPES.PROFILE_READ]);
+    const error = await runMiddleware(requireScope(SCOPES.USERS_READ), req);
+    assert.equal(error.status, 403);
+  });
+
+  it('rejects keys of disabled owners', async () => {
+    owner.enabled = false;
+    const error = await runMiddleware(validateApiKeyOrToken, request());
+    assert.equal(error.code, 'INVALID_API_KEY');
+  });
+
+  it('rejects keys of deactivated owners', async () => {
+    owner.status = 'deactivated';
+    const error = await runMiddleware(validateApiKeyOrToken, request());
+    assert.equal(error.code, 'ACCOUNT_DEACTIVATED');
+  });
+});
+
+describe('createApiKey', () => {
+  let users;
+  let apiKeys;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    users = useModelStore(mock, User, [], { defaults: { status: 'active', enabled: true } });
+    apiKeys = useModelStore(mock, ApiKey);
+    useModelStore(mock, RoleChange);
+    useModelStore(mock, AuditLog);
+  });
+
+  const caller = (fields = {}) => ({
+    keycloakId: 'admin-1',
+    realm: 'test',
+    principalType: 'user',
+    email: 'admin@example.com',
+    username: 'admin',
+    roles: ['admin'],
+    clientRoles: [],
+    token: { iat: Math.floor(Date.now() / 1000) },
+    ...fields
+  });
+
+  const create = (user, res = mockResponse()) => runMiddleware(
+    createApiKey,
+    { user, body: { name: 'ci', scopes: [SCOPES.USERS_READ] }, get: () => undefined },
+    res
+  );
+
+  it('keeps users:read when created by an admin not stored yet', async () => {
+    const res = mockResponse();
+
+    const createError = await create(caller(), res);
+    assert.equal(createError, undefined);
+    assert.equal(res.statusCode, 201);
+
+    const req = { headers: { 'x-api-key': res.body.data.key } };
+    assert.equal(await runMiddleware(validateApiKeyOrToken, req), undefined);
+    assert.deepEqual(req.user.scopes, [SCOPES.USERS_READ]);
+  });
+
+  it('refuses disabled accounts and leaves them disabled', async () => {
+    users.push({ _id: '64b000000000000000000001', realm: 'test', keycloakId: 'admin-1', username: 'admin', email: 'admin@example.com', enabled: false, status: 'active' });
+
+    const error = await create(caller());
+
+    assert.equal(error.status, 403);
+    assert.equal(error.code, 'ACCOUNT_DISABLED');
+    assert.equal(users[0].enabled, false);
+    assert.equal(apiKeys.length, 0);
+  });
+
+  it('refuses accounts that are not active', async () => {
+    users.push({ _id: '64b000000000000000000001', realm: 'test', keycloakId: 'admin-1', username: 'admin', email: 'admin@example.com', enabled: true, status: 'deactivated' });
+
+    const error = await create(caller());
+
+    assert.equal(error.status, 403);
+    assert.equal(error.code, 'ACCOUNT_DEACTIVATED');
+    assert.equal(apiKeys.length, 0);
+  });
+});
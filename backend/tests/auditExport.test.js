@@ -0,0 +1,140 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { useModelStore } from './helpers.js';
+import AuditLog from '../models/auditLog.js';
+import logger from '../utils/logger.js';
+import { listAuditEvents } from '../controller/auditController.js';
+
+/**
+ * Response whose write() reports a full buffer after every line
+ */
+class PausingResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.lines = [];
+    this.destroyed = false;
+    this.ended = false;
+  }
+
+  status() {
+    return this;
+  }
+
+  set() {
+    return this;
+  }
+
+  write(chunk) {
+    this.lines.push(chunk);
+    return false;
+  }
+
+  end() {
+    this.ended = true;
+  }
+
+  disconnect() {
+    this.destroyed = true;
+    this.emit('close');
+  }
+}
+
+/**
+ * Audit log cursor yielding `count` entries (endless by default), tracking close()
+ */
+function createCursor(count = Infinity, fields = () => ({})) {
+  const cursor = {
+    closed: false,
+    close: mock.fn(async () => {
+      cursor.closed = true;
+    }),
+    async *[Symbol.asyncIterator]() {
+      for (let index = 0; index < count && !cursor.closed; index += 1) {
+        yield { _id: `entry-${index}`, action: 'user.update', realm: 'test', createdAt: new Date(), ...fields(index) };
+      }
+    }
+  };
+  return cursor;
+}
+
+/**
+ * Resolve with true when the promise settles within timeoutMs, false otherwise
+ */
+function settlesWithin(promise, timeoutMs = 1000) {
+  return Promise.race([
+    promise.then(() => true),
+    new Promise(resolve => setTimeout(() => resolve(false), timeoutMs).unref())
+  ]);
+}
+
+describe('audit export', () => {
+  let cursor;
+
+  const request = (format = 'ndjson') => ({
+    method: 'GET',
+    originalUrl: `/api/audit?format=${format}`,
+    query: { format },
+    user: { keycloakId: 'admin-1', realm: 'test', roles: ['admin'] },
+    get: () => undefined,
+    log: logger
+  });
+
+  beforeEach(() => {
+    mock.restoreAll();
+    useModelStore(mock, AuditLog);
+    mock.method(AuditLog, 'find', () => {
+      const query = { sort: () => query, lean: () => query, cursor: () => cursor };
+      return query;
+    });
+  });
+
+  it('stops and closes the cursor when the client disconnects while paused', async () => {
+    cursor = createCursor();
+    const res = new PausingResponse();
+
+    const exported = listAuditEvents(request(), res, () => {});
+    await new Promise(resolve => setImmediate(resolve));
+    res.disconnect();
+
+    assert.equal(await settlesWithin(exported), true);
+    assert.equal(res.lines.length, 1);
+    assert.equal(res.ended, false);
+    assert.equal(cursor.close.mock.callCount(), 1);
+    assert.equal(res.listenerCount('drain'), 0);
+  });
+
+  it('streams every entry, waiting for drain, then closes the cursor', async () => {
+    cursor = createCursor(3);
+    const res = new PausingResponse();
+    const drain = setInterval(() => res.emit('drain'), 1);
+
+    const exported = listAuditEvents(request(), res, () => {});
+    const settled = await settlesWithin(exported);
+    clearInterval(drain);
+
+    assert.equal(settled, true);
+    assert.equal(res.lines.length, 3);
+    assert.equal(JSON.parse(res.lines[0]).id, 'entry-0');
+    assert.equal(res.ended, true);
+    assert.equal(cursor.close.mock.callCount(), 1);
+    assert.equal(res.listenerCount('close'), 0);
+  });
+
+  it('neutralizes cells that spreadsheets would run as formulas', async () => {
+    const prefixes = ['=', '+', '-', '@', '\t', '\r'];
+    cursor = createCursor(prefixes.length, index => ({ userAgent: `${prefixes[index]}SUM(A1)` }));
+    const res = new PausingResponse();
+    const drain = setInterval(() => res.emit('drain'), 1);
+
+    await settlesWithin(listAuditEvents(request('csv'), res, () => {}));
+    clearInterval(drain);
+
+    const rows = res.lines.slice(1);
+    assert.equal(rows.length, prefixes.length);
+    prefixes.forEach((prefix, index) => {
+      const cell = prefix === '\r' ? `"'\rSUM(A1)"` : `'${prefix}SUM(A1)`;
+      assert.ok(rows[index].includes(`,${cell},`), `unescaped ${JSON.stringify(prefix)}: ${rows[index]}`);
+    });
+  });
+});
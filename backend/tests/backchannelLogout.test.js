@@ -0,0 +1,122 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeKeycloak, createSigningKey, signToken, useRealm, mockQuery, mockResponse, runMiddleware } from './helpers.js';
+import RevokedToken from '../models/revokedToken.js';
+import AuditLog from '../models/auditLog.js';
+import { verifyLogoutToken } from '../middleware/keycloak.js';
+import { backchannelLogout } from '../controller/userController.js';
+
+const LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+describe('back-channel logout', () => {
+  const key = createSigningKey();
+  let keycloak;
+  let realm;
+  let revocations;
+
+  const logoutToken = (claims = {}, options = {}) => signToken({
+    iss: realm.issuer,
+    aud: realm.clientId,
+    sub: 'user-1',
+    sid: 'session-1',
+    jti: 'logout-1',
+    events: { [LOGOUT_EVENT]: {} },
+    ...claims
+  }, key, options);
+
+  before(async () => {
+    keycloak = await startFakeKeycloak({
+      'GET /realms/test/protocol/openid-connect/certs': () => ({ keys: [key.jwk] })
+    });
+    realm = useRealm(keycloak.url);
+  });
+
+  after(() => keycloak.close());
+
+  beforeEach(() => {
+    mock.restoreAll();
+    revocations = [];
+    mock.method(RevokedToken, 'updateOne', (filter, update) => {
+      revocations.push({ ...filter, reason: update.$set.reason });
+      return mockQuery({ acknowledged: true });
+    });
+    mock.method(AuditLog, 'create', async (event) => event);
+  });
+
+  describe('verifyLogoutToken', () => {
+    it('accepts a valid logout token', async () => {
+      const { claims, realm: realmName } = await verifyLogoutToken(logoutToken());
+      assert.equal(realmName, 'test');
+      assert.equal(claims.sid, 'session-1');
+      assert.equal(claims.sub, 'user-1');
+    });
+
+    it('accepts a token with only sid or only sub', async () => {
+      await verifyLogoutToken(logoutToken({ sub: undefined }));
+      await verifyLogoutToken(logoutToken({ sid: undefined }));
+    });
+
+    it('rejects a wrong audience', async () => {
+      await assert.rejects(verifyLogoutToken(logoutToken({ aud: 'other-app' })), /audience/);
+    });
+
+    it('rejects an untrusted issuer', async () => {
+      await assert.rejects(verifyLogoutToken(logoutToken({ iss: `${keycloak.url}/realms/other` })), /not trusted/);
+    });
+
+    it('rejects a token signed by an unknown key', async () => {
+      const forged = signToken({ iss: realm.issuer, aud: realm.clientId, sub: 'user-1', events: { [LOGOUT_EVENT]: {} } }, createSigningKey(key.kid));
+      await assert.rejects(verifyLogoutToken(forged), /signature/);
+    });
+
+    it('rejects a token without the events claim', async () => {
+      await assert.rejects(verifyLogoutToken(logoutToken({ events: undefined })), /back-channel logout event/);
+    });
+
+    it('rejects an events claim without the back-channel logout event', async () => {
+      await assert.rejects(
+        verifyLogoutToken(logoutToken({ events: { 'http://schemas.openid.net/event/other': {} } })),
+        /back-channel logout event/
+      );
+      await assert.rejects(verifyLogoutToken(logoutToken({ events: LOGOUT_EVENT })), /back-channel logout event/);
+    });
+
+    it('rejects a token carrying a nonce', async () => {
+      await assert.rejects(verifyLogoutToken(logoutToken({ nonce: 'abc' })), /nonce/);
+    });
+
+    it('rejects a token without sid and sub', async () => {
+      await assert.rejects(verifyLogoutToken(logoutToken({ sid: undefined, sub: undefined })), /sid or sub/);
+    });
+  });
+
+  describe('POST /api/users/backchannel-logout', () => {
+    const request = (body) => ({ method: 'POST', originalUrl: '/api/users/backchannel-logout', body, get: () => undefined });
+
+    it('revokes the session and the subject', async () => {
+      const res = mockResponse();
+      const error = await runMiddleware(backchannelLogout, request({ logout_token: logoutToken() }), res);
+
+      assert.equal(error, undefined);
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.headers['cache-control'], 'no-store');
+      assert.deepEqual(revocations.map(({ type, value, realm: realmName }) => ({ type, value, realm: realmName })), [
+        { type: 'sid', value: 'session-1', realm: 'test' },
+        { type: 'sub', value: 'user-1', realm: 'test' }
+      ]);
+    });
+
+    it('answers 400 INVALID_LOGOUT_TOKEN for an invalid token and revokes nothing', async () => {
+      const error = await runMiddleware(backchannelLogout, request({ logout_token: logoutToken({ nonce: 'abc' }) }));
+
+      assert.equal(error.status, 400);
+      assert.equal(error.code, 'INVALID_LOGOUT_TOKEN');
+      assert.equal(revocations.length, 0);
+    });
+
+    it('answers 400 INVALID_LOGOUT_TOKEN without a token', async () => {
+      const error = await runMiddleware(backchannelLogout, request({}));
+      assert.equal(error.code, 'INVALID_LOGOUT_TOKEN');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { useModelStore, mockResponse, runMiddleware } from './helpers.js';
+import User from '../models/user.js';
+import RoleChange from '../models/roleChange.js';
+import { getCurrentUser } from '../controller/userController.js';
+
+describe('GET /api/users/me', () => {
+  const lastLogin = new Date('2026-01-01T00:00:00Z');
+  let users;
+  let roleChanges;
+
+  const caller = (fields = {}) => ({
+    keycloakId: 'alice',
+    realm: 'test',
+    principalType: 'user',
+    email: 'alice@example.com',
+    username: 'alice',
+    firstName: 'Alice',
+    lastName: 'Smith',
+    emailVerified: true,
+    roles: ['user', 'admin'],
+    clientRoles: ['editor'],
+    groups: ['/staff'],
+    token: { iat: Math.floor(Date.now() / 1000) },
+    ...fields
+  });
+
+  beforeEach(() => {
+    mock.restoreAll();
+    users = useModelStore(mock, User, [{
+      _id: '64b000000000000000000001',
+      realm: 'test',
+      keycloakId: 'alice',
+      username: 'alice',
+      email: 'alice@example.com',
+      enabled: true,
+      status: 'active',
+      roles: ['user', 'admin'],
+      clientRoles: ['editor'],
+      groups: ['/staff'],
+      lastLogin
+    }]);
+    roleChanges = useModelStore(mock, RoleChange);
+  });
+
+  it('leaves the owner untouched for API key callers', async () => {
+    const res = mockResponse();
+    const req = { user: caller({ isApiKey: true, apiKeyId: 'key-1', roles: [], clientRoles: [], groups: undefined, token: null }) };
+
+    assert.equal(await runMiddleware(getCurrentUser, req, res), undefined);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.email, 'alice@example.com');
+    assert.deepEqual(users[0].roles, ['user', 'admin']);
+    assert.deepEqual(users[0].clientRoles, ['editor']);
+    assert.deepEqual(users[0].lastLogin, lastLogin);
+    assert.equal(roleChanges.length, 0);
+  });
+
+  it('leaves the target untouched while impersonating', async () => {
+    const res = mockResponse();
+    const req = { user: caller({ impersonated: true, roles: [], actor: { keycloakId: 'support-1' } }) };
+
+    await runMiddleware(getCurrentUser, req, res);
+
+    assert.deepEqual(res.body.data.impersonation, { actor: { keycloakId: 'support-1' } });
+    assert.deepEqual(users[0].roles, ['user', 'admin']);
+    assert.equal(roleChanges.length, 0);
+  });
+
+  it('syncs the user and their roles from a token', async () => {
+    const res = mockResponse();
+    const req = { user: caller({ roles: ['user'] }) };
+
+    await runMiddleware(getCurrentUser, req, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(users[0].roles, ['user']);
+    assert.ok(users[0].lastLogin > lastLogin);
+    assert.equal(roleChanges.length, 1);
+    assert.deepEqual(roleChanges[0].roles, { added: [], removed: ['admin'] });
+  });
+});
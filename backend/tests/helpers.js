@@ -0,0 +1,396 @@
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+
+/**
+ * Test Helpers
+ *
+ * Why needed:
+ * - Tests run without MongoDB or Keycloak: model calls are stubbed with mock.method,
+ *   Keycloak is a local HTTP server answering the few endpoints a test needs
+ *
+ * How it works:
+ * - Importing this module turns off mongoose command buffering, so a model call a test
+ *   forgot to stub fails at once instead of waiting for a connection
+ * - mockQuery() stands in for a mongoose Query (chainable, awaitable)
+ * - useModelStore() backs a model with an in-memory array (the filters and updates services use)
+ * - startFakeKeycloak() serves routes like 'GET /admin/realms/test/users/:id'
+ * - createSigningKey() / signToken() mint RS256 tokens the JWKS endpoint can verify
+ */
+
+mongoose.set('bufferCommands', false);
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+/**
+ * Chainable, awaitable stand-in for a mongoose Query resolving to result
+ * With hydrate, results become documents unless .lean() is called (like a real Query)
+ */
+export function mockQuery(result, { hydrate } = {}) {
+  let lean = !hydrate;
+  const settle = () => Promise.resolve(result).then(value => {
+    if (lean || value == null) {
+      return value;
+    }
+    return Array.isArray(value) ? value.map(hydrate) : hydrate(value);
+  });
+
+  const query = {
+    then: (resolve, reject) => settle().then(resolve, reject),
+    exec: settle,
+    lean: () => {
+      lean = true;
+      return query;
+    },
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* await settle();
+      }
+    })
+  };
+  ['limit', 'skip', 'sort', 'select', 'session', 'hint', 'populate'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+}
+
+/**
+ * Value at a dotted path
+ */
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * Loose equality for filter values (ObjectIds and dates compare by value, null matches missing)
+ */
+function sameValue(value, expected) {
+  if (expected === null || expected === undefined) {
+    return value === null || value === undefined;
+  }
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some(item => sameValue(item, expected));
+  }
+  if (expected instanceof Date || value instanceof Date) {
+    return value != null && new Date(value).getTime() === new Date(expected).getTime();
+  }
+  return String(value) === String(expected);
+}
+
+/**
+ * Compare for range operators (dates, numbers, strings)
+ */
+function compareValues(value, expected) {
+  const left = value instanceof Date ? value.getTime() : value;
+  const right = expected instanceof Date ? expected.getTime() : expected;
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+const FILTER_OPERATORS = {
+  $ne: (value, expected) => !sameValue(value, expected),
+  $in: (value, list) => list.some(item => sameValue(value, item)),
+  $nin: (value, list) => !list.some(item => sameValue(value, item)),
+  $exists: (value, exists) => (value !== undefined) === Boolean(exists),
+  $gt: (value, expected) => value != null && compareValues(value, expected) > 0,
+  $gte: (value, expected) => value != null && compareValues(value, expected) >= 0,
+  $lt: (value, expected) => value != null && compareValues(value, expected) < 0,
+  $lte: (value, expected) => value != null && compareValues(value, expected) <= 0
+};
+
+/**
+ * Whether a plain document matches a MongoDB filter (the subset services use)
+ */
+export function matchesFilter(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some(branch => matchesFilter(doc, branch));
+    }
+    if (key === '$and') {
+      return condition.every(branch => matchesFilter(doc, branch));
+    }
+
+    const value = getPath(doc, key);
+    const isOperatorObject = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+      !Array.isArray(condition) && Object.keys(condition).length > 0 && Object.keys(condition).every(op => op.startsWith('$'));
+
+    if (!isOperatorObject) {
+      return sameValue(value, condition);
+    }
+    return Object.entries(condition).every(([op, expected]) => {
+      if (!FILTER_OPERATORS[op]) {
+        throw new Error(`matchesFilter: unsupported operator ${op}`);
+      }
+      return FILTER_OPERATORS[op](value, expected);
+    });
+  });
+}
+
+/**
+ * Apply $set / $unset / $setOnInsert (or a plain replacement object) to a document
+ */
+function applyUpdate(doc, update, inserting) {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+  Object.assign(doc, operators.$set);
+  if (inserting) {
+    Object.assign(doc, operators.$setOnInsert);
+  }
+  Object.keys(operators.$unset || {}).forEach(key => {
+    delete doc[key];
+  });
+  return doc;
+}
+
+/**
+ * Fields an upsert takes from its filter (plain equality conditions only)
+ */
+function filterDefaults(filter) {
+  return Object.fromEntries(Object.entries(filter).filter(([key, value]) =>
+    !key.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof Date || value instanceof mongoose.Types.ObjectId)));
+}
+
+// Stored ids are hex strings: structuredClone would strip the ObjectId prototype
+const newId = () => new mongoose.Types.ObjectId().toString();
+
+/**
+ * Back a mongoose model with an in-memory array of plain documents
+ * Stubs (with mock.method) the static methods services use; returns the array
+ * Stored documents are plain objects with string _ids; queries return copies,
+ * hydrated into mongoose documents unless .lean() is called
+ * defaults: fields added to inserted documents (e.g. schema defaults)
+ */
+export function useModelStore(mock, Model, docs = [], { defaults = {} } = {}) {
+  const copy = (doc) => (doc ? structuredClone(doc) : null);
+  const findIndex = (filter) => docs.findIndex(doc => matchesFilter(doc, filter));
+
+  const hydrate = (doc) => Model.hydrate(doc);
+  const documents = (result) => mockQuery(result, { hydrate });
+
+  mock.method(Model, 'findOne', (filter) => documents(copy(docs.find(doc => matchesFilter(doc, filter)))));
+  mock.method(Model, 'findById', (id) => documents(copy(docs.find(doc => sameValue(doc._id, id)))));
+  mock.method(Model, 'find', (filter) => documents(docs.filter(doc => matchesFilter(doc, filter)).map(copy)));
+  mock.method(Model, 'exists', (filter) => mockQuery(findIndex(filter) === -1 ? null : { _id: docs[findIndex(filter)]._id }));
+  mock.method(Model, 'countDocuments', (filter) => mockQuery(docs.filter(doc => matchesFilter(doc, filter)).length));
+
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => {
+    const index = findIndex(filter);
+    if (index === -1) {
+      if (!options.upsert) {
+        return mockQuery(null);
+      }
+      const inserted = applyUpdate({ _id: newId(), ...structuredClone(defaults), ...filterDefaults(filter) }, update, true);
+      docs.push(inserted);
+      return documents(options.new ? copy(inserted) : null);
+    }
+    const before = copy(docs[index]);
+    applyUpdate(docs[index], update, false);
+    return documents(options.new ? copy(docs[index]) : before);
+  });
+
+  mock.method(Model, 'updateOne', (filter, update, options = {}) => {
+    const index = findIndex(filter);
+    if (index === -1) {
+      if (options.upsert) {
+        docs.push(applyUpdate({ _id: newId(), ...structuredClone(defaults), ...filterDefaults(filter) }, update, true));
+      }
+      return mockQuery({ matchedCount: 0, modifiedCount: 0, upsertedCount: options.upsert ? 1 : 0 });
+    }
+    applyUpdate(docs[index], update, false);
+    return mockQuery({ matchedCount: 1, modifiedCount: 1 });
+  });
+
+  mock.method(Model, 'findOneAndReplace', (filter, replacement, options = {}) => {
+    const index = findIndex(filter);
+    if (index === -1) {
+      return mockQuery(null);
+    }
+    const before = copy(docs[index]);
+    docs[index] = { _id: docs[index]._id, ...structuredClone(replacement) };
+    return documents(options.new ? copy(docs[index]) : before);
+  });
+
+  mock.method(Model, 'findOneAndDelete', (filter) => {
+    const index = findIndex(filter);
+    return documents(index === -1 ? null : docs.splice(index, 1)[0]);
+  });
+
+  mock.method(Model, 'deleteMany', (filter) => {
+    const before = docs.length;
+    for (let index = docs.length - 1; index >= 0; index -= 1) {
+      if (matchesFilter(docs[index], filter)) {
+        docs.splice(index, 1);
+      }
+    }
+    return mockQuery({ deletedCount: before - docs.length });
+  });
+
+  mock.method(Model, 'create', async (doc) => {
+    const created = { _id: newId(), ...structuredClone(defaults), ...doc };
+    docs.push(created);
+    return hydrate(copy(created));
+  });
+
+  return docs;
+}
+
+/**
+ * Minimal Express response recording status, headers and body
+ */
+export function mockResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    on() {
+      return res;
+    }
+  };
+  return res;
+}
+
+/**
+ * Run a middleware or handler and resolve with the error passed to next (or undefined)
+ * Resolves as well once the handler sends a response (res.json); rejects when it does
+ * neither within timeoutMs
+ */
+export function runMiddleware(middleware, req, res = mockResponse(), { timeoutMs = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Middleware neither called next nor responded')), timeoutMs);
+    const finish = (error) => {
+      clearTimeout(timer);
+      resolve(error);
+    };
+
+    const json = res.json;
+    res.json = (body) => {
+      const result = json.call(res, body);
+      finish(undefined);
+      return result;
+    };
+
+    Promise.resolve(middleware(req, res, finish)).catch(error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Find the route of a request; ':name' segments match any segment and are passed as params
+ */
+function findRoute(routes, method, pathname) {
+  if (routes[`${method} ${pathname}`]) {
+    return { handler: routes[`${method} ${pathname}`], params: {} };
+  }
+
+  const segments = pathname.split('/');
+  for (const [route, handler] of Object.entries(routes)) {
+    const [routeMethod, routePath] = route.split(' ');
+    const routeSegments = routePath.split('/');
+    if (routeMethod !== method || routeSegments.length !== segments.length) {
+      continue;
+    }
+    const params = {};
+    const matched = routeSegments.every((segment, index) => {
+      if (segment.startsWith(':')) {
+        params[segment.slice(1)] = decodeURIComponent(segments[index]);
+        return true;
+      }
+      return segment === segments[index];
+    });
+    if (matched) {
+      return { handler, params };
+    }
+  }
+  return null;
+}
+
+/**
+ * Start a fake Keycloak on 127.0.0.1
+ * routes: { 'METHOD /path/:param': ({ body, query, params, headers }) => ({ status, body, headers }) | body }
+ * Resolves with { url, requests, close }
+ */
+export async function startFakeKeycloak(routes) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      let body;
+      try {
+        body = raw && req.headers['content-type']?.includes('json') ? JSON.parse(raw) : Object.fromEntries(new URLSearchParams(raw));
+      } catch (error) {
+        body = raw;
+      }
+      requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+
+      const route = findRoute(routes, req.method, url.pathname);
+      if (!route) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'not found' }));
+      }
+
+      const result = await route.handler({
+        body,
+        query: Object.fromEntries(url.searchParams),
+        params: route.params,
+        headers: req.headers
+      });
+      const { status = 200, body: responseBody, headers = {} } = result && 'status' in result ? result : { body: result };
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(responseBody === undefined ? '' : JSON.stringify(responseBody));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * RSA signing key with its public JWK
+ */
+export function createSigningKey(kid = crypto.randomUUID()) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return {
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }
+  };
+}
+
+/**
+ * Sign an RS256 token with a signing key
+ */
+export function signToken(payload, key, options = {}) {
+  return jwt.sign(payload, key.privateKey, { algorithm: 'RS256', keyid: key.kid, expiresIn: '5m', ...options });
+}
+
+/**
+ * Configure a single trusted realm served by a fake Keycloak
+ * Must run before the first getRealms() of the test process (realms are parsed once)
+ */
+export function useRealm(keycloakUrl, { realm = 'test', clientId = 'test-app', ...rest } = {}) {
+  process.env.KEYCLOAK_REALMS = JSON.stringify([{ realm, url: keycloakUrl, clientId, ...rest }]);
+  return { realm, clientId, issuer: `${keycloakUrl}/realms/${realm}` };
+}
@@ -0,0 +1,68 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { useModelStore, mockResponse, runMiddleware } from './helpers.js';
+import User from '../models/user.js';
+import logger from '../utils/logger.js';
+import { applyImpersonation } from '../middleware/impersonation.js';
+
+describe('applyImpersonation', () => {
+  const caller = (roles) => ({
+    keycloakId: 'caller-1',
+    realm: 'test',
+    principalType: 'user',
+    username: 'caller',
+    roles,
+    clientRoles: []
+  });
+
+  const request = (user, target = 'victim-1') => ({
+    method: 'GET',
+    originalUrl: '/api/users/me',
+    headers: { 'x-impersonate-user': target },
+    user,
+    log: logger
+  });
+
+  beforeEach(() => {
+    mock.restoreAll();
+    useModelStore(mock, User, [
+      { _id: '64b000000000000000000001', realm: 'test', keycloakId: 'victim-1', username: 'victim', email: 'victim@example.com', enabled: true, status: 'active', roles: ['user'] },
+      { _id: '64b000000000000000000002', realm: 'test', keycloakId: 'admin-1', username: 'boss', email: 'boss@example.com', enabled: true, status: 'active', roles: ['admin'] }
+    ]);
+  });
+
+  it('refuses callers without the impersonation role and keeps req.user', async () => {
+    const user = caller(['user']);
+    const req = request(user);
+    const res = mockResponse();
+
+    const error = await runMiddleware(applyImpersonation, req, res);
+
+    assert.equal(error.status, 403);
+    assert.equal(req.user, user);
+    assert.equal(req.user.keycloakId, 'caller-1');
+    assert.equal(req.user.impersonated, undefined);
+    assert.equal(res.headers['x-impersonated-by'], undefined);
+  });
+
+  it('switches to the target for impersonators', async () => {
+    const req = request(caller(['impersonator']));
+    const res = mockResponse();
+
+    assert.equal(await runMiddleware(applyImpersonation, req, res), undefined);
+
+    assert.equal(req.user.keycloakId, 'victim-1');
+    assert.equal(req.user.impersonated, true);
+    assert.equal(req.user.actor.keycloakId, 'caller-1');
+    assert.equal(res.headers['x-impersonated-by'], 'caller-1');
+  });
+
+  it('refuses to impersonate administrators', async () => {
+    const req = request(caller(['impersonator']), 'admin-1');
+
+    const error = await runMiddleware(applyImpersonation, req);
+
+    assert.equal(error.code, 'IMPERSONATION_NOT_ALLOWED');
+    assert.equal(req.user.keycloakId, 'caller-1');
+  });
+});
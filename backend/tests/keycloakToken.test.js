@@ -0,0 +1,69 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeKeycloak, createSigningKey, signToken, useModelStore, runMiddleware } from './helpers.js';
+import User from '../models/user.js';
+import RevokedToken from '../models/revokedToken.js';
+import { validateKeycloakToken } from '../middleware/keycloak.js';
+
+describe('validateKeycloakToken audience', () => {
+  const key = createSigningKey();
+  let keycloak;
+
+  before(async () => {
+    keycloak = await startFakeKeycloak({
+      'GET /realms/strict/protocol/openid-connect/certs': () => ({ keys: [key.jwk] }),
+      'GET /realms/lenient/protocol/openid-connect/certs': () => ({ keys: [key.jwk] })
+    });
+    process.env.KEYCLOAK_REALMS = JSON.stringify([
+      { realm: 'strict', url: keycloak.url, clientId: 'test-app' },
+      { realm: 'lenient', url: keycloak.url, clientId: 'test-app', allowAzpAudience: true }
+    ]);
+  });
+
+  after(() => keycloak.close());
+
+  beforeEach(() => {
+    mock.restoreAll();
+    useModelStore(mock, User);
+    useModelStore(mock, RevokedToken);
+  });
+
+  /**
+   * Run validateKeycloakToken with a token of the realm carrying the given claims
+   */
+  const verify = (realm, claims) => {
+    const token = signToken({ iss: `${keycloak.url}/realms/${realm}`, sub: 'user-1', ...claims }, key);
+    const req = { headers: { authorization: `Bearer ${token}` }, get: () => undefined };
+    return runMiddleware(validateKeycloakToken, req).then(error => ({ error, req }));
+  };
+
+  it('accepts a token for the client', async () => {
+    const { error, req } = await verify('strict', { aud: 'test-app', azp: 'test-app' });
+
+    assert.equal(error, undefined);
+    assert.equal(req.user.keycloakId, 'user-1');
+  });
+
+  it('rejects a token for another client of the realm', async () => {
+    const { error, req } = await verify('strict', { aud: 'other-app', azp: 'other-app' });
+
+    assert.equal(error.status, 401);
+    assert.equal(error.code, 'INVALID_TOKEN');
+    assert.equal(req.user, undefined);
+  });
+
+  it('rejects a token without the audience, even when issued to the client', async () => {
+    const { error } = await verify('strict', { aud: 'account', azp: 'test-app' });
+    assert.equal(error.code, 'INVALID_TOKEN');
+  });
+
+  it('accepts a token issued to the client when allowAzpAudience is set', async () => {
+    const { error } = await verify('lenient', { aud: 'account', azp: 'test-app' });
+    assert.equal(error, undefined);
+  });
+
+  it('still rejects tokens of other clients when allowAzpAudience is set', async () => {
+    const { error } = await verify('lenient', { aud: 'account', azp: 'other-app' });
+    assert.equal(error.code, 'INVALID_TOKEN');
+  });
+});
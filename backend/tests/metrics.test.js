@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { httpMetrics } from '../middleware/metrics.js';
+import { httpRequestsTotal } from '../utils/metrics.js';
+import { UnauthorizedError, toProblem } from '../utils/errors.js';
+
+/**
+ * Current http_requests_total value for a label set (0 when the series does not exist)
+ */
+function requestCount(method, route, status) {
+  const series = `http_requests_total{method="${method}",route="${route}",status="${status}"} `;
+  const line = httpRequestsTotal.render().split('\n').find(entry => entry.startsWith(series));
+  return line ? Number(line.slice(series.length)) : 0;
+}
+
+describe('httpMetrics', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const router = express.Router();
+    router.get('/ok/:id', (req, res) => res.json({ id: req.params.id }));
+    router.get('/fail/:id', (req, res, next) => next(new UnauthorizedError('Token expired')));
+
+    const app = express();
+    app.use(httpMetrics);
+    app.use('/api/users', router);
+    app.use((err, req, res, next) => {
+      const { status, problem } = toProblem(err);
+      res.status(status).json(problem);
+    });
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  /**
+   * Send a request and wait until the metrics of its response were recorded
+   */
+  const request = async (path) => {
+    const response = await fetch(`${baseUrl}${path}`);
+    await response.text();
+    await new Promise(resolve => setImmediate(resolve));
+    return response.status;
+  };
+
+  it('labels successful responses with the mounted route pattern', async () => {
+    const before = requestCount('GET', '/api/users/ok/:id', 200);
+
+    assert.equal(await request('/api/users/ok/42'), 200);
+    assert.equal(requestCount('GET', '/api/users/ok/:id', 200), before + 1);
+  });
+
+  it('keeps the mount path for responses sent by the error handler', async () => {
+    const before = requestCount('GET', '/api/users/fail/:id', 401);
+
+    assert.equal(await request('/api/users/fail/42'), 401);
+    assert.equal(requestCount('GET', '/api/users/fail/:id', 401), before + 1);
+    assert.equal(requestCount('GET', '/fail/:id', 401), 0);
+  });
+
+  it('labels requests that matched no route as unmatched', async () => {
+    const before = requestCount('GET', 'unmatched', 404);
+
+    assert.equal(await request('/api/nothing'), 404);
+    assert.equal(requestCount('GET', 'unmatched', 404), before + 1);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeKeycloak, useRealm, useModelStore } from './helpers.js';
+import User from '../models/user.js';
+import { updateUserProfile } from '../service/userService.js';
+import { getRealmByName } from '../config/realms.js';
+
+describe('updateUserProfile write-through to a fake Admin API', () => {
+  let keycloak;
+  let upstreamUser;
+  let putResponse;
+  let users;
+
+  before(async () => {
+    keycloak = await startFakeKeycloak({
+      'POST /realms/test/protocol/openid-connect/token': () => ({ access_token: 'admin-token', expires_in: 300 }),
+      'GET /admin/realms/test/users/:id': ({ params }) => (
+        params.id === upstreamUser.id ? { ...upstreamUser } : { status: 404, body: { error: 'User not found' } }
+      ),
+      'PUT /admin/realms/test/users/:id': ({ body }) => {
+        const response = putResponse();
+        if (!response) {
+          upstreamUser = body;
+          return { status: 204 };
+        }
+        return response;
+      }
+    });
+    useRealm(keycloak.url, { adminClientId: 'user-service-admin', adminClientSecret: 'admin-secret' });
+  });
+
+  after(() => keycloak.close());
+
+  beforeEach(() => {
+    mock.restoreAll();
+    delete process.env.PROFILE_WRITE_THROUGH;
+    keycloak.requests.length = 0;
+    upstreamUser = { id: 'alice', username: 'alice', email: 'alice@example.com', firstName: 'Alice', lastName: 'Smith', enabled: true };
+    putResponse = () => null;
+    users = useModelStore(mock, User, [{
+      _id: '64b000000000000000000001',
+      realm: 'test',
+      keycloakId: 'alice',
+      username: 'alice',
+      email: 'alice@example.com',
+      firstName: 'Alice',
+      lastName: 'Smith',
+      enabled: true
+    }]);
+  });
+
+  const writes = () => keycloak.requests.filter(request => request.method === 'PUT');
+
+  it('writes names to Keycloak, then to MongoDB', async () => {
+    const user = await updateUserProfile('alice', 'test', { firstName: 'Alicia', phoneNumber: '+100' });
+
+    assert.equal(user.firstName, 'Alicia');
+    assert.equal(users[0].firstName, 'Alicia');
+    assert.equal(users[0].phoneNumber, '+100');
+    assert.ok(users[0].profileUpdatedAt instanceof Date);
+    // The full representation is sent back, with only the edited field changed
+    assert.deepEqual(writes()[0].body, { ...upstreamUser, firstName: 'Alicia' });
+    assert.equal(upstreamUser.firstName, 'Alicia');
+  });
+
+  it('does not call Keycloak for fields it does not own', async () => {
+    await updateUserProfile('alice', 'test', { phoneNumber: '+100' });
+
+    assert.equal(keycloak.requests.filter(request => request.path.startsWith('/admin')).length, 0);
+    assert.equal(users[0].phoneNumber, '+100');
+  });
+
+  it('maps a Keycloak conflict to 409 and leaves MongoDB unchanged', async () => {
+    putResponse = () => ({ status: 409, body: { errorMessage: 'User exists with same email' } });
+
+    await assert.rejects(updateUserProfile('alice', 'test', { firstName: 'Alicia' }), (error) => {
+      assert.equal(error.status, 409);
+      assert.equal(error.code, 'KEYCLOAK_CONFLICT');
+      return true;
+    });
+    assert.equal(users[0].firstName, 'Alice');
+  });
+
+  it('maps a Keycloak validation error to 400', async () => {
+    putResponse = () => ({ status: 400, body: { errorMessage: 'invalid firstName' } });
+
+    await assert.rejects(updateUserProfile('alice', 'test', { lastName: 'x' }), { status: 400, code: 'KEYCLOAK_REJECTED' });
+    assert.equal(users[0].lastName, 'Smith');
+  });
+
+  it('maps a Keycloak outage to UpstreamError (502)', async () => {
+    putResponse = () => ({ status: 503, body: { error: 'unavailable' } });
+
+    await assert.rejects(updateUserProfile('alice', 'test', { firstName: 'Alicia' }), (error) => {
+      assert.equal(error.name, 'UpstreamError');
+      assert.equal(error.status, 502);
+      assert.equal(error.code, 'KEYCLOAK_UNAVAILABLE');
+      return true;
+    });
+    assert.equal(users[0].firstName, 'Alice');
+  });
+
+  it('rolls the Keycloak change back when MongoDB fails', async () => {
+    mock.method(User, 'findOneAndUpdate', () => {
+      throw new Error('connection lost');
+    });
+
+    await assert.rejects(updateUserProfile('alice', 'test', { firstName: 'Alicia' }), /connection lost/);
+
+    assert.equal(writes().length, 2);
+    assert.equal(writes()[0].body.firstName, 'Alicia');
+    assert.equal(writes()[1].body.firstName, 'Alice');
+    assert.equal(upstreamUser.firstName, 'Alice');
+  });
+
+  it('only updates MongoDB when write-through is off', async () => {
+    process.env.PROFILE_WRITE_THROUGH = 'false';
+
+    await updateUserProfile('alice', 'test', { firstName: 'Alicia' });
+
+    assert.equal(writes().length, 0);
+    assert.equal(users[0].firstName, 'Alicia');
+  });
+
+  it('only updates MongoDB when the realm has no admin credentials', async () => {
+    const realm = getRealmByName('test');
+    const { adminClientSecret } = realm;
+    delete realm.adminClientSecret;
+    try {
+      await updateUserProfile('alice', 'test', { firstName: 'Alicia' });
+    } finally {
+      realm.adminClientSecret = adminClientSecret;
+    }
+
+    assert.equal(writes().length, 0);
+    assert.equal(users[0].firstName, 'Alicia');
+  });
+
+  it('answers 404 for unknown users without calling Keycloak', async () => {
+    await assert.rejects(updateUserProfile('nobody', 'test', { firstName: 'X' }), { status: 404, code: 'USER_NOT_FOUND' });
+    assert.equal(writes().length, 0);
+  });
+});
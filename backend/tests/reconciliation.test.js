@@ -0,0 +1,240 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeKeycloak, useRealm, useModelStore } from './helpers.js';
+import User from '../models/user.js';
+import RoleChange from '../models/roleChange.js';
+import RevokedToken from '../models/revokedToken.js';
+import ReconciliationRun from '../models/reconciliationRun.js';
+import { reconcileRealm } from '../service/reconciliationService.js';
+
+const USER_DEFAULTS = { status: 'active', enabled: true, roles: [], clientRoles: [], groups: [] };
+
+/**
+ * Keycloak UserRepresentation
+ */
+const keycloakUser = (id, fields = {}) => ({
+  id,
+  username: id,
+  email: `${id}@example.com`,
+  firstName: 'First',
+  lastName: 'Last',
+  enabled: true,
+  emailVerified: true,
+  ...fields
+});
+
+/**
+ * Local user in sync with keycloakUser(id)
+ */
+const localUser = (id, fields = {}) => ({
+  _id: `${id.padEnd(24, '0')}`.slice(0, 24),
+  realm: 'test',
+  keycloakId: id,
+  username: id,
+  email: `${id}@example.com`,
+  firstName: 'First',
+  lastName: 'Last',
+  enabled: true,
+  emailVerified: true,
+  status: 'active',
+  roles: ['user'],
+  clientRoles: [],
+  groups: ['/staff'],
+  ...fields
+});
+
+describe('reconcileRealm against a fake Admin API', () => {
+  let keycloak;
+  let upstreamUsers;
+  let users;
+  let roleChanges;
+  let revocations;
+  let onListed;
+
+  before(async () => {
+    keycloak = await startFakeKeycloak({
+      'POST /realms/test/protocol/openid-connect/token': ({ body }) => (
+        body.client_secret === 'admin-secret'
+          ? { access_token: 'admin-token', expires_in: 300 }
+          : { status: 401, body: { error: 'unauthorized_client' } }
+      ),
+      'GET /admin/realms/test/users': ({ query }) => {
+        const first = Number(query.first);
+        const page = upstreamUsers.slice(first, first + Number(query.max));
+        onListed(first);
+        return page;
+      },
+      'GET /admin/realms/test/users/:id': ({ params }) => (
+        upstreamUsers.find(user => user.id === params.id) || { status: 404, body: { error: 'User not found' } }
+      ),
+      'GET /admin/realms/test/users/:id/role-mappings/realm/composite': () => [{ name: 'user' }],
+      'GET /admin/realms/test/clients': ({ query }) => (query.clientId === 'test-app' ? [{ id: 'client-uuid', clientId: 'test-app' }] : []),
+      'GET /admin/realms/test/users/:id/role-mappings/clients/client-uuid/composite': () => [],
+      'GET /admin/realms/test/users/:id/groups': () => [{ path: '/staff' }]
+    });
+    useRealm(keycloak.url, { adminClientId: 'user-service-admin', adminClientSecret: 'admin-secret' });
+  });
+
+  after(() => keycloak.close());
+
+  beforeEach(() => {
+    mock.restoreAll();
+    keycloak.requests.length = 0;
+    upstreamUsers = [];
+    onListed = () => {};
+    users = useModelStore(mock, User, [], { defaults: USER_DEFAULTS });
+    roleChanges = useModelStore(mock, RoleChange);
+    revocations = useModelStore(mock, RevokedToken);
+    mock.method(ReconciliationRun.prototype, 'save', async function save() {
+      return this;
+    });
+  });
+
+  const userListRequests = () => keycloak.requests.filter(request => request.path === '/admin/realms/test/users');
+
+  it('creates users missing locally, with their roles and groups', async () => {
+    upstreamUsers = [keycloakUser('alice')];
+
+    const run = await reconcileRealm('test');
+
+    assert.equal(run.status, 'completed');
+    assert.equal(run.counts.created, 1);
+    assert.equal(users.length, 1);
+    assert.equal(users[0].email, 'alice@example.com');
+    assert.deepEqual(users[0].roles, ['user']);
+    assert.deepEqual(users[0].groups, ['/staff']);
+    assert.equal(run.drift[0].action, 'created');
+  });
+
+  it('updates users whose fields drifted', async () => {
+    upstreamUsers = [keycloakUser('bob', { firstName: 'Robert' })];
+    users.push(localUser('bob'));
+
+    const run = await reconcileRealm('test');
+
+    assert.equal(run.counts.updated, 1);
+    assert.equal(users[0].firstName, 'Robert');
+    assert.deepEqual(run.drift[0].changes.firstName, { from: 'First', to: 'Robert' });
+    assert.equal(revocations.length, 0);
+  });
+
+  it('mirrors role changes into the role history', async () => {
+    upstreamUsers = [keycloakUser('bob')];
+    users.push(localUser('bob', { roles: ['user', 'admin'] }));
+
+    const run = await reconcileRealm('test');
+
+    assert.equal(run.counts.updated, 1);
+    assert.deepEqual(users[0].roles, ['user']);
+    assert.equal(roleChanges.length, 1);
+    assert.deepEqual(roleChanges[0].roles, { added: [], removed: ['admin'] });
+  });
+
+  it('leaves users in sync alone', async () => {
+    upstreamUsers = [keycloakUser('carol')];
+    users.push(localUser('carol'));
+
+    const run = await reconcileRealm('test');
+
+    assert.deepEqual({ ...run.counts }, { scanned: 1, created: 0, updated: 0, disabled: 0, skipped: 0 });
+    assert.equal(run.drift.length, 0);
+  });
+
+  it('disables users disabled upstream and revokes their tokens', async () => {
+    upstreamUsers = [keycloakUser('dave', { enabled: false })];
+    users.push(localUser('dave'));
+
+    const run = await reconcileRealm('test');
+
+    assert.equal(run.counts.updated, 1);
+    assert.equal(users[0].enabled, false);
+    assert.deepEqual(revocations.map(({ type, value, reason }) => ({ type, value, reason })), [
+      { type: 'sub', value: 'dave', reason: 'user_disabled' }
+    ]);
+  });
+
+  it('disables users deleted upstream and revokes their tokens', async () => {
+    upstreamUsers = [keycloakUser('alice')];
+    users.push(localUser('alice'), localUser('erin'));
+
+    const run = await reconcileRealm('test');
+
+    const erin = users.find(user => user.keycloakId === 'erin');
+    assert.equal(run.counts.disabled, 1);
+    assert.equal(erin.enabled, false);
+    assert.ok(erin.keycloakDeletedAt);
+    assert.deepEqual(run.drift.map(entry => [entry.keycloakId, entry.action]), [['erin', 'disabled']]);
+    assert.deepEqual(revocations.map(({ value, reason }) => [value, reason]), [['erin', 'user_deleted']]);
+  });
+
+  it('re-enables users flagged as deleted that show up again', async () => {
+    upstreamUsers = [keycloakUser('erin')];
+    users.push(localUser('erin', { enabled: false, keycloakDeletedAt: new Date(Date.now() - 60 * 60 * 1000) }));
+
+    const run = await reconcileRealm('test');
+
+    assert.equal(run.counts.updated, 1);
+    assert.equal(users[0].enabled, true);
+    assert.equal(users[0].keycloakDeletedAt, undefined);
+    assert.ok(run.drift[0].changes.keycloakDeletedAt);
+  });
+
+  it('does not disable users skipped because the listing shifted during the run', async () => {
+    upstreamUsers = Array.from({ length: 150 }, (_, index) => keycloakUser(`user-${index}`));
+    users.push(...upstreamUsers.map(user => localUser(user.id)));
+    // user-0 is deleted after the first page was read: user-100 moves to the first page and is never listed
+    onListed = (first) => {
+      if (first === 0) {
+        upstreamUsers = upstreamUsers.slice(1);
+      }
+    };
+
+    const run = await reconcileRealm('test');
+
+    const user100 = users.find(user => user.keycloakId === 'user-100');
+    assert.equal(run.status, 'completed');
+    assert.equal(run.counts.disabled, 0);
+    assert.equal(user100.enabled, true);
+    assert.equal(user100.keycloakDeletedAt, undefined);
+    assert.equal(revocations.length, 0);
+    assert.equal(keycloak.requests.filter(request => request.path === '/admin/realms/test/users/user-100').length, 1);
+  });
+
+  it('pages through every user', async () => {
+    upstreamUsers = Array.from({ length: 150 }, (_, index) => keycloakUser(`user-${index}`));
+
+    const run = await reconcileRealm('test');
+
+    assert.equal(run.counts.scanned, 150);
+    assert.equal(run.counts.created, 150);
+    assert.deepEqual(userListRequests().map(request => [request.query.first, request.query.max]), [['0', '100'], ['100', '100']]);
+    assert.equal(keycloak.requests.find(request => request.path.startsWith('/admin')).headers.authorization, 'Bearer admin-token');
+  });
+
+  it('only reports drift in dry-run mode', async () => {
+    upstreamUsers = [keycloakUser('alice'), keycloakUser('bob', { lastName: 'Changed' })];
+    users.push(localUser('bob'), localUser('erin'));
+
+    const run = await reconcileRealm('test', { dryRun: true });
+
+    assert.deepEqual({ created: run.counts.created, updated: run.counts.updated, disabled: run.counts.disabled }, { created: 1, updated: 1, disabled: 1 });
+    assert.equal(users.length, 2);
+    assert.equal(users[0].lastName, 'Last');
+    assert.equal(users[1].enabled, true);
+    assert.equal(revocations.length, 0);
+  });
+
+  it('refuses to disable everyone when Keycloak lists no users', async () => {
+    users.push(localUser('alice'));
+
+    const run = await reconcileRealm('test');
+
+    assert.equal(run.status, 'failed');
+    assert.match(run.error, /refusing to disable/);
+    assert.equal(users[0].enabled, true);
+  });
+
+  it('rejects unknown realms with a typed error', async () => {
+    await assert.rejects(reconcileRealm('nope'), { status: 404, code: 'UNKNOWN_REALM' });
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockQuery } from './helpers.js';
+import Session from '../models/session.js';
+import RevokedToken from '../models/revokedToken.js';
+import { recordSession, revokeSession, forgetSession, getThrottledSessionCount } from '../service/sessionService.js';
+
+const MINUTE = 60 * 1000;
+
+describe('session throttle', () => {
+  let now;
+  let writes;
+
+  const touch = (sid) => recordSession({ realm: 'test', keycloakId: 'user-1', sid });
+
+  beforeEach(() => {
+    mock.restoreAll();
+    // Far from earlier tests, so their entries are all stale
+    now = (now || Date.now()) + 10 * MINUTE;
+    writes = 0;
+    mock.method(Date, 'now', () => now);
+    mock.method(Session, 'findOneAndUpdate', (filter) => {
+      writes += 1;
+      // An existing session - no login audit entry
+      return mockQuery({ sid: filter.sid, firstSeenAt: new Date(0) });
+    });
+    mock.method(RevokedToken, 'updateOne', () => mockQuery({ acknowledged: true }));
+  });
+
+  it('writes a session at most once per interval', async () => {
+    await touch('a');
+    await touch('a');
+    now += MINUTE - 1;
+    await touch('a');
+    assert.equal(writes, 1);
+
+    now += 1;
+    await touch('a');
+    assert.equal(writes, 2);
+  });
+
+  it('prunes entries older than the interval', async () => {
+    await touch('a');
+    await touch('b');
+    await touch('c');
+    assert.equal(getThrottledSessionCount(), 3);
+
+    now += MINUTE;
+    await touch('d');
+    assert.equal(getThrottledSessionCount(), 1);
+  });
+
+  it('keeps recently touched entries while pruning older ones', async () => {
+    await touch('a');
+    now += MINUTE / 2;
+    await touch('b');
+    now += MINUTE / 2;
+    // a is stale, b is not
+    await touch('c');
+    assert.equal(getThrottledSessionCount(), 2);
+    await touch('b');
+    assert.equal(writes, 3);
+  });
+
+  it('forgets sessions on logout and revocation', async () => {
+    await touch('a');
+    await touch('b');
+
+    forgetSession('test', 'a');
+    assert.equal(getThrottledSessionCount(), 1);
+
+    await revokeSession('user-1', 'test', 'b');
+    assert.equal(getThrottledSessionCount(), 0);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Pagination Cursors
+ *
+ * Why needed:
+ * - skip/limit gets slower with every page and shifts when users are added or removed
+ * - Keyset pagination continues from the last row seen instead, using an index
+ *
+ * How it works:
+ * - A cursor is base64url JSON: { sort, order, value, id (ObjectId), direction }
+ *   - value and id are the sort key and _id of the row to continue from
+ *   - direction is 'next' (rows after it) or 'prev' (rows before it)
+ * - Clients treat cursors as opaque strings; decodeCursor() returns null for anything malformed
+ * - keysetCondition() builds the MongoDB condition "after (value, id)" for a sort,
+ *   placing null/missing values where MongoDB sorts them (before every other value)
+ */
+
+export const CURSOR_DIRECTIONS = ['next', 'prev'];
+
+/**
+ * Encode a cursor
+ */
+export function encodeCursor({ sort, order, value, id, direction }) {
+  const payload = { sort, order, value: value ?? null, id: String(id), direction };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor, or null when it is not one of ours
+ */
+export function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const valid = payload
+      && typeof payload.sort === 'string'
+      && ['asc', 'desc'].includes(payload.order)
+      && /^[a-f0-9]{24}$/i.test(payload.id)
+      && CURSOR_DIRECTIONS.includes(payload.direction)
+      && (payload.value === null || ['string', 'number', 'boolean'].includes(typeof payload.value));
+    return valid ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * MongoDB condition matching rows after (value, id) in { [field]: dir, _id: dir } order
+ * dir: 1 (ascending) or -1 (descending)
+ */
+export function keysetCondition(field, dir, value, id) {
+  const op = dir === 1 ? '$gt' : '$lt';
+
+  if (value === null || value === undefined) {
+    // Nulls sort first: ascending continues with the remaining nulls, then every set value
+    return dir === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [
+    { [field]: { [op]: value } },
+    { [field]: value, _id: { [op]: id } }
+  ];
+  if (dir === -1) {
+    // Descending ends with the nulls
+    conditions.push({ [field]: null });
+  }
+  return { $or: conditions };
+}
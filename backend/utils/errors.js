@@ -0,0 +1,172 @@
+import http from 'http';
+
+/**
+ * Errors
+ *
+ * Why needed:
+ * - Controllers used to guess status codes from error messages, which broke
+ *   as soon as a service prefixed the message ("Failed to get user: User not found")
+ * - Clients need stable machine-readable codes, not message text
+ *
+ * How it works:
+ * - Services and middleware throw (or pass to next) an AppError subclass:
+ *   ValidationError 400, UnauthorizedError 401, ForbiddenError 403, NotFoundError 404,
+ *   ConflictError 409, TooManyRequestsError 429, UpstreamError 502
+ * - Each carries status, a stable code (e.g. USER_NOT_FOUND), optional details and headers
+ * - wrapError() adds context to unexpected errors but lets AppErrors through untouched
+ * - toProblem() turns any error into an RFC 7807 problem document; the error handler
+ *   in server.js sends it as application/problem+json
+ * - Anything that is not an AppError is a 500 INTERNAL_ERROR and its message is not exposed
+ */
+
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+// Problem type URIs are "<base><code-in-kebab-case>"
+const DEFAULT_PROBLEM_TYPE_BASE = 'urn:problem-type:';
+
+/**
+ * Base class of all errors with an HTTP mapping
+ * options: { code, details, headers, cause }
+ */
+export class AppError extends Error {
+  constructor(message, status = 500, { code = 'INTERNAL_ERROR', details, headers, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+/**
+ * 400 - invalid input; details.errors lists the invalid fields
+ */
+export class ValidationError extends AppError {
+  constructor(message = 'Validation failed', options = {}) {
+    super(message, 400, { code: 'VALIDATION_FAILED', ...options });
+  }
+}
+
+/**
+ * 401 - missing, invalid, expired or revoked credentials
+ */
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', options = {}) {
+    super(message, 401, { code: 'UNAUTHORIZED', ...options });
+  }
+}
+
+/**
+ * 403 - authenticated but not allowed
+ */
+export class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', options = {}) {
+    super(message, 403, { code: 'FORBIDDEN', ...options });
+  }
+}
+
+/**
+ * 404 - resource does not exist (in the caller's realm)
+ */
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, 404, { code: 'NOT_FOUND', ...options });
+  }
+}
+
+/**
+ * 409 - conflicts with the current state
+ */
+export class ConflictError extends AppError {
+  constructor(message = 'Conflict', options = {}) {
+    super(message, 409, { code: 'CONFLICT', ...options });
+  }
+}
+
+/**
+ * 429 - rate limit exceeded
+ */
+export class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', options = {}) {
+    super(message, 429, { code: 'RATE_LIMITED', ...options });
+  }
+}
+
+/**
+ * 502 - a dependency (Keycloak) failed or is unreachable
+ */
+export class UpstreamError extends AppError {
+  constructor(message = 'Upstream service unavailable', options = {}) {
+    super(message, 502, { code: 'UPSTREAM_UNAVAILABLE', ...options });
+  }
+}
+
+/**
+ * Add context to an unexpected error; AppErrors are returned as they are
+ */
+export function wrapError(error, message) {
+  if (error instanceof AppError) {
+    return error;
+  }
+  return new Error(`${message}: ${error.message}`, { cause: error });
+}
+
+// Errors raised by express.json/urlencoded (body-parser)
+const BODY_PARSER_CODES = {
+  'entity.parse.failed': 'INVALID_JSON',
+  'entity.too.large': 'PAYLOAD_TOO_LARGE',
+  'encoding.unsupported': 'UNSUPPORTED_ENCODING',
+  'charset.unsupported': 'UNSUPPORTED_ENCODING'
+};
+
+/**
+ * Problem type URI of a code
+ */
+function getProblemType(code) {
+  const base = process.env.PROBLEM_TYPE_BASE_URL || DEFAULT_PROBLEM_TYPE_BASE;
+  return `${base}${code.toLowerCase().replace(/_/g, '-')}`;
+}
+
+/**
+ * Map any error to an RFC 7807 problem document
+ * Returns { status, headers, problem }
+ */
+export function toProblem(error) {
+  let status = 500;
+  let code = 'INTERNAL_ERROR';
+  let detail = 'Internal Server Error';
+  let details;
+  let headers;
+
+  if (error instanceof AppError) {
+    ({ status, code, details, headers } = error);
+    detail = error.message;
+  } else if (BODY_PARSER_CODES[error.type] && error.status >= 400 && error.status < 500) {
+    status = error.status;
+    code = BODY_PARSER_CODES[error.type];
+    detail = error.message;
+  } else if (error.expose && error.status >= 400 && error.status < 500) {
+    // Client errors from Express internals (http-errors)
+    status = error.status;
+    code = (http.STATUS_CODES[status] || 'Bad Request').toUpperCase().replace(/\W+/g, '_');
+    detail = error.message;
+  }
+
+  return {
+    status,
+    headers,
+    problem: {
+      type: getProblemType(code),
+      title: http.STATUS_CODES[status] || 'Error',
+      status,
+      detail,
+      code,
+      ...details,
+      // Kept for clients written against the { success, message, error } envelope
+      success: false,
+      message: detail,
+      error: code
+    }
+  };
+}
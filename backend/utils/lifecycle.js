@@ -0,0 +1,36 @@
+/**
+ * Process Lifecycle
+ *
+ * Why needed:
+ * - The HTTP server listens before MongoDB is connected and keeps answering while it shuts down
+ * - Readiness and the shutdown logic need to know which phase the process is in
+ *
+ * How it works:
+ * - starting: listening, dependencies not connected yet (not ready)
+ * - running: startup finished, traffic accepted
+ * - stopping: shutdown started, in-flight requests are drained (not ready)
+ */
+
+export const LIFECYCLE_STATES = ['starting', 'running', 'stopping'];
+
+let state = 'starting';
+
+/**
+ * Current lifecycle state
+ */
+export const getLifecycleState = () => state;
+
+/**
+ * Move to another lifecycle state
+ */
+export const setLifecycleState = (next) => {
+  if (!LIFECYCLE_STATES.includes(next)) {
+    throw new Error(`Unknown lifecycle state: ${next}`);
+  }
+  state = next;
+};
+
+/**
+ * Whether shutdown has started
+ */
+export const isStopping = () => state === 'stopping';
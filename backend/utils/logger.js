@@ -0,0 +1,121 @@
+/**
+ * Logger
+ *
+ * Why needed:
+ * - Log pipelines need one JSON object per line, not colored text
+ * - Secrets (tokens, API keys, passwords) must never reach the logs
+ *
+ * How it works:
+ * - logger.info('message', { fields }) writes {"time","level","msg",...fields} to stdout
+ *   (warn and error go to stderr)
+ * - logger.child({ requestId }) returns a logger that adds those fields to every line
+ * - Error objects are serialized with message, code, status and stack
+ * - Sensitive keys (authorization, cookie, x-api-key, ...) are replaced by "[REDACTED]"
+ * - LOG_LEVEL sets the minimum level (debug | info | warn | error, default info)
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Keys whose values are never logged (compared lowercase)
+const REDACTED_KEYS = new Set([
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'dpop',
+  'password',
+  'client_secret',
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'logout_token',
+  'token',
+  'key'
+]);
+
+const MAX_DEPTH = 6;
+
+/**
+ * Minimum level to write
+ * Read lazily so env vars loaded by dotenv are picked up
+ */
+function getMinLevel() {
+  return LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+}
+
+/**
+ * Serialize an Error
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    stack: error.stack
+  };
+}
+
+/**
+ * Copy a value for logging, redacting sensitive keys
+ */
+export function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = REDACTED_KEYS.has(key.toLowerCase()) ? '[REDACTED]' : redact(item, depth + 1);
+  });
+  return copy;
+}
+
+/**
+ * Build a logger that adds `bindings` to every line
+ */
+function createLogger(bindings = {}) {
+  const write = (level, msg, fields = {}) => {
+    if (LEVELS[level] < getMinLevel()) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...redact({ ...bindings, ...(fields instanceof Error ? { err: fields } : fields) })
+    };
+
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level, msg, logError: error.message });
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(line + '\n');
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (fields) => createLogger({ ...bindings, ...fields })
+  };
+}
+
+const logger = createLogger();
+
+export default logger;
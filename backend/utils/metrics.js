@@ -0,0 +1,237 @@
+/**
+ * Metrics
+ *
+ * Why needed:
+ * - Prometheus scrapes GET /metrics to chart traffic, latency and auth failures
+ *
+ * How it works:
+ * - Minimal registry of counters, histograms and gauges with labels
+ * - renderMetrics() produces the Prometheus text exposition format (0.0.4)
+ * - Gauges may have a collect() callback that refreshes them right before a scrape
+ * - Application metrics are defined at the bottom and imported where they are recorded
+ */
+
+// Default latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+/**
+ * Escape a label value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Stable key and text for a set of label values
+ */
+function formatLabels(labelNames, labels = {}, extra = '') {
+  const parts = labelNames.map(name => `${name}="${escapeLabel(labels[name] ?? '')}"`);
+  if (extra) {
+    parts.push(extra);
+  }
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value (Prometheus uses +Inf)
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Counter - only goes up
+ */
+export function createCounter({ name, help, labelNames = [] }) {
+  const values = new Map();
+
+  const metric = {
+    inc(labels = {}, value = 1) {
+      const key = formatLabels(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + value);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      values.forEach((value, key) => lines.push(`${name}${key} ${formatValue(value)}`));
+      return lines.join('\n');
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Gauge - set to the current value
+ * collect: optional async function called before each scrape
+ */
+export function createGauge({ name, help, labelNames = [], collect }) {
+  let values = new Map();
+
+  const metric = {
+    set(labels = {}, value) {
+      values.set(formatLabels(labelNames, labels), value);
+    },
+    reset() {
+      values = new Map();
+    },
+    async collect() {
+      if (collect) {
+        await collect(metric);
+      }
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      values.forEach((value, key) => lines.push(`${name}${key} ${formatValue(value)}`));
+      return lines.join('\n');
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Histogram - distribution of observed values (seconds)
+ */
+export function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  // label key -> { labels, counts per bucket, sum, count }
+  const series = new Map();
+
+  const metric = {
+    observe(labels = {}, value) {
+      const key = formatLabels(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    // Returns end(extraLabels) which observes the elapsed time
+    startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        metric.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach(entry => {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, entry.labels, `le="${bound}"`)} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, entry.labels, 'le="+Inf"')} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, entry.labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, entry.labels)} ${entry.count}`);
+      });
+      return lines.join('\n');
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Render every registered metric (collecting gauges first)
+ */
+export async function renderMetrics() {
+  await Promise.all(registry.filter(metric => metric.collect).map(metric => metric.collect()));
+  return registry.map(metric => metric.render()).join('\n\n') + '\n';
+}
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Application metrics
+ */
+
+// Process
+createGauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: gauge => gauge.set({}, process.memoryUsage().rss)
+});
+
+createGauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'V8 heap used in bytes',
+  collect: gauge => gauge.set({}, process.memoryUsage().heapUsed)
+});
+
+createGauge({
+  name: 'process_uptime_seconds',
+  help: 'Process uptime in seconds',
+  collect: gauge => gauge.set({}, Math.round(process.uptime()))
+});
+
+// HTTP
+export const httpRequestsTotal = createCounter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status']
+});
+
+export const httpRequestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status']
+});
+
+// Authentication
+export const tokenVerificationsTotal = createCounter({
+  name: 'auth_token_verifications_total',
+  help: 'Access token verification outcomes (success or error code, e.g. TOKEN_EXPIRED)',
+  labelNames: ['realm', 'outcome']
+});
+
+export const jwksFetchesTotal = createCounter({
+  name: 'jwks_fetches_total',
+  help: 'JWKS endpoint fetches by realm and result',
+  labelNames: ['realm', 'result']
+});
+
+export const jwksFetchDuration = createHistogram({
+  name: 'jwks_fetch_duration_seconds',
+  help: 'JWKS endpoint fetch latency by realm',
+  labelNames: ['realm', 'result']
+});
+
+// MongoDB
+export const dbOperationDuration = createHistogram({
+  name: 'db_operation_duration_seconds',
+  help: 'MongoDB operation latency by userService operation and outcome',
+  labelNames: ['operation', 'outcome']
+});
+
+/**
+ * Wrap an async database operation to record its duration
+ * Usage: export const getUser = withDbTiming('getUser', async (...) => { ... });
+ */
+export function withDbTiming(operation, fn) {
+  return async (...args) => {
+    const end = dbOperationDuration.startTimer({ operation });
+    try {
+      const result = await fn(...args);
+      end({ outcome: 'success' });
+      return result;
+    } catch (error) {
+      end({ outcome: 'error' });
+      throw error;
+    }
+  };
+}
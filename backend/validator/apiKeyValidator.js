@@ -0,0 +1,43 @@
+import { body } from 'express-validator';
+import { handleValidationErrors } from './userValidator.js';
+import { SCOPES } from '../config/scopes.js';
+
+/**
+ * API Key Validator
+ *
+ * Why needed:
+ * - Validates API key creation requests before they reach the service
+ * - Rejects unknown scopes and malformed expiry dates early
+ *
+ * How it works:
+ * - Uses express-validator rules, same as userValidator
+ * - Whether a scope may be granted to this caller is checked by the service
+ */
+
+/**
+ * Validation rules for API key creation
+ */
+export const validateCreateApiKey = [
+  body('name')
+    .isString()
+    .withMessage('Name is required')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  body('scopes')
+    .optional()
+    .isArray()
+    .withMessage('Scopes must be an array'),
+
+  body('scopes.*')
+    .isIn(Object.values(SCOPES))
+    .withMessage(`Scope must be one of: ${Object.values(SCOPES).join(', ')}`),
+
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be an ISO 8601 date'),
+
+  handleValidationErrors
+];
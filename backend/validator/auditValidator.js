@@ -0,0 +1,50 @@
+import { query } from 'express-validator';
+import { handleValidationErrors } from './userValidator.js';
+
+/**
+ * Audit Validator
+ *
+ * Why needed:
+ * - Validates audit log filters before they are turned into a MongoDB query
+ *
+ * How it works:
+ * - Uses express-validator rules, same as userValidator
+ * - from/to are converted to Date objects
+ */
+
+export const AUDIT_EXPORT_FORMATS = ['json', 'ndjson', 'csv'];
+
+/**
+ * Validation rules for GET /api/audit
+ */
+export const validateAuditQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+
+  query(['action', 'actor', 'target', 'requestId'])
+    .optional()
+    .isString()
+    .withMessage('Filters must be a single value')
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Filters must be between 1 and 255 characters'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be ISO 8601 dates')
+    .toDate(),
+
+  query('format')
+    .optional()
+    .isIn(AUDIT_EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${AUDIT_EXPORT_FORMATS.join(', ')}`),
+
+  handleValidationErrors
+];
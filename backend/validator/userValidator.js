@@ -1,4 +1,7 @@
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+import { ValidationError } from '../utils/errors.js';
+import { UPDATABLE_PROFILE_FIELDS } from '../service/userService.js';
+import { ACCOUNT_STATUSES } from '../models/user.js';
 
 /**
  * User Validator
@@ -12,9 +15,20 @@ import { body, validationResult } from 'express-validator';
  * How it works:
  * - Uses express-validator to define validation rules
  * - Checks data types, formats, and constraints
- * - Returns structured error responses
+ * - Rejects with a ValidationError listing every invalid field (400 problem response)
  */
 
+// GET /api/users: sortable fields (each backed by a { realm, <field> } index) and selectable fields
+export const USER_SORT_FIELDS = ['createdAt', 'lastLogin', 'email', 'username', 'lastName'];
+export const USER_SORT_ORDERS = ['asc', 'desc'];
+export const USER_PAGINATION_MODES = ['offset', 'cursor'];
+export const USER_SELECTABLE_FIELDS = [
+  'realm', 'keycloakId', 'email', 'username', 'firstName', 'lastName', 'enabled', 'emailVerified',
+  'roles', 'clientRoles', 'groups', 'profilePicture', 'phoneNumber', 'preferences',
+  'lastLogin', 'profileUpdatedAt', 'createdAt', 'updatedAt',
+  'status', 'deactivatedAt', 'deletionRequestedAt', 'purgeAfter', 'purgedAt'
+];
+
 /**
  * Handle validation errors
  * This middleware should be called after validation rules
@@ -23,15 +37,15 @@ export const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   
   if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors: errors.array().map(err => ({
-        field: err.path || err.param,
-        message: err.msg,
-        value: err.value
-      }))
-    });
+    return next(new ValidationError('Validation failed', {
+      details: {
+        errors: errors.array().map(err => ({
+          field: err.path || err.param,
+          message: err.msg,
+          value: err.value
+        }))
+      }
+    }));
   }
   
   next();
@@ -135,3 +149,160 @@ export const validateQueryParams = [
   handleValidationErrors
 ];
 
+/**
+ * Validation for GET /api/users query parameters
+ */
+export const validateListUsers = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('pagination')
+    .optional()
+    .isIn(USER_PAGINATION_MODES)
+    .withMessage('Pagination must be offset or cursor'),
+  
+  query('cursor')
+    .optional()
+    .isString()
+    .withMessage('Cursor must be a single value')
+    .isLength({ min: 1, max: 1024 })
+    .withMessage('Cursor must be between 1 and 1024 characters')
+    .custom((cursor, { req }) => req.query.page === undefined && req.query.pagination !== 'offset')
+    .withMessage('Cursor cannot be combined with page or pagination=offset'),
+  
+  query('includeTotal')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('includeTotal must be true or false')
+    .toBoolean(true),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query(['role', 'clientRole', 'group'])
+    .optional()
+    .isString()
+    .withMessage('Role and group filters must be a single value')
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Role and group filters must be between 1 and 255 characters'),
+  
+  query('search')
+    .optional()
+    .isString()
+    .withMessage('Search must be a single value')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search must be between 1 and 100 characters'),
+  
+  query(['enabled', 'emailVerified'])
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('enabled and emailVerified must be true or false')
+    .toBoolean(true),
+  
+  query('status')
+    .optional()
+    .isIn(ACCOUNT_STATUSES)
+    .withMessage(`Status must be one of: ${ACCOUNT_STATUSES.join(', ')}`),
+  
+  query(['createdFrom', 'createdTo', 'lastLoginFrom', 'lastLoginTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date filters must be ISO 8601 dates')
+    .toDate(),
+  
+  query('sort')
+    .optional()
+    .isIn(USER_SORT_FIELDS)
+    .withMessage(`Sort must be one of: ${USER_SORT_FIELDS.join(', ')}`),
+  
+  query('order')
+    .optional()
+    .isIn(USER_SORT_ORDERS)
+    .withMessage('Order must be asc or desc'),
+  
+  query('fields')
+    .optional()
+    .isString()
+    .withMessage('Fields must be a comma-separated list')
+    .customSanitizer(value => value.split(',').map(field => field.trim()).filter(Boolean))
+    .custom(fields => fields.length > 0 && fields.every(field => USER_SELECTABLE_FIELDS.includes(field)))
+    .withMessage(`Fields must be a comma-separated list of: ${USER_SELECTABLE_FIELDS.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation for the :id of admin user routes
+ */
+const userIdParam = param('id')
+  .isMongoId()
+  .withMessage('User ID must be a valid ID');
+
+/**
+ * Validation for POST /api/users/:id/disable and /enable
+ */
+export const validateUserId = [
+  userIdParam,
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation for PATCH /api/users/:id (admin profile edit)
+ * Unlike PUT /me, fields that cannot be changed are rejected instead of ignored
+ */
+export const validateAdminUpdateUser = [
+  userIdParam,
+  
+  body()
+    .custom(value => value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0)
+    .withMessage('Request body must be an object with at least one field')
+    .bail()
+    .custom(value => Object.keys(value).every(key => UPDATABLE_PROFILE_FIELDS.includes(key)))
+    .withMessage(`Only these fields can be changed: ${UPDATABLE_PROFILE_FIELDS.join(', ')}`),
+  
+  body(['firstName', 'lastName'])
+    .optional()
+    .isString()
+    .withMessage('Names must be strings')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Names must be between 1 and 50 characters'),
+  
+  body('phoneNumber')
+    .optional()
+    .matches(/^\+?[1-9]\d{1,14}$/)
+    .withMessage('Phone number must be in E.164 format'),
+  
+  body('profilePicture')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Profile picture must be an http(s) URL'),
+  
+  body('preferences')
+    .optional()
+    .isObject()
+    .withMessage('Preferences must be an object'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation for DELETE /api/users/:id
+ */
+export const validateDeleteUser = [
+  userIdParam,
+  
+  query('hard')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('hard must be true or false')
+    .toBoolean(true),
+  
+  handleValidationErrors
+];
@@ -0,0 +1,581 @@
+// Generated from backend/docs/openapi.js by backend/scripts/generateClient.js - do not edit.
+// Regenerate with: cd backend && npm run openapi:client
+import axios from 'axios';
+
+/**
+ * Keycloak User Service API client (OpenAPI 1.0.0)
+ *
+ * Every method resolves to the response body and rejects with the axios error
+ * (error.response.data holds a Problem: { type, title, status, detail, code, message, ... }).
+ */
+
+/**
+ * @typedef {Object} SuccessEnvelope
+ * @property {true} success
+ * @property {string} message
+ */
+
+/**
+ * RFC 7807 problem document
+ * @typedef {Object} Problem
+ * @property {string} type - Problem type URI, derived from code (e.g. urn:problem-type:token-expired)
+ * @property {string} title - HTTP status text
+ * @property {number} status
+ * @property {string} detail - Human-readable explanation
+ * @property {string} [instance] - Request path
+ * @property {string} code - Stable error code (e.g. TOKEN_EXPIRED, USER_NOT_FOUND)
+ * @property {string} [requestId] - X-Request-Id of the failed request
+ * @property {false} success
+ * @property {string} message - Same as detail (legacy envelope)
+ * @property {string} error - Same as code (legacy envelope)
+ */
+
+/**
+ * @typedef {Problem & { errors?: Array<{ field?: string, message?: string, value?: * }> }} ValidationProblem
+ */
+
+/**
+ * Offset pagination. total and pages are left out when includeTotal=false.
+ * @typedef {Object} Pagination
+ * @property {number} page
+ * @property {number} limit
+ * @property {number} [total]
+ * @property {number} [pages]
+ */
+
+/**
+ * Keyset pagination. Cursors and links are null when there is no page in that direction.
+ * @typedef {Object} CursorPagination
+ * @property {number} limit
+ * @property {(string|null)} nextCursor
+ * @property {(string|null)} prevCursor
+ * @property {(string|null)} next - Relative URL of the next page
+ * @property {(string|null)} prev - Relative URL of the previous page
+ * @property {number} [total] - Only with includeTotal=true
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {string} [_id]
+ * @property {string} [realm]
+ * @property {string} [keycloakId]
+ * @property {string} [email]
+ * @property {string} [username]
+ * @property {string} [firstName]
+ * @property {string} [lastName]
+ * @property {boolean} [enabled]
+ * @property {boolean} [emailVerified]
+ * @property {Array<string>} [roles]
+ * @property {Array<string>} [clientRoles]
+ * @property {Array<string>} [groups]
+ * @property {string} [profilePicture]
+ * @property {string} [phoneNumber]
+ * @property {Object<string, *>} [preferences]
+ * @property {string} [lastLogin]
+ * @property {string} [profileUpdatedAt]
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ * @property {"active"|"deactivated"|"pending_deletion"|"purged"} [status] - Account lifecycle state (enabled mirrors Keycloak)
+ * @property {string} [deactivatedAt]
+ * @property {string} [deletionRequestedAt]
+ * @property {string} [purgeAfter] - End of the grace period of a pending deletion
+ * @property {string} [purgedAt]
+ */
+
+/**
+ * @typedef {Object} AccountStatus
+ * @property {"active"|"deactivated"|"pending_deletion"|"purged"} [status]
+ * @property {string} [deactivatedAt]
+ * @property {string} [deletionRequestedAt]
+ * @property {string} [purgeAfter]
+ */
+
+/**
+ * @typedef {User & { tokenInfo?: { keycloakId?: string, realm?: string, email?: string, username?: string, roles?: Array<string>, clientRoles?: Array<string> }, impersonation?: { actor?: Actor } }} CurrentUser
+ */
+
+/**
+ * Returned by GET /api/users/me for client credentials tokens
+ * @typedef {Object} ServiceAccount
+ * @property {"service_account"} [principalType]
+ * @property {string} [keycloakId]
+ * @property {string} [realm]
+ * @property {string} [clientId]
+ * @property {string} [username]
+ * @property {Array<string>} [scopes]
+ * @property {Array<string>} [roles]
+ * @property {Array<string>} [clientRoles]
+ */
+
+/**
+ * @typedef {Object} Actor
+ * @property {string} [keycloakId]
+ * @property {string} [username]
+ * @property {string} [clientId]
+ * @property {"header"|"token_exchange"} [via]
+ */
+
+/**
+ * @typedef {Object} UserUpdate
+ * @property {string} [email]
+ * @property {string} [username]
+ * @property {string} [firstName]
+ * @property {string} [lastName]
+ * @property {string} [phoneNumber] - E.164
+ * @property {Object<string, *>} [preferences]
+ */
+
+/**
+ * At least one field; any other field is rejected
+ * @typedef {Object} AdminUserUpdate
+ * @property {string} [firstName]
+ * @property {string} [lastName]
+ * @property {string} [phoneNumber] - E.164
+ * @property {string} [profilePicture]
+ * @property {Object<string, *>} [preferences]
+ */
+
+/**
+ * @typedef {Object} LogoutResult
+ * @property {boolean} [revoked]
+ * @property {string} [timestamp]
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} [realm]
+ * @property {string} [keycloakId]
+ * @property {string} [sid]
+ * @property {string} [clientId]
+ * @property {string} [ip]
+ * @property {string} [userAgent]
+ * @property {string} [firstSeenAt]
+ * @property {string} [lastSeenAt]
+ * @property {string} [revokedAt]
+ * @property {boolean} [current] - Session of the token used for this request
+ */
+
+/**
+ * @typedef {Object} ApiKey
+ * @property {string} [id]
+ * @property {string} [realm]
+ * @property {string} [keycloakId]
+ * @property {string} [name]
+ * @property {string} [prefix]
+ * @property {Array<"users:read"|"profile:read"|"profile:write">} [scopes]
+ * @property {string} [expiresAt]
+ * @property {string} [revokedAt]
+ * @property {string} [lastUsedAt]
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ */
+
+/**
+ * @typedef {ApiKey & { key: string }} CreatedApiKey
+ */
+
+/**
+ * @typedef {Object} ApiKeyCreate
+ * @property {string} name
+ * @property {Array<"users:read"|"profile:read"|"profile:write">} [scopes]
+ * @property {string} [expiresAt]
+ */
+
+/**
+ * @typedef {Object} MembershipDiff
+ * @property {Array<string>} [added]
+ * @property {Array<string>} [removed]
+ */
+
+/**
+ * @typedef {Object} RoleChange
+ * @property {string} [realm]
+ * @property {string} [keycloakId]
+ * @property {"token"|"reconciliation"} [source]
+ * @property {MembershipDiff} [roles]
+ * @property {MembershipDiff} [clientRoles]
+ * @property {MembershipDiff} [groups]
+ * @property {string} [changedAt]
+ */
+
+/**
+ * @typedef {Object} ReconciliationRun
+ * @property {string} [_id]
+ * @property {string} [realm]
+ * @property {"schedule"|"admin"} [trigger]
+ * @property {string} [triggeredBy]
+ * @property {boolean} [dryRun]
+ * @property {"running"|"completed"|"failed"} [status]
+ * @property {string} [startedAt]
+ * @property {string} [finishedAt]
+ * @property {{ scanned?: number, created?: number, updated?: number, disabled?: number, skipped?: number }} [counts]
+ * @property {Array<Object<string, *>>} [drift]
+ * @property {boolean} [driftTruncated]
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} AuditEvent
+ * @property {string} [_id]
+ * @property {string} [realm]
+ * @property {string} [action]
+ * @property {{ keycloakId?: string, username?: string, clientId?: string, type?: string }} [actor]
+ * @property {{ keycloakId?: string, username?: string }} [target]
+ * @property {Object<string, *>} [changes]
+ * @property {string} [method]
+ * @property {string} [path]
+ * @property {number} [statusCode]
+ * @property {string} [ip]
+ * @property {string} [userAgent]
+ * @property {string} [requestId]
+ * @property {Object<string, *>} [details]
+ * @property {string} [createdAt]
+ */
+
+/**
+ * @typedef {Object<string, *>} WebhookResult
+ */
+
+/**
+ * @typedef {Object} HealthCheck
+ * @property {"up"|"down"} [status]
+ * @property {number} [latencyMs]
+ * @property {Object<string, *>} [details]
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} Liveness
+ * @property {boolean} [success]
+ * @property {"alive"} [status]
+ * @property {number} [uptimeSeconds]
+ * @property {string} [timestamp]
+ */
+
+/**
+ * @typedef {Object} Readiness
+ * @property {boolean} [success]
+ * @property {"ready"|"not_ready"} [status]
+ * @property {"starting"|"running"|"stopping"} [lifecycle]
+ * @property {{ config?: HealthCheck, mongodb?: HealthCheck, jwks?: HealthCheck & { realms?: Object<string, HealthCheck> } }} [checks]
+ * @property {string} [timestamp]
+ */
+
+/**
+ * Keep only the given keys that are set
+ */
+function pick(params, keys) {
+  return Object.fromEntries(keys.filter(key => params[key] !== undefined).map(key => [key, params[key]]));
+}
+
+/**
+ * Create an API client
+ * @param {Object} [options]
+ * @param {string} [options.baseURL] - Backend URL, e.g. http://localhost:5000
+ * @param {import('axios').AxiosInstance} [options.http] - axios instance (default: the global one and its interceptors)
+ */
+export const createApiClient = ({ baseURL = '', http = axios } = {}) => {
+  const request = async (method, url, { query, body, config = {} }) => {
+    const response = await http.request({ ...config, method, baseURL, url, params: query, data: body });
+    return response.data;
+  };
+
+  return {
+    /**
+     * User service health check
+     * GET /api/users/health
+     * @param {Object} [_params] - No parameters (every method takes params, config)
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: { database?: "connected"|"disconnected", timestamp?: string } }>}
+     */
+    getUserServiceHealth(_params, config) {
+      return request('get', '/api/users/health', { config });
+    },
+
+    /**
+     * Get the current user profile
+     * GET /api/users/me
+     * @param {Object} [_params] - No parameters (every method takes params, config)
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: (CurrentUser|ServiceAccount) }>}
+     */
+    getCurrentUser(_params, config) {
+      return request('get', '/api/users/me', { config });
+    },
+
+    /**
+     * Update the current user profile
+     * PUT /api/users/me
+     * @param {Object} params
+     * @param {UserUpdate} params.body - Request body
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: User }>}
+     */
+    updateCurrentUser(params, config) {
+      return request('put', '/api/users/me', { body: params.body, config });
+    },
+
+    /**
+     * Delete the current user after a grace period
+     * DELETE /api/users/me
+     * @param {Object} [_params] - No parameters (every method takes params, config)
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: AccountStatus }>}
+     */
+    deleteCurrentUser(_params, config) {
+      return request('delete', '/api/users/me', { config });
+    },
+
+    /**
+     * Deactivate the current user
+     * POST /api/users/me/deactivate
+     * @param {Object} [_params] - No parameters (every method takes params, config)
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: AccountStatus }>}
+     */
+    deactivateCurrentUser(_params, config) {
+      return request('post', '/api/users/me/deactivate', { config });
+    },
+
+    /**
+     * Reactivate the current user
+     * POST /api/users/me/reactivate
+     * @param {Object} [_params] - No parameters (every method takes params, config)
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: User }>}
+     */
+    reactivateCurrentUser(_params, config) {
+      return request('post', '/api/users/me/reactivate', { config });
+    },
+
+    /**
+     * Revoke the current token and session
+     * POST /api/users/logout
+     * @param {Object} [_params] - No parameters (every method takes params, config)
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: LogoutResult }>}
+     */
+    logout(_params, config) {
+      return request('post', '/api/users/logout', { config });
+    },
+
+    /**
+     * List own Keycloak sessions
+     * GET /api/users/me/sessions
+     * @param {Object} [_params] - No parameters (every method takes params, config)
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: Array<Session> }>}
+     */
+    listSessions(_params, config) {
+      return request('get', '/api/users/me/sessions', { config });
+    },
+
+    /**
+     * Revoke a session
+     * DELETE /api/users/me/sessions/{sid}
+     * @param {Object} params
+     * @param {string} params.sid
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: Session }>}
+     */
+    revokeSession(params, config) {
+      return request('delete', `/api/users/me/sessions/${encodeURIComponent(params.sid)}`, { config });
+    },
+
+    /**
+     * List own API keys
+     * GET /api/users/me/api-keys
+     * @param {Object} [_params] - No parameters (every method takes params, config)
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: Array<ApiKey> }>}
+     */
+    listApiKeys(_params, config) {
+      return request('get', '/api/users/me/api-keys', { config });
+    },
+
+    /**
+     * Create an API key (plaintext key returned once)
+     * POST /api/users/me/api-keys
+     * @param {Object} params
+     * @param {ApiKeyCreate} params.body - Request body
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: CreatedApiKey }>}
+     */
+    createApiKey(params, config) {
+      return request('post', '/api/users/me/api-keys', { body: params.body, config });
+    },
+
+    /**
+     * Revoke an API key
+     * DELETE /api/users/me/api-keys/{keyId}
+     * @param {Object} params
+     * @param {string} params.keyId
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: ApiKey }>}
+     */
+    revokeApiKey(params, config) {
+      return request('delete', `/api/users/me/api-keys/${encodeURIComponent(params.keyId)}`, { config });
+    },
+
+    /**
+     * Role and group change history of a user
+     * GET /api/users/{id}/role-history
+     * @param {Object} params
+     * @param {string} params.id - MongoDB id of the user
+     * @param {number} [params.page]
+     * @param {number} [params.limit]
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: Array<RoleChange>, pagination: Pagination }>}
+     */
+    getRoleHistory(params, config) {
+      return request('get', `/api/users/${encodeURIComponent(params.id)}/role-history`, { query: pick(params, ['page', 'limit']), config });
+    },
+
+    /**
+     * Get a user of the caller's realm
+     * GET /api/users/{id}
+     * @param {Object} params
+     * @param {string} params.id - MongoDB id of the user
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: User }>}
+     */
+    getUserById(params, config) {
+      return request('get', `/api/users/${encodeURIComponent(params.id)}`, { config });
+    },
+
+    /**
+     * Edit a user's profile
+     * PATCH /api/users/{id}
+     * @param {Object} params
+     * @param {string} params.id - MongoDB id of the user
+     * @param {AdminUserUpdate} params.body - Request body
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: User }>}
+     */
+    updateUser(params, config) {
+      return request('patch', `/api/users/${encodeURIComponent(params.id)}`, { body: params.body, config });
+    },
+
+    /**
+     * Delete a user
+     * DELETE /api/users/{id}
+     * @param {Object} params
+     * @param {string} params.id - MongoDB id of the user
+     * @param {boolean} [params.hard]
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: AccountStatus }>}
+     */
+    deleteUser(params, config) {
+      return request('delete', `/api/users/${encodeURIComponent(params.id)}`, { query: pick(params, ['hard']), config });
+    },
+
+    /**
+     * Reactivate a user
+     * POST /api/users/{id}/reactivate
+     * @param {Object} params
+     * @param {string} params.id - MongoDB id of the user
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: User }>}
+     */
+    reactivateUser(params, config) {
+      return request('post', `/api/users/${encodeURIComponent(params.id)}/reactivate`, { config });
+    },
+
+    /**
+     * Disable a user
+     * POST /api/users/{id}/disable
+     * @param {Object} params
+     * @param {string} params.id - MongoDB id of the user
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: User }>}
+     */
+    disableUser(params, config) {
+      return request('post', `/api/users/${encodeURIComponent(params.id)}/disable`, { config });
+    },
+
+    /**
+     * Re-enable a user
+     * POST /api/users/{id}/enable
+     * @param {Object} params
+     * @param {string} params.id - MongoDB id of the user
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: User }>}
+     */
+    enableUser(params, config) {
+      return request('post', `/api/users/${encodeURIComponent(params.id)}/enable`, { config });
+    },
+
+    /**
+     * List users of the caller's realm
+     * GET /api/users
+     * @param {Object} [params]
+     * @param {number} [params.page]
+     * @param {number} [params.limit]
+     * @param {string} [params.role] - Realm role
+     * @param {string} [params.clientRole] - Client role
+     * @param {string} [params.group] - Group path, e.g. /staff
+     * @param {string} [params.search] - Case-insensitive text matched against email, username, first and last name; every word must match
+     * @param {boolean} [params.enabled]
+     * @param {boolean} [params.emailVerified]
+     * @param {"active"|"deactivated"|"pending_deletion"|"purged"} [params.status] - Account lifecycle state
+     * @param {string} [params.createdFrom] - Created at or after
+     * @param {string} [params.createdTo] - Created at or before
+     * @param {string} [params.lastLoginFrom] - Last login at or after
+     * @param {string} [params.lastLoginTo] - Last login at or before
+     * @param {"createdAt"|"lastLogin"|"email"|"username"|"lastName"} [params.sort]
+     * @param {"asc"|"desc"} [params.order]
+     * @param {string} [params.fields] - Comma-separated properties to return (_id is always included): realm, keycloakId, email, username, firstName, lastName, enabled, emailVerified, roles, clientRoles, groups, profilePicture, phoneNumber, preferences, lastLogin, profileUpdatedAt, createdAt, updatedAt, status, deactivatedAt, deletionRequestedAt, purgeAfter, purgedAt
+     * @param {"offset"|"cursor"} [params.pagination] - cursor starts keyset pagination (implied by cursor)
+     * @param {string} [params.cursor] - nextCursor or prevCursor of the previous response
+     * @param {boolean} [params.includeTotal] - Count matching users (default true for offset, false for cursor pagination)
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<(SuccessEnvelope & { data: Array<User>, pagination: Pagination }|SuccessEnvelope & { data: Array<User>, pagination: CursorPagination })>}
+     */
+    listUsers(params = {}, config) {
+      return request('get', '/api/users', { query: pick(params, ['page', 'limit', 'role', 'clientRole', 'group', 'search', 'enabled', 'emailVerified', 'status', 'createdFrom', 'createdTo', 'lastLoginFrom', 'lastLoginTo', 'sort', 'order', 'fields', 'pagination', 'cursor', 'includeTotal']), config });
+    },
+
+    /**
+     * Start a Keycloak -> MongoDB reconciliation of the caller's realm
+     * POST /api/admin/reconciliation
+     * @param {Object} [params]
+     * @param {boolean} [params.dryRun] - Only report drift
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: { realm?: string, dryRun?: boolean } }>}
+     */
+    triggerReconciliation(params = {}, config) {
+      return request('post', '/api/admin/reconciliation', { query: pick(params, ['dryRun']), config });
+    },
+
+    /**
+     * Reports of recent reconciliation runs
+     * GET /api/admin/reconciliation/runs
+     * @param {Object} [_params] - No parameters (every method takes params, config)
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: Array<ReconciliationRun> }>}
+     */
+    listReconciliationRuns(_params, config) {
+      return request('get', '/api/admin/reconciliation/runs', { config });
+    },
+
+    /**
+     * Search or export the audit log of the caller's realm
+     * GET /api/audit
+     * @param {Object} [params]
+     * @param {number} [params.page]
+     * @param {number} [params.limit]
+     * @param {string} [params.action] - Action, or a prefix like user.*
+     * @param {string} [params.actor] - Actor Keycloak id
+     * @param {string} [params.target] - Target Keycloak id
+     * @param {string} [params.requestId]
+     * @param {string} [params.from]
+     * @param {string} [params.to]
+     * @param {"json"|"ndjson"|"csv"} [params.format]
+     * @param {import('axios').AxiosRequestConfig} [config] - Extra axios options (headers, signal, ...)
+     * @returns {Promise<SuccessEnvelope & { data: Array<AuditEvent>, pagination: Pagination }>}
+     */
+    listAuditEvents(params = {}, config) {
+      return request('get', '/api/audit', { query: pick(params, ['page', 'limit', 'action', 'actor', 'target', 'requestId', 'from', 'to', 'format']), config });
+    },
+  };
+};
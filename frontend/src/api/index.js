@@ -0,0 +1,15 @@
+import { createApiClient } from './client';
+
+/**
+ * API Client
+ *
+ * Why needed:
+ * - One configured client for every backend call (generated from the OpenAPI document)
+ *
+ * How it works:
+ * - Uses the global axios instance, so the token interceptors from authSlice apply
+ * - client.js is generated - change backend/docs/openapi.js and run npm run openapi:client instead
+ */
+const api = createApiClient({ baseURL: import.meta.env.VITE_BACKEND_URL });
+
+export default api;
@@ -1,6 +1,7 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import Keycloak from 'keycloak-js';
 import axios from 'axios';
+import api from '../../api';
 
 /**
  * Auth Slice
@@ -9,7 +10,7 @@ import axios from 'axios';
  * - Manages authentication state (token, user, loading)
  * - Handles Keycloak initialization
  * - Provides actions for login/logout
- * - Manages API calls to backend with token
+ * - Manages API calls to backend with token (through the generated API client)
  * 
  * How it works:
  * - Uses Keycloak JS library to handle authentication
@@ -168,15 +169,10 @@ export const logout = createAsyncThunk(
     const { auth } = getState();
     
     try {
-      // Call backend logout endpoint (optional - for logging purposes)
+      // Call backend logout endpoint - revokes the token and session server-side
       if (auth.keycloak && auth.keycloak.token) {
-        const backendUrl = import.meta.env.VITE_BACKEND_URL;
         try {
-          await axios.post(`${backendUrl}/api/users/logout`, {}, {
-            headers: {
-              Authorization: `Bearer ${auth.keycloak.token}`
-            }
-          });
+          await api.logout();
         } catch (error) {
           // Ignore errors from logout endpoint (token might already be invalid)
         }
@@ -231,9 +227,8 @@ export const getCurrentUser = createAsyncThunk(
   'auth/getCurrentUser',
   async (_, { getState, rejectWithValue }) => {
     try {
-      const backendUrl = import.meta.env.VITE_BACKEND_URL;
-      const response = await axios.get(`${backendUrl}/api/users/me`);
-      return response.data.data;
+      const response = await api.getCurrentUser();
+      return response.data;
     } catch (error) {
       return rejectWithValue(error.response?.data || { message: 'Failed to get user' });
     }
@@ -2,7 +2,7 @@ import { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
 import { logout, getCurrentUser } from '../redux/features/authSlice';
-import axios from 'axios';
+import api from '../api';
 import './Profile.css';
 
 /**
@@ -53,8 +53,7 @@ const Profile = () => {
     setMessage(null);
 
     try {
-      const backendUrl = import.meta.env.VITE_BACKEND_URL;
-      const response = await axios.put(`${backendUrl}/api/users/me`, formData);
+      await api.updateCurrentUser({ body: formData });
       
       setMessage({ type: 'success', text: 'Profile updated successfully!' });
       dispatch(getCurrentUser()); // Refresh user data